@@ -0,0 +1,483 @@
+// Local REST API for the topology (nodes, connections, settings) and a
+// WebSocket stream of the live monitoring status. Token-authenticated; the
+// config is read and written through the store passed in by main.js.
+//
+//   GET    /api/nodes             GET    /api/connections         GET   /api/settings
+//   POST   /api/nodes             POST   /api/connections         PATCH /api/settings
+//   GET    /api/nodes/:id         GET    /api/connections/:id     GET   /api/status
+//   PUT    /api/nodes/:id         PUT    /api/connections/:id
+//   PATCH  /api/nodes/:id         PATCH  /api/connections/:id
+//   DELETE /api/nodes/:id         DELETE /api/connections/:id
+//   WS     /api/stream            pushes every monitor:status payload
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { monitorEvents } = require('./monitor');
+const {
+  MONITORING_FIELDS,
+  SCHEDULER_FIELDS,
+  HISTORY_FIELDS,
+  HOST_METRICS_FIELDS,
+  isValidPort,
+  validateMonitoringValues,
+  validateNode
+} = require('./renderer/js/validation');
+
+const API_DEFAULTS = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 8765,
+  token: ''
+};
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Ids chosen by API clients end up in the renderer's markup and in port ids
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Never sent to API clients; kept from the stored node when an update omits them
+const NODE_SECRET_FIELDS = ['sshPass', 'sshPassphrase'];
+const SNMP_SECRET_FIELDS = ['community', 'authKey', 'privKey'];
+
+let apiServer = null;
+let apiServerKey = null;
+let apiToken = null;
+let apiStore = null;
+let streamServer = null;
+let latestStatus = null;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function redactNode(node) {
+  const redacted = { ...node };
+  NODE_SECRET_FIELDS.forEach(field => delete redacted[field]);
+  if (node.snmp) {
+    redacted.snmp = { ...node.snmp };
+    SNMP_SECRET_FIELDS.forEach(field => delete redacted.snmp[field]);
+  }
+  delete redacted._encrypted;
+  return redacted;
+}
+
+function redactStatus(status) {
+  return { ...status, nodes: status.nodes.map(redactNode) };
+}
+
+function keepSecrets(node, existing) {
+  NODE_SECRET_FIELDS.forEach(field => {
+    if (node[field] === undefined && existing[field] !== undefined) node[field] = existing[field];
+  });
+  if (node.snmp && existing.snmp && node.snmp.version === existing.snmp.version) {
+    SNMP_SECRET_FIELDS.forEach(field => {
+      if (node.snmp[field] === undefined && existing.snmp[field] !== undefined) node.snmp[field] = existing.snmp[field];
+    });
+  }
+}
+
+// ============================================
+// Nodes
+// ============================================
+
+function checkId(kind, id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new ApiError(400, `${kind} id must be 1-64 letters, digits, "_" or "-"`);
+  }
+}
+
+function buildNode(input, existing, config) {
+  if (!existing && input.id !== undefined) checkId('Node', input.id);
+  const id = existing ? existing.id : (input.id || 'node_' + Date.now());
+  const node = {
+    id,
+    name: '',
+    address: '',
+    port: null,
+    iconType: 'lucide',
+    icon: 'circle',
+    sshPort: 22,
+    sshUser: '',
+    snmp: null,
+    linkType: null,
+    linkSpeed: null,
+    probes: [],
+    sshChecks: [],
+    monitoring: null,
+    isContainer: false,
+    containerType: null,
+    zones: null,
+    containerId: null,
+    zoneId: null,
+    expanded: true,
+    ...input
+  };
+  node.id = id;
+  if (typeof node.name === 'string') node.name = node.name.trim();
+  if (typeof node.address === 'string') node.address = node.address.trim();
+  if (!Array.isArray(node.ports) || node.ports.length === 0) {
+    node.ports = [
+      { id: `${id}_in`, name: 'IN', side: 'top' },
+      { id: `${id}_out`, name: 'OUT', side: 'bottom' }
+    ];
+  }
+  if (existing) keepSecrets(node, existing);
+
+  // Like saveNode(): position new nodes on the next free grid slot
+  if (typeof node.x !== 'number' || typeof node.y !== 'number') {
+    if (existing && typeof existing.x === 'number') {
+      node.x = existing.x;
+      node.y = existing.y;
+    } else {
+      const count = config.nodes.length;
+      node.x = (count % 10) * 10 + 5;
+      node.y = Math.floor(count / 10) * 15 + 10;
+    }
+  }
+
+  const invalid = validateNode(node);
+  if (invalid) throw new ApiError(400, invalid.message);
+
+  if (node.containerId) {
+    const container = config.nodes.find(n => n.id === node.containerId && n.isContainer);
+    if (!container || node.isContainer) throw new ApiError(400, `Unknown container: ${node.containerId}`);
+    if (node.zoneId && !(container.zones || []).some(z => z.id === node.zoneId)) {
+      throw new ApiError(400, `Unknown zone: ${node.zoneId}`);
+    }
+  }
+  return node;
+}
+
+function findNode(config, id) {
+  const node = config.nodes.find(n => n.id === id);
+  if (!node) throw new ApiError(404, `Node not found: ${id}`);
+  return node;
+}
+
+function createNode(config, body) {
+  if (body.id && config.nodes.some(n => n.id === body.id)) {
+    throw new ApiError(409, `Node already exists: ${body.id}`);
+  }
+  const node = buildNode(body, null, config);
+  config.nodes.push(node);
+  return { status: 201, body: redactNode(node), changed: true };
+}
+
+function updateNode(config, id, body, merge) {
+  const existing = findNode(config, id);
+  const node = buildNode(merge ? { ...existing, ...body } : body, existing, config);
+  config.nodes[config.nodes.indexOf(existing)] = node;
+  return { body: redactNode(node), changed: true };
+}
+
+// Like deleteNodeFromContext(): members leave the container, connections go
+function deleteNode(config, id) {
+  const node = findNode(config, id);
+  if (node.isContainer) {
+    config.nodes.forEach(n => {
+      if (n.containerId === id) {
+        n.containerId = null;
+        n.zoneId = null;
+      }
+    });
+  }
+  config.connections = config.connections.filter(c => c.sourceNodeId !== id && c.targetNodeId !== id);
+  config.nodes.splice(config.nodes.indexOf(node), 1);
+  return { status: 204, changed: true };
+}
+
+// ============================================
+// Connections
+// ============================================
+
+function buildConnection(input, existing, config) {
+  if (!existing && input.id !== undefined) checkId('Connection', input.id);
+  const id = existing ? existing.id : (input.id || `conn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+  const conn = {
+    id,
+    linkType: null,
+    linkSpeed: null,
+    isFailover: false,
+    snmpBinding: null,
+    ...input
+  };
+  conn.id = id;
+
+  const source = config.nodes.find(n => n.id === conn.sourceNodeId);
+  const target = config.nodes.find(n => n.id === conn.targetNodeId);
+  if (!source) throw new ApiError(400, `Unknown source node: ${conn.sourceNodeId}`);
+  if (!target) throw new ApiError(400, `Unknown target node: ${conn.targetNodeId}`);
+  if (source.id === target.id) throw new ApiError(400, 'A connection needs two different nodes');
+  if (typeof conn.isFailover !== 'boolean') throw new ApiError(400, 'isFailover must be true or false');
+
+  conn.sourcePortId = conn.sourcePortId || `${source.id}_out`;
+  conn.targetPortId = conn.targetPortId || `${target.id}_in`;
+
+  // Same rule as saveConnection(): a binding needs one of the two nodes and an interface
+  if (conn.snmpBinding) {
+    const { nodeId, interface: iface } = conn.snmpBinding;
+    if (nodeId !== source.id && nodeId !== target.id) {
+      throw new ApiError(400, 'SNMP binding must use the source or target node');
+    }
+    if (!iface || typeof iface !== 'string') {
+      throw new ApiError(400, 'SNMP binding requires an interface');
+    }
+  }
+  return conn;
+}
+
+function findConnection(config, id) {
+  const conn = config.connections.find(c => c.id === id);
+  if (!conn) throw new ApiError(404, `Connection not found: ${id}`);
+  return conn;
+}
+
+function createConnection(config, body) {
+  if (body.id && config.connections.some(c => c.id === body.id)) {
+    throw new ApiError(409, `Connection already exists: ${body.id}`);
+  }
+  const conn = buildConnection(body, null, config);
+  config.connections.push(conn);
+  return { status: 201, body: conn, changed: true };
+}
+
+function updateConnection(config, id, body, merge) {
+  const existing = findConnection(config, id);
+  const conn = buildConnection(merge ? { ...existing, ...body } : body, existing, config);
+  config.connections[config.connections.indexOf(existing)] = conn;
+  return { body: conn, changed: true };
+}
+
+function deleteConnection(config, id) {
+  const conn = findConnection(config, id);
+  config.connections.splice(config.connections.indexOf(conn), 1);
+  return { status: 204, changed: true };
+}
+
+// ============================================
+// Settings
+// ============================================
+
+function redactSettings(settings) {
+  const redacted = { ...settings };
+  if (redacted.api) {
+    redacted.api = { ...redacted.api };
+    delete redacted.api.token;
+    delete redacted.api._encrypted;
+  }
+  return redacted;
+}
+
+// Top-level keys are replaced; the API's own settings can only be changed in the app
+function patchSettings(config, body) {
+  if (body.api !== undefined) throw new ApiError(403, 'API settings can only be changed in the app');
+
+  const error = (body.monitoring && validateMonitoringValues(body.monitoring, [...MONITORING_FIELDS, ...SCHEDULER_FIELDS])) ||
+    (body.history && validateMonitoringValues(body.history, HISTORY_FIELDS)) ||
+    (body.hostMetrics && validateMonitoringValues(body.hostMetrics, HOST_METRICS_FIELDS));
+  if (error) throw new ApiError(400, error);
+  if (body.metrics && body.metrics.port !== undefined && !isValidPort(body.metrics.port)) {
+    throw new ApiError(400, 'Metrics port must be between 1 and 65535');
+  }
+  if (body.viewer && body.viewer.port !== undefined && !isValidPort(body.viewer.port)) {
+    throw new ApiError(400, 'Viewer port must be between 1 and 65535');
+  }
+  if (body.syslog && body.syslog.port !== undefined && !isValidPort(body.syslog.port)) {
+    throw new ApiError(400, 'Syslog port must be between 1 and 65535');
+  }
+  if (body.traps && body.traps.port !== undefined && !isValidPort(body.traps.port)) {
+    throw new ApiError(400, 'SNMP trap port must be between 1 and 65535');
+  }
+
+  config.settings = { ...config.settings, ...body };
+  return { body: redactSettings(config.settings), changed: true };
+}
+
+// ============================================
+// Server
+// ============================================
+
+const API_ROUTES = [
+  ['GET', /^\/api\/nodes$/, (config) => ({ body: config.nodes.map(redactNode) })],
+  ['POST', /^\/api\/nodes$/, (config, params, body) => createNode(config, body)],
+  ['GET', /^\/api\/nodes\/([^/]+)$/, (config, [id]) => ({ body: redactNode(findNode(config, id)) })],
+  ['PUT', /^\/api\/nodes\/([^/]+)$/, (config, [id], body) => updateNode(config, id, body, false)],
+  ['PATCH', /^\/api\/nodes\/([^/]+)$/, (config, [id], body) => updateNode(config, id, body, true)],
+  ['DELETE', /^\/api\/nodes\/([^/]+)$/, (config, [id]) => deleteNode(config, id)],
+  ['GET', /^\/api\/connections$/, (config) => ({ body: config.connections })],
+  ['POST', /^\/api\/connections$/, (config, params, body) => createConnection(config, body)],
+  ['GET', /^\/api\/connections\/([^/]+)$/, (config, [id]) => ({ body: findConnection(config, id) })],
+  ['PUT', /^\/api\/connections\/([^/]+)$/, (config, [id], body) => updateConnection(config, id, body, false)],
+  ['PATCH', /^\/api\/connections\/([^/]+)$/, (config, [id], body) => updateConnection(config, id, body, true)],
+  ['DELETE', /^\/api\/connections\/([^/]+)$/, (config, [id]) => deleteConnection(config, id)],
+  ['GET', /^\/api\/settings$/, (config) => ({ body: redactSettings(config.settings) })],
+  ['PATCH', /^\/api\/settings$/, (config, params, body) => patchSettings(config, body)],
+  ['GET', /^\/api\/status$/, () => ({ body: latestStatus ? redactStatus(latestStatus) : { nodes: [], links: {}, scheduler: null, updated: null } })]
+];
+
+// Bearer header. The /api/stream upgrade also takes ?token=, as browser
+// WebSocket clients cannot set headers; REST tokens stay out of URLs and logs.
+function isAuthorized(req, allowQueryToken = false) {
+  const header = req.headers.authorization || '';
+  let token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!token && allowQueryToken) {
+    token = new URL(req.url, 'http://localhost').searchParams.get('token') || '';
+  }
+  const expected = Buffer.from(apiToken || '');
+  const given = Buffer.from(token);
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new ApiError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error();
+        resolve(body);
+      } catch (e) {
+        reject(new ApiError(400, 'Request body must be a JSON object'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function handleApiRequest(req, res) {
+  try {
+    if (!isAuthorized(req)) throw new ApiError(401, 'Invalid or missing API token');
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let pathMatched = false;
+    for (const [method, pattern, handler] of API_ROUTES) {
+      const match = pathname.match(pattern);
+      if (!match) continue;
+      pathMatched = true;
+      if (method !== req.method) continue;
+
+      let params;
+      try {
+        params = match.slice(1).map(decodeURIComponent);
+      } catch (e) {
+        throw new ApiError(400, 'Malformed URL path');
+      }
+      const body = ['POST', 'PUT', 'PATCH'].includes(method) ? await readJsonBody(req) : null;
+      let config;
+      try {
+        config = apiStore.load();
+      } catch (error) {
+        console.error('API could not load the configuration:', error);
+        throw new ApiError(500, 'Could not load the configuration');
+      }
+      config.nodes = config.nodes || [];
+      config.connections = config.connections || [];
+      config.settings = config.settings || {};
+
+      const result = handler(config, params, body);
+      if (result.changed) apiStore.save(config);
+      sendJson(res, result.status || 200, result.body);
+      return;
+    }
+    throw new ApiError(pathMatched ? 405 : 404, pathMatched ? 'Method not allowed' : 'Not found');
+  } catch (error) {
+    if (!(error instanceof ApiError)) console.error('API request failed:', error);
+    sendJson(res, error.status || 500, { error: error.message });
+  }
+}
+
+monitorEvents.on('status', (status) => {
+  latestStatus = status;
+  if (!streamServer || streamServer.clients.size === 0) return;
+  const message = JSON.stringify(redactStatus(status));
+  streamServer.clients.forEach(client => {
+    if (client.readyState === client.OPEN) client.send(message);
+  });
+});
+
+function stopApiServer() {
+  if (streamServer) {
+    streamServer.clients.forEach(client => client.terminate());
+    streamServer.close();
+  }
+  if (apiServer) apiServer.close();
+  streamServer = null;
+  apiServer = null;
+  apiServerKey = null;
+}
+
+// Starts, restarts or stops the API for config.settings.api. `store` provides
+// load() and save(config) for the stored configuration; when load() throws the
+// request fails with 500 and nothing is saved.
+// Resolves once listening; rejects when the address cannot be bound.
+function configureApiServer(settings, store) {
+  const options = { ...API_DEFAULTS, ...(settings || {}) };
+  apiStore = store;
+  apiToken = options.token;
+  if (!options.enabled || !options.token) {
+    stopApiServer();
+    return Promise.resolve();
+  }
+
+  const key = net.isIPv6(options.host) ? `[${options.host}]:${options.port}` : `${options.host}:${options.port}`;
+  if (apiServer && apiServerKey === key) return Promise.resolve();
+  stopApiServer();
+
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handleApiRequest);
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== '/api/stream' || !isAuthorized(req, true)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, (client) => {
+        if (latestStatus) client.send(JSON.stringify(redactStatus(latestStatus)));
+      });
+    });
+
+    server.once('error', (error) => {
+      if (apiServer === server) stopApiServer();
+      reject(new Error(`API cannot listen on ${key}: ${error.message}`));
+    });
+    server.listen(Number(options.port), options.host, () => {
+      console.log(`API listening on http://${key}/api`);
+      resolve();
+    });
+    apiServer = server;
+    apiServerKey = key;
+    streamServer = wss;
+  });
+}
+
+module.exports = {
+  API_DEFAULTS,
+  redactNode,
+  redactStatus,
+  redactSettings,
+  configureApiServer,
+  stopApiServer
+};
@@ -1,11 +1,34 @@
-const { app, BrowserWindow, ipcMain, dialog, safeStorage } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, safeStorage, Notification, Tray, Menu, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { Client } = require('ssh2');
 const net = require('net');
 const dns = require('dns');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const os = require('os');
+const {
+  monitorEvents,
+  startMonitor,
+  stopMonitor,
+  isMonitoring,
+  pingHost,
+  runTraceroute,
+  registerAlertChannel,
+  sendAlertToChannel,
+  setHistoryPath,
+  queryHistory,
+  flushHistorySync,
+  generateSlaReport,
+  buildReportCsv,
+  buildReportHtml
+} = require('./monitor');
+const { configureMetricsServer, stopMetricsServer } = require('./metrics');
+const { configureApiServer } = require('./api');
+const { configureViewerServer, notifyViewerConfigChanged } = require('./viewer');
+const { syslogEvents, configureSyslogServer, querySyslogEvents, flushSyslogSync } = require('./syslog');
+const { configureTrapServer } = require('./traps');
+const { buildSshConfig } = require('./ssh');
+const { isValidIPv4, isValidIPv6 } = require('./renderer/js/validation');
 
 // Store active SSH connections
 const sshConnections = new Map();
@@ -16,6 +39,7 @@ let mainWindow;
 // Configuration paths
 const getConfigPath = () => path.join(app.getPath('userData'), 'config.json');
 const getStatusPath = () => path.join(app.getPath('userData'), 'status.json');
+const getHistoryPath = () => path.join(app.getPath('userData'), 'history');
 
 // ============================================
 // Password Encryption Utilities
@@ -49,20 +73,59 @@ function decryptPassword(encryptedPassword) {
   return encryptedPassword;
 }
 
+// Secret node fields, and secret SNMP fields stored alongside them
+const NODE_SECRET_FIELDS = ['sshPass', 'sshPassphrase'];
+const SNMP_SECRET_FIELDS = ['community', 'authKey', 'privKey'];
+
+function hasNodeSecrets(node) {
+  return NODE_SECRET_FIELDS.some(field => node[field]) || !!(node.snmp && SNMP_SECRET_FIELDS.some(field => node.snmp[field]));
+}
+
+function mapNodeSecrets(node, transform) {
+  const mapped = { ...node };
+  NODE_SECRET_FIELDS.forEach(field => {
+    if (node[field]) mapped[field] = transform(node[field]);
+  });
+  if (node.snmp) {
+    mapped.snmp = { ...node.snmp };
+    SNMP_SECRET_FIELDS.forEach(field => {
+      if (node.snmp[field]) mapped.snmp[field] = transform(node.snmp[field]);
+    });
+  }
+  return mapped;
+}
+
+// SMTP passwords of alert channels
+function mapChannelSecrets(config, transform, encrypted) {
+  if (!config.alerts || !Array.isArray(config.alerts.channels)) return;
+  config.alerts.channels = config.alerts.channels.map(channel => {
+    if (!channel.pass || !!channel._encrypted === encrypted) return channel;
+    return { ...channel, pass: transform(channel.pass), _encrypted: encrypted };
+  });
+}
+
+// Token of the REST API
+function mapApiToken(config, transform, encrypted) {
+  const api = config.settings && config.settings.api;
+  if (!api || !api.token || !!api._encrypted === encrypted) return;
+  config.settings.api = { ...api, token: transform(api.token), _encrypted: encrypted };
+}
+
 function encryptConfigPasswords(config) {
   if (!config || !config.nodes) return config;
 
   const encrypted = JSON.parse(JSON.stringify(config));
   encrypted.nodes = encrypted.nodes.map(node => {
-    if (node.sshPass && !node._encrypted) {
+    if (hasNodeSecrets(node) && !node._encrypted) {
       return {
-        ...node,
-        sshPass: encryptPassword(node.sshPass),
+        ...mapNodeSecrets(node, encryptPassword),
         _encrypted: true
       };
     }
     return node;
   });
+  mapChannelSecrets(encrypted, encryptPassword, true);
+  mapApiToken(encrypted, encryptPassword, true);
   return encrypted;
 }
 
@@ -71,15 +134,16 @@ function decryptConfigPasswords(config) {
 
   const decrypted = JSON.parse(JSON.stringify(config));
   decrypted.nodes = decrypted.nodes.map(node => {
-    if (node.sshPass && node._encrypted) {
+    if (hasNodeSecrets(node) && node._encrypted) {
       return {
-        ...node,
-        sshPass: decryptPassword(node.sshPass),
+        ...mapNodeSecrets(node, decryptPassword),
         _encrypted: false
       };
     }
     return node;
   });
+  mapChannelSecrets(decrypted, decryptPassword, false);
+  mapApiToken(decrypted, decryptPassword, false);
   return decrypted;
 }
 
@@ -107,6 +171,14 @@ function createWindow() {
     mainWindow.webContents.openDevTools();
   }
 
+  // In background mode closing only hides the window, monitoring and alerts keep running
+  mainWindow.on('close', (event) => {
+    if (!isQuitting && tray && runInBackground && isMonitoring()) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
     // Close all SSH connections when window closes
@@ -120,7 +192,14 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+  setHistoryPath(getHistoryPath());
   createWindow();
+  createTray();
+  const config = readConfigFile();
+  startApiServer(config);
+  startViewerServer(config);
+  startSyslogServer(config);
+  startTrapServer(config);
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -135,44 +214,243 @@ app.on('window-all-closed', () => {
   }
 });
 
+app.on('before-quit', () => {
+  isQuitting = true;
+  flushHistorySync();
+  flushSyslogSync();
+});
+
+// ============================================
+// System Tray
+// ============================================
+
+let tray = null;
+let isQuitting = false;
+
+// Keep monitoring in the tray when the window is closed (settings.runInBackground)
+let runInBackground = false;
+
+// Rebuilding the menu on every status update is wasteful, only do it on changes
+let trayMenuKey = null;
+
+// First node of the down list, focused when the tray icon is clicked
+let trayFocusNodeId = null;
+
+const TRAY_COLORS = {
+  idle: [100, 116, 139],
+  up: [34, 197, 94],
+  degraded: [234, 179, 8],
+  down: [239, 68, 68]
+};
+const MAX_TRAY_NODES = 20;
+const trayIcons = new Map();
+
+// A filled status dot, drawn at 2x for HiDPI trays
+function getTrayIcon(state) {
+  if (trayIcons.has(state)) return trayIcons.get(state);
+
+  const size = 32;
+  const [r, g, b] = TRAY_COLORS[state];
+  const buffer = Buffer.alloc(size * size * 4);
+  const center = (size - 1) / 2;
+  const radius = size / 2 - 3;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      // Antialiased edge; the bitmap is BGRA with premultiplied alpha
+      const alpha = Math.max(0, Math.min(1, radius - Math.hypot(x - center, y - center) + 0.5));
+      const i = (y * size + x) * 4;
+      buffer[i] = Math.round(b * alpha);
+      buffer[i + 1] = Math.round(g * alpha);
+      buffer[i + 2] = Math.round(r * alpha);
+      buffer[i + 3] = Math.round(alpha * 255);
+    }
+  }
+
+  const icon = nativeImage.createFromBitmap(buffer, { width: size, height: size, scaleFactor: 2 });
+  trayIcons.set(state, icon);
+  return icon;
+}
+
+function createTray() {
+  tray = new Tray(getTrayIcon('idle'));
+  // Open on the first problem node, if there is one
+  tray.on('click', () => showMainWindow(trayFocusNodeId));
+  updateTray(null);
+}
+
+function showMainWindow(nodeId) {
+  const focusNode = () => {
+    if (nodeId && mainWindow) mainWindow.webContents.send('tray:focus-node', nodeId);
+  };
+
+  if (!mainWindow) {
+    createWindow();
+    mainWindow.webContents.once('did-finish-load', focusNode);
+    return;
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+  focusNode();
+}
+
+function setRunInBackground(enabled) {
+  runInBackground = enabled;
+  trayMenuKey = null;
+  // The renderer owns the config and saves the choice
+  if (mainWindow) mainWindow.webContents.send('tray:background-changed', enabled);
+}
+
+// nodes: the status payload, or null when monitoring is stopped
+function updateTray(nodes) {
+  if (!tray) return;
+
+  const monitored = (nodes || []).filter(n => !n.pending);
+  const down = monitored.filter(n => !n.status);
+  const up = monitored.length - down.length;
+  const degraded = monitored.some(n => n.health === 'degraded');
+
+  let state = 'idle';
+  if (nodes && monitored.length > 0) state = down.length > 0 ? 'down' : (degraded ? 'degraded' : 'up');
+
+  const summary = nodes ? `${up} up · ${down.length} down` : 'Monitoring stopped';
+  tray.setImage(getTrayIcon(state));
+  tray.setToolTip(`Network Topology - ${summary}`);
+  if (process.platform === 'darwin') tray.setTitle(down.length > 0 ? String(down.length) : '');
+
+  // Root causes first, then the nodes unreachable behind them
+  const listed = [...down].sort((a, b) => (a.health === 'unreachable') - (b.health === 'unreachable')).slice(0, MAX_TRAY_NODES);
+  trayFocusNodeId = listed.length > 0 ? listed[0].id : null;
+  const key = JSON.stringify([summary, runInBackground, listed.map(n => [n.id, n.name, n.health, !!n.maintenance])]);
+  if (key === trayMenuKey) return;
+  trayMenuKey = key;
+
+  const nodeItems = listed.map(node => ({
+    label: `${node.name || node.id}${node.health === 'unreachable' ? ' (unreachable)' : ''}${node.maintenance ? ' (maintenance)' : ''}`,
+    click: () => showMainWindow(node.id)
+  }));
+  if (down.length > listed.length) nodeItems.push({ label: `${down.length - listed.length} more...`, enabled: false });
+
+  tray.setContextMenu(Menu.buildFromTemplate([
+    { label: summary, enabled: false },
+    { type: 'separator' },
+    ...(nodeItems.length > 0 ? nodeItems : [{ label: nodes ? 'All nodes are up' : 'No status', enabled: false }]),
+    { type: 'separator' },
+    { label: 'Show Topology', click: () => showMainWindow(null) },
+    { label: 'Keep Monitoring When Closed', type: 'checkbox', checked: runInBackground, click: (item) => setRunInBackground(item.checked) },
+    { type: 'separator' },
+    { label: 'Quit', click: () => { isQuitting = true; app.quit(); } }
+  ]));
+}
+
 // ============================================
 // IPC HANDLERS - File Operations
 // ============================================
 
-ipcMain.handle('config:load', async () => {
-  try {
-    const configPath = getConfigPath();
-    // If no user config exists, copy from default
-    if (!fs.existsSync(configPath)) {
-      const defaultConfig = path.join(__dirname, 'renderer', 'config.json');
-      if (fs.existsSync(defaultConfig)) {
-        fs.copyFileSync(defaultConfig, configPath);
-      } else {
-        // Return default empty config
-        return {
-          settings: { showGrid: true, gridSize: 100, snapToGrid: true },
-          nodes: [],
-          connections: []
-        };
-      }
+// Used by the REST API; passwords come back decrypted. Throws when the file
+// cannot be read or parsed, so the API never saves over it.
+function loadConfigFile() {
+  const configPath = getConfigPath();
+  // If no user config exists, copy from default
+  if (!fs.existsSync(configPath)) {
+    const defaultConfig = path.join(__dirname, 'renderer', 'config.json');
+    if (fs.existsSync(defaultConfig)) {
+      fs.copyFileSync(defaultConfig, configPath);
+    } else {
+      // Return default empty config
+      return {
+        settings: { showGrid: true, gridSize: 100, snapToGrid: true },
+        nodes: [],
+        connections: []
+      };
     }
-    const data = fs.readFileSync(configPath, 'utf8');
-    const config = JSON.parse(data);
-    // Decrypt passwords before sending to renderer
-    return decryptConfigPasswords(config);
+  }
+  const data = fs.readFileSync(configPath, 'utf8');
+  const config = JSON.parse(data);
+  return decryptConfigPasswords(config);
+}
+
+// Used by config:load and the viewer, which fall back to an empty config
+function readConfigFile() {
+  try {
+    return loadConfigFile();
   } catch (error) {
     console.error('Error loading config:', error);
     return { settings: { showGrid: true, gridSize: 100, snapToGrid: true }, nodes: [], connections: [] };
   }
+}
+
+function writeConfigFile(config) {
+  // Encrypt passwords before saving
+  const encryptedConfig = encryptConfigPasswords(config);
+  fs.writeFileSync(getConfigPath(), JSON.stringify(encryptedConfig, null, 2));
+}
+
+// Changes made through the API are saved right away; the renderer reloads them
+const apiConfigStore = {
+  load: loadConfigFile,
+  save: (config) => {
+    writeConfigFile(config);
+    if (mainWindow) mainWindow.webContents.send('config:changed');
+    notifyViewerConfigChanged();
+    // The viewer, syslog and trap settings can be changed through the API, and
+    // messages are matched against the changed nodes
+    startViewerServer(config);
+    startSyslogServer(config);
+    startTrapServer(config);
+  }
+};
+
+// Resolves to an error message when the API cannot be started
+function startApiServer(config) {
+  const settings = config.settings && config.settings.api;
+  return configureApiServer(settings, apiConfigStore).then(() => null, (error) => {
+    console.error(error.message);
+    return error.message;
+  });
+}
+
+// Resolves to an error message when the viewer cannot be started
+function startViewerServer(config) {
+  const settings = config.settings && config.settings.viewer;
+  return configureViewerServer(settings, { load: readConfigFile }).then(() => null, (error) => {
+    console.error(error.message);
+    return error.message;
+  });
+}
+
+// Resolves to an error message when the syslog receiver cannot be started
+function startSyslogServer(config) {
+  const settings = config.settings && config.settings.syslog;
+  return configureSyslogServer(settings, config.nodes).then(() => null, (error) => {
+    console.error(error.message);
+    return error.message;
+  });
+}
+
+// Resolves to an error message when the SNMP trap receiver cannot be started
+function startTrapServer(config) {
+  const settings = config.settings && config.settings.traps;
+  return configureTrapServer(settings).then(() => null, (error) => {
+    console.error(error.message);
+    return error.message;
+  });
+}
+
+ipcMain.handle('config:load', async () => {
+  return readConfigFile();
 });
 
 ipcMain.handle('config:save', async (event, config) => {
   try {
-    const configPath = getConfigPath();
-    // Encrypt passwords before saving
-    const encryptedConfig = encryptConfigPasswords(config);
-    fs.writeFileSync(configPath, JSON.stringify(encryptedConfig, null, 2));
-    return { success: true };
+    writeConfigFile(config);
+    notifyViewerConfigChanged();
+    // The API, viewer, syslog and trap settings may have changed
+    const apiError = await startApiServer(config);
+    const viewerError = await startViewerServer(config);
+    const syslogError = await startSyslogServer(config);
+    const trapError = await startTrapServer(config);
+    return { success: true, apiError, viewerError, syslogError, trapError };
   } catch (error) {
     console.error('Error saving config:', error);
     return { success: false, error: error.message };
@@ -284,27 +562,12 @@ ipcMain.handle('ssh:connect', async (event, connectionInfo) => {
     });
 
     // Connect with password or private key
-    const connectConfig = {
-      host,
-      port,
-      username,
-      readyTimeout: 10000,
-      keepaliveInterval: 10000
-    };
-
-    // Handle private key authentication
-    if (privateKeyPath) {
-      try {
-        connectConfig.privateKey = fs.readFileSync(privateKeyPath);
-        if (passphrase) {
-          connectConfig.passphrase = passphrase;
-        }
-      } catch (keyError) {
-        resolve({ success: false, error: `Failed to read private key: ${keyError.message}` });
-        return;
-      }
-    } else if (password) {
-      connectConfig.password = password;
+    let connectConfig;
+    try {
+      connectConfig = { ...buildSshConfig({ host, port, username, password, privateKeyPath, passphrase }), keepaliveInterval: 10000 };
+    } catch (keyError) {
+      resolve({ success: false, error: keyError.message });
+      return;
     }
 
     try {
@@ -355,11 +618,13 @@ ipcMain.handle('network:getLocalInfo', async () => {
 
   for (const [name, addrs] of Object.entries(interfaces)) {
     for (const addr of addrs) {
-      if (addr.family === 'IPv4' && !addr.internal) {
+      if (!addr.internal) {
         result.push({
           interface: name,
+          family: addr.family,
           address: addr.address,
           netmask: addr.netmask,
+          cidr: addr.cidr,
           mac: addr.mac
         });
       }
@@ -370,22 +635,13 @@ ipcMain.handle('network:getLocalInfo', async () => {
 });
 
 ipcMain.handle('network:ping', async (event, host) => {
-  return new Promise((resolve) => {
-    const start = Date.now();
-    const isWindows = process.platform === 'win32';
-    const cmd = isWindows
-      ? `ping -n 1 -w 1000 ${host}`
-      : `ping -c 1 -W 1 ${host}`;
-
-    exec(cmd, (error, stdout) => {
-      const duration = Date.now() - start;
-      if (error) {
-        resolve({ success: false, host, duration });
-      } else {
-        resolve({ success: true, host, duration });
-      }
-    });
-  });
+  const start = Date.now();
+  try {
+    const samples = await pingHost(host, { timeout: 1000 });
+    return { success: samples.length > 0, host, duration: Date.now() - start };
+  } catch (error) {
+    return { success: false, host, duration: 0, error: error.message };
+  }
 });
 
 ipcMain.handle('network:portCheck', async (event, { host, port, timeout = 2000 }) => {
@@ -415,6 +671,14 @@ ipcMain.handle('network:portCheck', async (event, { host, port, timeout = 2000 }
 });
 
 ipcMain.handle('network:scan', async (event, { baseIp, startRange, endRange }) => {
+  // Only "a.b.c" with a last-octet range is scanned
+  if (typeof baseIp !== 'string' || !isValidIPv4(`${baseIp}.0`)) {
+    throw new Error(`Invalid base address "${baseIp}"`);
+  }
+  if (!Number.isInteger(startRange) || !Number.isInteger(endRange) || startRange < 0 || endRange > 255 || startRange > endRange) {
+    throw new Error('Scan range must be between 0 and 255');
+  }
+
   // Scan IP range for active hosts
   const results = [];
   const scanPromises = [];
@@ -422,18 +686,10 @@ ipcMain.handle('network:scan', async (event, { baseIp, startRange, endRange }) =
   for (let i = startRange; i <= endRange; i++) {
     const ip = `${baseIp}.${i}`;
     scanPromises.push(
-      new Promise((resolve) => {
-        const isWindows = process.platform === 'win32';
-        const cmd = isWindows
-          ? `ping -n 1 -w 500 ${ip}`
-          : `ping -c 1 -W 1 ${ip}`;
-
-        exec(cmd, (error) => {
-          if (!error) {
-            results.push({ ip, online: true });
-          }
-          resolve();
-        });
+      pingHost(ip, { timeout: 500 }).then((samples) => {
+        if (samples.length > 0) {
+          results.push({ ip, online: true });
+        }
       })
     );
 
@@ -459,9 +715,8 @@ ipcMain.handle('network:scan', async (event, { baseIp, startRange, endRange }) =
 ipcMain.handle('network:arp', async () => {
   return new Promise((resolve) => {
     const isWindows = process.platform === 'win32';
-    const cmd = isWindows ? 'arp -a' : 'arp -a';
 
-    exec(cmd, (error, stdout) => {
+    execFile('arp', ['-a'], { windowsHide: true }, (error, stdout) => {
       if (error) {
         resolve([]);
         return;
@@ -489,6 +744,75 @@ ipcMain.handle('network:arp', async () => {
   });
 });
 
+// ip -6 neigh (Linux), ndp -an (macOS) and netsh (Windows) list the IPv6
+// neighbors with their MAC address; Windows groups them under "Interface N: name"
+function parseNeighborTable(stdout, platform) {
+  const entries = [];
+  let windowsInterface = null;
+
+  stdout.split(/\r?\n/).forEach(line => {
+    let match;
+    if (platform === 'win32') {
+      const header = line.match(/^\S+\s+\d+:\s+(.+)$/);
+      if (header) {
+        windowsInterface = header[1].trim();
+        return;
+      }
+      match = line.match(/^([\da-f:.%]+)\s+([\da-f]{2}(?:-[\da-f]{2}){5})\s/i);
+      if (match) entries.push({ ip: match[1], mac: match[2], interface: windowsInterface });
+    } else if (platform === 'darwin') {
+      match = line.match(/^([\da-f:.]+(?:%\S+)?)\s+([\da-f]{1,2}(?::[\da-f]{1,2}){5})\s+(\S+)/i);
+      if (match) entries.push({ ip: match[1], mac: match[2], interface: match[3] });
+    } else {
+      match = line.match(/^(\S+)\s+dev\s+(\S+)\s+lladdr\s+([\da-f:]+)/i);
+      if (match) entries.push({ ip: match[1], mac: match[3], interface: match[2] });
+    }
+  });
+
+  return entries
+    .map(entry => ({ ...entry, mac: entry.mac.split(/[:-]/).map(part => part.padStart(2, '0')).join(':').toLowerCase() }))
+    // Skip multicast groups and unresolved neighbors
+    .filter(entry => isValidIPv6(entry.ip) && !/^ff/i.test(entry.ip) && entry.mac !== '00:00:00:00:00:00');
+}
+
+function readNeighborTable() {
+  const [command, args] = {
+    win32: ['netsh', ['interface', 'ipv6', 'show', 'neighbors']],
+    darwin: ['ndp', ['-an']]
+  }[process.platform] || ['ip', ['-6', 'neigh', 'show']];
+
+  return new Promise((resolve) => {
+    execFile(command, args, { windowsHide: true }, (error, stdout) => {
+      resolve(error ? [] : parseNeighborTable(stdout, process.platform));
+    });
+  });
+}
+
+// IPv6 subnets are too large to ping one address at a time. Pinging the
+// all-nodes multicast address makes the hosts on the link answer, which fills
+// the neighbor table that is then read.
+ipcMain.handle('network:ndp', async (event, interfaceName) => {
+  const addrs = os.networkInterfaces()[interfaceName];
+  if (!addrs || !addrs.some(addr => addr.family === 'IPv6' && !addr.internal)) {
+    throw new Error(`Interface "${interfaceName}" has no IPv6 address`);
+  }
+
+  // Link-local addresses need a zone ID, which is the interface index on Windows
+  const linkLocal = addrs.find(addr => addr.family === 'IPv6' && /^fe80:/i.test(addr.address));
+  const zone = process.platform === 'win32' ? String(linkLocal ? linkLocal.scopeid : '') : interfaceName;
+  if (linkLocal && zone) {
+    await pingHost(`ff02::1%${zone}`, { count: 2, timeout: 1000 }).catch(() => []);
+  }
+
+  const entries = await readNeighborTable();
+  return entries
+    .filter(entry => !entry.interface || entry.interface === interfaceName)
+    .map(entry => ({
+      ...entry,
+      ip: /^fe[89ab]/i.test(entry.ip) && !entry.ip.includes('%') && zone ? `${entry.ip}%${zone}` : entry.ip
+    }));
+});
+
 ipcMain.handle('network:resolve', async (event, hostname) => {
   return new Promise((resolve) => {
     dns.lookup(hostname, (err, address) => {
@@ -501,85 +825,138 @@ ipcMain.handle('network:resolve', async (event, hostname) => {
   });
 });
 
+ipcMain.handle('network:traceroute', async (event, host) => {
+  try {
+    const hops = await runTraceroute(host);
+    if (hops.length === 0) {
+      return { success: false, host, hops, error: 'Traceroute returned no hops' };
+    }
+    return { success: true, host, hops };
+  } catch (error) {
+    return { success: false, host, hops: [], error: error.message };
+  }
+});
+
 // ============================================
-// IPC HANDLERS - Monitoring
+// IPC HANDLERS - Monitoring History
 // ============================================
 
-let monitoringInterval = null;
-let monitoringConfig = null;
+ipcMain.handle('history:query', async (event, query) => {
+  try {
+    return { success: true, ...(await queryHistory(query)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-ipcMain.handle('monitor:start', async (event, config) => {
-  monitoringConfig = config;
+// ============================================
+// IPC HANDLERS - Syslog
+// ============================================
+
+syslogEvents.on('message', (event) => {
+  if (mainWindow) mainWindow.webContents.send('syslog:message', event);
+});
 
-  if (monitoringInterval) {
-    clearInterval(monitoringInterval);
+ipcMain.handle('syslog:query', async (event, query) => {
+  try {
+    return { success: true, ...(await querySyslogEvents(query || {})) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+});
 
-  const runMonitoring = async () => {
-    if (!monitoringConfig || !monitoringConfig.nodes) return;
-
-    const statusResults = await Promise.all(
-      monitoringConfig.nodes.map(async (node) => {
-        const start = Date.now();
-        let online = false;
-
-        if (node.port) {
-          // TCP port check
-          online = await new Promise((resolve) => {
-            const socket = new net.Socket();
-            socket.setTimeout(1000);
-            socket.on('connect', () => {
-              socket.destroy();
-              resolve(true);
-            });
-            socket.on('error', () => {
-              socket.destroy();
-              resolve(false);
-            });
-            socket.on('timeout', () => {
-              socket.destroy();
-              resolve(false);
-            });
-            socket.connect(node.port, node.address);
-          });
-        } else {
-          // Ping check
-          const isWindows = process.platform === 'win32';
-          const cmd = isWindows
-            ? `ping -n 1 -w 500 ${node.address}`
-            : `ping -c 1 -W 1 ${node.address}`;
-
-          online = await new Promise((resolve) => {
-            exec(cmd, (error) => resolve(!error));
-          });
-        }
+// ============================================
+// IPC HANDLERS - Reports
+// ============================================
 
-        return {
-          ...node,
-          status: online,
-          responseTime: Date.now() - start
-        };
-      })
-    );
+ipcMain.handle('report:generate', async (event, options) => {
+  try {
+    return { success: true, report: await generateSlaReport(options || {}) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-    mainWindow.webContents.send('monitor:status', {
-      nodes: statusResults,
-      updated: new Date().toLocaleTimeString()
+ipcMain.handle('report:export', async (event, report, format) => {
+  try {
+    const isHtml = format === 'html';
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Report',
+      defaultPath: `availability-report-${new Date(report.to).toISOString().slice(0, 10)}.${isHtml ? 'html' : 'csv'}`,
+      filters: isHtml
+        ? [{ name: 'HTML Files', extensions: ['html'] }]
+        : [{ name: 'CSV Files', extensions: ['csv'] }]
     });
-  };
 
-  // Run immediately then on interval
-  await runMonitoring();
-  monitoringInterval = setInterval(runMonitoring, config.interval || 2000);
+    if (!result.canceled && result.filePath) {
+      fs.writeFileSync(result.filePath, isHtml ? buildReportHtml(report) : buildReportCsv(report));
+      return { success: true, path: result.filePath };
+    }
+    return { success: false, canceled: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-  return { success: true };
+// ============================================
+// IPC HANDLERS - Alerts
+// ============================================
+
+registerAlertChannel('desktop', async (channel, alert) => {
+  if (!Notification.isSupported()) throw new Error('Desktop notifications are not supported on this system');
+  new Notification({
+    title: alert.status === 'resolved' ? 'Resolved' : (alert.status === 'test' ? 'Test Alert' : 'Alert'),
+    body: alert.message
+  }).show();
 });
 
-ipcMain.handle('monitor:stop', async () => {
-  if (monitoringInterval) {
-    clearInterval(monitoringInterval);
-    monitoringInterval = null;
+ipcMain.handle('alerts:test', async (event, channel) => {
+  try {
+    await sendAlertToChannel(channel, {
+      status: 'test',
+      ruleId: null,
+      ruleName: 'Test',
+      ruleType: 'test',
+      threshold: null,
+      nodeId: null,
+      nodeName: 'Network Topology',
+      address: null,
+      value: null,
+      message: `Test notification from ${channel.name || channel.type}`,
+      time: new Date().toISOString()
+    });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+});
+
+// ============================================
+// IPC HANDLERS - Monitoring
+// ============================================
+
+// Alerts and the tray keep working while the window is closed
+monitorEvents.on('status', (status) => {
+  updateTray(status.nodes);
+  if (mainWindow) mainWindow.webContents.send('monitor:status', status);
+});
+
+monitorEvents.on('failover', (event) => {
+  if (mainWindow) mainWindow.webContents.send('monitor:failover', event);
+});
+
+ipcMain.handle('monitor:start', async (event, config) => {
+  runInBackground = !!(config.settings && config.settings.runInBackground);
+  // A busy metrics port is reported, but does not stop monitoring
+  const metricsError = await configureMetricsServer(config.metrics).then(() => null, error => error.message);
+  await startMonitor(config);
+  return { success: true, metricsError };
+});
+
+ipcMain.handle('monitor:stop', async () => {
+  stopMonitor();
+  stopMetricsServer();
+  updateTray(null);
   return { success: true };
 });
 
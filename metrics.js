@@ -0,0 +1,128 @@
+// Prometheus exporter: serves the latest monitoring status on /metrics in the
+// text exposition format. Used by main.js and monitor-cli.js.
+
+const http = require('http');
+const net = require('net');
+const { monitorEvents } = require('./monitor');
+
+const METRICS_DEFAULTS = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 9464
+};
+
+const METRIC_PREFIX = 'network_topology';
+
+let metricsServer = null;
+let metricsServerKey = null;
+let latestStatus = null;
+
+monitorEvents.on('status', (status) => {
+  latestStatus = status;
+});
+
+function escapeLabelValue(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+// id, name, address, container and zone names from the config
+function getNodeLabels(node, byId) {
+  const container = node.containerId ? byId.get(node.containerId) : null;
+  const zone = container && container.zones ? container.zones.find(z => z.id === node.zoneId) : null;
+  const labels = {
+    id: node.id,
+    name: node.name || node.id,
+    address: node.address,
+    container: container ? (container.name || container.id) : '',
+    zone: zone ? (zone.name || zone.id) : ''
+  };
+  return Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',');
+}
+
+function buildMetrics(status) {
+  const families = [
+    ['node_up', 'Whether the node is up (1) or down (0)', n => (n.status ? 1 : 0)],
+    ['node_rtt_seconds', 'Average round-trip time of the last check', n => (n.rtt ? n.rtt.avg / 1000 : null)],
+    ['node_jitter_seconds', 'Round-trip time jitter of the last check', n => (typeof n.jitter === 'number' ? n.jitter / 1000 : null)],
+    ['node_packet_loss_ratio', 'Packet loss of the last check (0-1)', n => (typeof n.packetLoss === 'number' ? n.packetLoss / 100 : null)],
+    ['node_probe_duration_seconds', 'Time taken by all probes of the last check', n => (typeof n.checkDuration === 'number' ? n.checkDuration / 1000 : null)]
+  ];
+
+  const lines = [];
+  const nodes = status ? status.nodes.filter(n => !n.pending) : [];
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const labels = new Map(nodes.map(n => [n.id, getNodeLabels(n, byId)]));
+
+  families.forEach(([name, help, getValue]) => {
+    lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`);
+    lines.push(`# TYPE ${METRIC_PREFIX}_${name} gauge`);
+    nodes.forEach(node => {
+      const value = getValue(node);
+      if (value === null || !isFinite(value)) return;
+      lines.push(`${METRIC_PREFIX}_${name}{${labels.get(node.id)}} ${value}`);
+    });
+  });
+
+  const cycleDuration = status && status.scheduler ? status.scheduler.cycleDuration : null;
+  lines.push(`# HELP ${METRIC_PREFIX}_cycle_duration_seconds Time taken to check every node once`);
+  lines.push(`# TYPE ${METRIC_PREFIX}_cycle_duration_seconds gauge`);
+  if (typeof cycleDuration === 'number') lines.push(`${METRIC_PREFIX}_cycle_duration_seconds ${cycleDuration / 1000}`);
+
+  return lines.join('\n') + '\n';
+}
+
+function handleMetricsRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET' || url.pathname !== '/metrics') {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found\n');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(buildMetrics(latestStatus));
+}
+
+function stopMetricsServer() {
+  if (metricsServer) metricsServer.close();
+  latestStatus = null;
+  metricsServer = null;
+  metricsServerKey = null;
+}
+
+// Starts, restarts or stops the exporter for config.settings.metrics.
+// Resolves once listening; rejects when the address cannot be bound.
+function configureMetricsServer(settings) {
+  const options = { ...METRICS_DEFAULTS, ...(settings || {}) };
+  if (!options.enabled) {
+    stopMetricsServer();
+    return Promise.resolve();
+  }
+
+  const key = net.isIPv6(options.host) ? `[${options.host}]:${options.port}` : `${options.host}:${options.port}`;
+  if (metricsServer && metricsServerKey === key) return Promise.resolve();
+  stopMetricsServer();
+
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handleMetricsRequest);
+    server.once('error', (error) => {
+      if (metricsServer === server) stopMetricsServer();
+      reject(new Error(`Metrics exporter cannot listen on ${key}: ${error.message}`));
+    });
+    server.listen(Number(options.port), options.host, () => {
+      console.log(`Metrics exporter listening on http://${key}/metrics`);
+      resolve();
+    });
+    metricsServer = server;
+    metricsServerKey = key;
+  });
+}
+
+module.exports = {
+  METRICS_DEFAULTS,
+  buildMetrics,
+  configureMetricsServer,
+  stopMetricsServer
+};
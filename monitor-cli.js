@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+// Headless monitoring daemon: runs the same engine as the app (monitor.js)
+// without Electron and writes the status to disk. Replaces monitor.ps1.
+//
+//   node monitor-cli.js --config config.json [--status status.json]
+//                       [--legacy [status.js]] [--history <dir>]
+
+const path = require('path');
+const fs = require('fs');
+const {
+  monitorEvents,
+  MONITOR_DEFAULTS,
+  startMonitor,
+  stopMonitor,
+  setHistoryPath,
+  flushHistorySync
+} = require('./monitor');
+const { configureMetricsServer, stopMetricsServer } = require('./metrics');
+const { redactStatus } = require('./api');
+const { configureViewerServer, stopViewerServer, notifyViewerConfigChanged } = require('./viewer');
+const { configureSyslogServer, stopSyslogServer } = require('./syslog');
+const { configureTrapServer, stopTrapServer } = require('./traps');
+
+const USAGE = `Usage: node monitor-cli.js --config <file> [options]
+
+Options:
+  --config <file>     Topology configuration (an exported app config or the legacy config.json)
+  --status <file>     Status output, default status.json
+  --legacy [file]     Also write setNetworkData(...) for the root index.html, default status.js
+  --history <dir>     Record monitoring history, syslog messages and traps in this directory (same layout as the app)
+  --help              Show this help`;
+
+// Status files are rewritten at most this often (ms)
+const STATUS_WRITE_INTERVAL = 1000;
+
+// How often the config file is checked for changes (ms)
+const CONFIG_WATCH_INTERVAL = 2000;
+
+function parseArgs(argv) {
+  const args = { config: null, status: 'status.json', legacy: null, history: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    const hasValue = next !== undefined && !next.startsWith('--');
+
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--legacy') {
+      args.legacy = hasValue ? argv[++i] : 'status.js';
+    } else if (['--config', '--status', '--history'].includes(arg)) {
+      if (!hasValue) throw new Error(`${arg} requires a value`);
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  if (!args.help && !args.config) throw new Error('--config is required');
+  return args;
+}
+
+// Legacy configs only have primaryParentId/secondaryParentId; the app migrates
+// them to connections, here they are derived in memory on every load
+function deriveLegacyConnections(nodes, connections) {
+  const derived = [...connections];
+  const exists = (sourceNodeId, targetNodeId) =>
+    derived.some(c => c.sourceNodeId === sourceNodeId && c.targetNodeId === targetNodeId);
+
+  nodes.forEach(node => {
+    [[node.primaryParentId, false], [node.secondaryParentId, true]].forEach(([parentId, isFailover]) => {
+      if (!parentId || !nodes.some(n => n.id === parentId) || exists(parentId, node.id)) return;
+      derived.push({ id: `legacy_${parentId}_${node.id}`, sourceNodeId: parentId, targetNodeId: node.id, isFailover });
+    });
+  });
+  return derived;
+}
+
+// Secrets encrypted by the app (OS keychain) cannot be read outside Electron
+function warnAboutConfig(config) {
+  const encryptedNodes = config.nodes.filter(n => n._encrypted).map(n => n.name || n.id);
+  if (encryptedNodes.length > 0) {
+    console.warn(`Warning: encrypted credentials of ${encryptedNodes.join(', ')} cannot be used; export the configuration from the app instead`);
+  }
+  const channels = (config.alerts && config.alerts.channels) || [];
+  channels.filter(c => c._encrypted).forEach(c => {
+    console.warn(`Warning: the encrypted password of alert channel "${c.name || c.id}" cannot be used`);
+  });
+  channels.filter(c => c.type === 'desktop' && c.enabled !== false).forEach(c => {
+    console.warn(`Warning: desktop alert channel "${c.name || c.id}" is ignored without a display`);
+  });
+}
+
+function loadConfig(configPath) {
+  const data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  // Like monitor.ps1, accept a bare array of nodes
+  const config = Array.isArray(data) ? { nodes: data, settings: { showGrid: true } } : data;
+  config.nodes = config.nodes || [];
+  config.settings = config.settings || {};
+  warnAboutConfig(config);
+
+  // Same payload the renderer sends with monitor:start
+  const settings = { ...MONITOR_DEFAULTS, ...(config.settings.monitoring || {}) };
+  const alerts = config.alerts || { rules: [], channels: [] };
+  return {
+    raw: config,
+    monitor: {
+      nodes: config.nodes,
+      interval: settings.interval,
+      connections: deriveLegacyConnections(config.nodes, config.connections || []),
+      settings,
+      history: config.settings.history || {},
+      alerts: { ...alerts, channels: (alerts.channels || []).filter(c => c.type !== 'desktop') },
+      maintenance: config.maintenance || [],
+      metrics: config.settings.metrics || {},
+      hostMetrics: config.settings.hostMetrics || {}
+    },
+    viewer: config.settings.viewer || {},
+    syslog: config.settings.syslog || {},
+    traps: config.settings.traps || {}
+  };
+}
+
+// Same format as Get-DurationString in monitor.ps1
+function formatUptime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  if (days >= 1) return `${days}d ${hours % 24}h ${minutes % 60}m`;
+  if (hours >= 1) return `${hours}h ${minutes % 60}m`;
+  if (minutes >= 1) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+// The node shape monitor.ps1 wrote for the root index.html
+function toLegacyNode(node, now) {
+  return {
+    id: node.id,
+    name: node.name || node.id,
+    address: node.address,
+    port: node.port !== undefined && node.port !== '' ? node.port : null,
+    status: !!node.status,
+    icon: node.icon,
+    iconType: node.iconType,
+    primaryParentId: node.primaryParentId || null,
+    secondaryParentId: node.secondaryParentId || null,
+    activeParentId: node.activeParentId || null,
+    x: node.x !== undefined ? node.x : null,
+    y: node.y !== undefined ? node.y : null,
+    uptime: node.statusSince ? formatUptime(now - node.statusSince) : null
+  };
+}
+
+// Write to a temporary file first so readers never see a partial file
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, content);
+  fs.renameSync(tmpPath, filePath);
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const configPath = path.resolve(args.config);
+  let config;
+  try {
+    config = loadConfig(configPath);
+  } catch (error) {
+    console.error(`Failed to load ${configPath}: ${error.message}`);
+    process.exit(1);
+  }
+  if (args.history) setHistoryPath(path.resolve(args.history));
+
+  let latestStatus = null;
+  let lastWrite = 0;
+  let writeTimer = null;
+  const lastStatus = new Map();
+
+  const writeStatus = () => {
+    writeTimer = null;
+    lastWrite = Date.now();
+    const now = lastWrite;
+    try {
+      // Status nodes carry the configured credentials; the file must not
+      writeFileAtomic(args.status, JSON.stringify({ ...redactStatus(latestStatus), updated: new Date(now).toISOString() }, null, 2));
+      if (args.legacy) {
+        const legacy = {
+          nodes: latestStatus.nodes.map(node => toLegacyNode(node, now)),
+          updated: new Date(now).toTimeString().slice(0, 8),
+          // index.html only reads showGrid; the rest of the settings may hold credentials
+          settings: { showGrid: config.raw.settings.showGrid !== false }
+        };
+        writeFileAtomic(args.legacy, `setNetworkData(${JSON.stringify(legacy)});\n`);
+      }
+    } catch (error) {
+      console.error('Failed to write status:', error.message);
+    }
+  };
+
+  monitorEvents.on('status', (status) => {
+    latestStatus = status;
+    status.nodes.forEach(node => {
+      if (node.pending || lastStatus.get(node.id) === node.health) return;
+      if (lastStatus.has(node.id)) console.log(`${node.name || node.id} (${node.address}) is ${node.health.toUpperCase()}`);
+      lastStatus.set(node.id, node.health);
+    });
+
+    if (writeTimer) return;
+    writeTimer = setTimeout(writeStatus, Math.max(0, lastWrite + STATUS_WRITE_INTERVAL - Date.now()));
+  });
+
+  monitorEvents.on('failover', (event) => {
+    console.log(`Failover: ${event.name} ${event.from} -> ${event.to}`);
+  });
+
+  monitorEvents.on('alert', (alert) => {
+    console.log(`Alert: [${alert.status.toUpperCase()}] ${alert.message}`);
+  });
+
+  const start = () => {
+    console.log(`Monitoring ${config.monitor.nodes.length} nodes from ${configPath}`);
+    configureMetricsServer(config.monitor.metrics).catch(error => console.error(error.message));
+    configureViewerServer(config.viewer, { load: () => config.raw }).catch(error => console.error(error.message));
+    configureSyslogServer(config.syslog, config.raw.nodes).catch(error => console.error(error.message));
+    configureTrapServer(config.traps).catch(error => console.error(error.message));
+    startMonitor(config.monitor).then(() => {
+      if (!latestStatus) return;
+      const down = latestStatus.nodes.filter(n => !n.status).length;
+      console.log(`First pass done: ${latestStatus.nodes.length - down} up, ${down} down`);
+    }).catch((error) => {
+      console.error(`Failed to start monitoring: ${error.message}`);
+      process.exit(1);
+    });
+  };
+
+  // Like monitor.ps1, pick up changes to the config without a restart
+  fs.watchFile(configPath, { interval: CONFIG_WATCH_INTERVAL }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    try {
+      config = loadConfig(configPath);
+    } catch (error) {
+      console.error(`Ignoring invalid ${configPath}: ${error.message}`);
+      return;
+    }
+    notifyViewerConfigChanged();
+    stopMonitor();
+    start();
+  });
+
+  const shutdown = () => {
+    stopMonitor();
+    stopMetricsServer();
+    stopViewerServer();
+    stopTrapServer();
+    stopSyslogServer();
+    fs.unwatchFile(configPath);
+    flushHistorySync();
+    if (latestStatus) writeStatus();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  start();
+}
+
+main();
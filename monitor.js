@@ -0,0 +1,2673 @@
+// Monitoring engine shared by the Electron app (main.js) and the headless
+// daemon (monitor-cli.js). Nothing in here depends on Electron: status updates,
+// failover events and dispatched alerts are emitted on `monitorEvents`.
+
+const path = require('path');
+const fs = require('fs');
+const snmp = require('net-snmp');
+const nodemailer = require('nodemailer');
+const net = require('net');
+const dgram = require('dgram');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { execFile } = require('child_process');
+const { EventEmitter } = require('events');
+const os = require('os');
+const { isValidIPv4, isValidIPv6, isValidHostname } = require('./renderer/js/validation');
+const { getNodeSshInfo, sshExec } = require('./ssh');
+
+// 'status' with { nodes, links, scheduler, updated } and 'failover' with an event
+const monitorEvents = new EventEmitter();
+
+// ============================================
+// Monitoring Probes
+// ============================================
+
+// Probe handlers keyed by type. Each handler receives the node and the probe
+// definition and resolves to { success, responseTime, message, ... } - it must
+// never reject, a failed check is reported through `success: false`.
+const probeHandlers = new Map();
+
+function registerProbe(type, handler) {
+  probeHandlers.set(type, handler);
+}
+
+// Nodes without explicit probes keep the legacy behaviour:
+// TCP connect when a port is set, otherwise ping.
+function getNodeProbes(node) {
+  if (Array.isArray(node.probes) && node.probes.length > 0) {
+    return node.probes;
+  }
+  return node.port ? [{ type: 'tcp', port: node.port }] : [{ type: 'icmp' }];
+}
+
+async function runProbe(node, probe) {
+  const handler = probeHandlers.get(probe.type);
+  if (!handler) {
+    return { type: probe.type, success: false, responseTime: 0, message: `Unknown probe type "${probe.type}"` };
+  }
+  try {
+    const result = await handler(node, probe);
+    return { type: probe.type, ...result };
+  } catch (error) {
+    return { type: probe.type, success: false, responseTime: 0, message: error.message };
+  }
+}
+
+// Extracts per-reply round-trip times from ping output. A reply line has one
+// time value; the Windows summary (Minimum = 0ms, Maximum = ...) has three and
+// the Unix summaries (min/avg/max = 0.1/0.2/0.3 ms) have none. Replies cannot
+// be told apart by their TTL: IPv6 replies show a hop limit or nothing.
+function parsePingTimes(stdout) {
+  const times = [];
+  (stdout || '').split('\n').forEach(line => {
+    const matches = [...line.matchAll(/[=<]\s*([\d.,]+)\s*ms/gi)];
+    if (matches.length === 1) times.push(parseFloat(matches[0][1].replace(',', '.')));
+  });
+  return times;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Summarizes RTT samples of a burst: min/avg/max, jitter (mean difference
+// between consecutive samples) and packet loss in percent.
+function summarizeSamples(samples, sent) {
+  const packetLoss = sent > 0 ? round2(((sent - samples.length) / sent) * 100) : 100;
+  if (samples.length === 0) {
+    return { rtt: null, jitter: null, packetLoss };
+  }
+
+  let jitter = 0;
+  for (let i = 1; i < samples.length; i++) {
+    jitter += Math.abs(samples[i] - samples[i - 1]);
+  }
+
+  return {
+    rtt: {
+      min: round2(Math.min(...samples)),
+      avg: round2(samples.reduce((sum, t) => sum + t, 0) / samples.length),
+      max: round2(Math.max(...samples))
+    },
+    jitter: samples.length > 1 ? round2(jitter / (samples.length - 1)) : 0,
+    packetLoss
+  };
+}
+
+// Returns [command, args]. -w is milliseconds on Windows, -W is milliseconds on
+// macOS and seconds on Linux. Windows and Linux ping detect IPv6 addresses
+// themselves; macOS needs ping6, which has no reply timeout.
+function buildPingCommand(host, count, timeout) {
+  if (process.platform === 'win32') {
+    return ['ping', ['-n', String(count), '-w', String(timeout), host]];
+  }
+  if (process.platform === 'darwin') {
+    return isValidIPv6(host)
+      ? ['ping6', ['-c', String(count), '-i', '1', host]]
+      : ['ping', ['-c', String(count), '-i', '0.2', '-W', String(timeout), host]];
+  }
+  return ['ping', ['-c', String(count), '-i', '0.2', '-W', String(Math.max(1, Math.ceil(timeout / 1000))), host]];
+}
+
+// Runs the system ping without a shell. Addresses come from user-edited or
+// imported configs, so anything that is not an IP address or hostname is
+// refused: it could otherwise be read as a command line option.
+// Resolves to the round-trip times of the replies; rejects for an invalid host
+// or when ping cannot be run at all.
+function pingHost(host, { count = 1, timeout = 1000 } = {}) {
+  if (typeof host !== 'string' || !isValidHostname(host)) {
+    return Promise.reject(new Error(`Invalid address "${host}"`));
+  }
+  const replies = Math.min(Math.max(1, Math.floor(count) || 1), 100);
+  const wait = Math.min(Math.max(100, Math.floor(timeout) || 1000), 60000);
+
+  const [command, args] = buildPingCommand(host, replies, wait);
+  // Also ends ping6, and any ping that ignores its own timeout
+  const limit = (replies + 1) * 1000 + wait;
+
+  return new Promise((resolve, reject) => {
+    // ping exits non-zero when nothing answered, the output is still parsed
+    execFile(command, args, { windowsHide: true, timeout: limit }, (error, stdout) => {
+      // A missing or unusable ping must not look like a host that is down
+      if (error && error.code === 'ENOENT') {
+        reject(new Error(`${command} is not installed`));
+        return;
+      }
+      if (error && error.code === 'EACCES') {
+        reject(new Error(`${command} cannot be run: permission denied`));
+        return;
+      }
+      resolve(parsePingTimes(stdout));
+    });
+  });
+}
+
+const TRACEROUTE_MAX_HOPS = 30;
+const TRACEROUTE_TIMEOUT = 120000;
+
+// Returns the [command, args] to try in order. One probe per hop with a one
+// second wait (tracert always sends three); Linux falls back to tracepath,
+// which ships with iputils when traceroute is not installed.
+function buildTracerouteCommands(host) {
+  const maxHops = String(TRACEROUTE_MAX_HOPS);
+  if (process.platform === 'win32') {
+    return [['tracert', ['-d', '-h', maxHops, '-w', '1000', host]]];
+  }
+  if (process.platform === 'darwin') {
+    return [[isValidIPv6(host) ? 'traceroute6' : 'traceroute', ['-n', '-q', '1', '-w', '1', '-m', maxHops, host]]];
+  }
+  return [
+    ['traceroute', ['-n', '-q', '1', '-w', '1', '-m', maxHops, host]],
+    ['tracepath', ['-n', '-m', maxHops, host]]
+  ];
+}
+
+// traceroute prints " 3  10.0.0.1  5.123 ms", tracert "  3    12 ms    11 ms    11 ms  10.0.0.1"
+// and tracepath " 3:  10.0.0.1   5.1ms". Hops that did not answer get ip: null.
+// tracepath repeats a hop when the path MTU changes; the first answer is kept.
+function parseTracerouteOutput(stdout) {
+  const hops = [];
+
+  stdout.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(\d+)\??:?\s+(.*)$/);
+    if (!match) return;
+    const hop = Number(match[1]);
+    const ip = match[2].split(/\s+/)
+      .map(token => token.replace(/^[([]|[)\]]$/g, ''))
+      .find(token => isValidIPv4(token) || isValidIPv6(token)) || null;
+    const rtt = match[2].match(/<?(\d+(?:\.\d+)?)\s*ms/);
+
+    const entry = { hop, ip, rtt: rtt ? Number(rtt[1]) : null };
+    const existing = hops.find(h => h.hop === hop);
+    if (!existing) hops.push(entry);
+    else if (!existing.ip && ip) Object.assign(existing, entry);
+  });
+
+  return hops.sort((a, b) => a.hop - b.hop);
+}
+
+// Like pingHost, the address is validated before it reaches the command line.
+// Resolves to the parsed hops; rejects when no traceroute command is installed.
+function runTraceroute(host) {
+  if (typeof host !== 'string' || !isValidHostname(host)) {
+    return Promise.reject(new Error(`Invalid address "${host}"`));
+  }
+
+  const commands = buildTracerouteCommands(host);
+  const attempt = (index) => new Promise((resolve, reject) => {
+    const [command, args] = commands[index];
+    // Non-zero exits (destination unreachable, timeout) still leave the hops found so far
+    execFile(command, args, { windowsHide: true, timeout: TRACEROUTE_TIMEOUT }, (error, stdout) => {
+      if (error && error.code === 'ENOENT') {
+        if (index + 1 < commands.length) attempt(index + 1).then(resolve, reject);
+        else reject(new Error(`${commands[0][0]} is not installed`));
+        return;
+      }
+      resolve(parseTracerouteOutput(stdout || ''));
+    });
+  });
+
+  return attempt(0);
+}
+
+registerProbe('icmp', async (node, probe) => {
+  const timeout = probe.timeout || 1000;
+  const count = Math.max(1, probe.count || 1);
+  let samples;
+  try {
+    samples = await pingHost(node.address, { count, timeout });
+  } catch (error) {
+    return { success: false, responseTime: 0, message: error.message };
+  }
+
+  const stats = summarizeSamples(samples, count);
+  return {
+    success: samples.length > 0,
+    responseTime: stats.rtt ? stats.rtt.avg : timeout,
+    ...stats,
+    samples,
+    message: samples.length > 0
+      ? `${samples.length}/${count} replies, avg ${stats.rtt.avg} ms`
+      : 'No reply'
+  };
+});
+
+function tcpConnect(host, port, timeout) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    const start = process.hrtime.bigint();
+
+    socket.setTimeout(timeout);
+    socket.on('connect', () => {
+      const rtt = Number(process.hrtime.bigint() - start) / 1e6;
+      socket.destroy();
+      resolve({ success: true, rtt });
+    });
+    socket.on('error', (err) => {
+      socket.destroy();
+      resolve({ success: false, message: err.code || err.message });
+    });
+    socket.on('timeout', () => {
+      socket.destroy();
+      resolve({ success: false, message: 'Timed out' });
+    });
+    socket.connect(port, host);
+  });
+}
+
+// Connect `count` times in a row and report handshake times like a ping burst
+registerProbe('tcp', async (node, probe) => {
+  const port = probe.port || node.port;
+  const timeout = probe.timeout || 1000;
+  const count = Math.max(1, probe.count || 1);
+
+  const samples = [];
+  let lastError = null;
+  for (let i = 0; i < count; i++) {
+    const attempt = await tcpConnect(node.address, port, timeout);
+    if (attempt.success) samples.push(round2(attempt.rtt));
+    else lastError = attempt.message;
+  }
+
+  const stats = summarizeSamples(samples, count);
+  return {
+    success: samples.length > 0,
+    responseTime: stats.rtt ? stats.rtt.avg : timeout,
+    ...stats,
+    samples,
+    message: samples.length > 0 ? `Port ${port} open, avg ${stats.rtt.avg} ms` : lastError
+  };
+});
+
+function httpProbe(node, probe, secure) {
+  return new Promise((resolve) => {
+    const client = secure ? https : http;
+    const timeout = probe.timeout || 5000;
+    const start = Date.now();
+    const wantBody = !!probe.keyword;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      resolve({ responseTime: Date.now() - start, ...result });
+    };
+
+    const req = client.request({
+      host: node.address,
+      port: probe.port || (secure ? 443 : 80),
+      path: probe.path || '/',
+      method: 'GET',
+      timeout,
+      servername: secure && probe.hostname ? probe.hostname : undefined,
+      rejectUnauthorized: secure ? !probe.ignoreTlsErrors : undefined,
+      headers: {
+        // IPv6 literals are bracketed, without the zone ID
+        'Host': probe.hostname || (net.isIPv6(node.address) ? `[${node.address.split('%')[0]}]` : node.address),
+        'User-Agent': 'NetworkTopology-Monitor'
+      }
+    }, (res) => {
+      const statusCode = res.statusCode;
+      const statusOk = probe.expectedStatus
+        ? statusCode === Number(probe.expectedStatus)
+        : statusCode >= 200 && statusCode < 400;
+
+      if (!wantBody) {
+        res.resume();
+        finish({
+          success: statusOk,
+          statusCode,
+          message: `HTTP ${statusCode}`
+        });
+        return;
+      }
+
+      // Read at most 1 MB of body when looking for a keyword
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (body.length < 1024 * 1024) body += chunk;
+      });
+      res.on('end', () => {
+        const keywordFound = body.includes(probe.keyword);
+        finish({
+          success: statusOk && keywordFound,
+          statusCode,
+          message: keywordFound
+            ? `HTTP ${statusCode}`
+            : `HTTP ${statusCode}, keyword "${probe.keyword}" not found`
+        });
+      });
+      res.on('error', (err) => finish({ success: false, statusCode, message: err.message }));
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      finish({ success: false, message: 'Timed out' });
+    });
+    req.on('error', (err) => finish({ success: false, message: err.code || err.message }));
+    req.end();
+  });
+}
+
+registerProbe('http', (node, probe) => httpProbe(node, probe, false));
+registerProbe('https', (node, probe) => httpProbe(node, probe, true));
+
+registerProbe('dns', async (node, probe) => {
+  const timeout = probe.timeout || 5000;
+  const resolver = new dns.promises.Resolver({ timeout, tries: 1 });
+  resolver.setServers([probe.resolver || node.address]);
+
+  const recordType = probe.recordType || 'A';
+  const start = Date.now();
+
+  try {
+    const records = await resolver.resolve(probe.query, recordType);
+    const answers = records.map(r => (typeof r === 'object' ? JSON.stringify(r) : String(r)));
+    const matched = !probe.expected || answers.some(a => a.includes(probe.expected));
+    return {
+      success: matched,
+      responseTime: Date.now() - start,
+      answers,
+      message: matched
+        ? `${probe.query} ${recordType} → ${answers.join(', ')}`
+        : `Expected "${probe.expected}", got ${answers.join(', ') || 'no records'}`
+    };
+  } catch (error) {
+    return { success: false, responseTime: Date.now() - start, message: error.code || error.message };
+  }
+});
+
+registerProbe('tls', (node, probe) => {
+  return new Promise((resolve) => {
+    const timeout = probe.timeout || 5000;
+    const warnDays = probe.warnDays !== undefined && probe.warnDays !== null ? Number(probe.warnDays) : 14;
+    const servername = probe.hostname || (net.isIP(node.address) ? undefined : node.address);
+    const start = Date.now();
+
+    const socket = tls.connect({
+      host: node.address,
+      port: probe.port || 443,
+      servername,
+      rejectUnauthorized: false
+    });
+
+    socket.setTimeout(timeout);
+
+    socket.on('secureConnect', () => {
+      const cert = socket.getPeerCertificate();
+      const responseTime = Date.now() - start;
+      socket.end();
+
+      if (!cert || !cert.valid_to) {
+        resolve({ success: false, responseTime, message: 'No certificate presented' });
+        return;
+      }
+
+      const expiresAt = new Date(cert.valid_to);
+      const daysRemaining = Math.floor((expiresAt.getTime() - Date.now()) / 86400000);
+      const trusted = socket.authorized || !!probe.ignoreTlsErrors;
+      const expired = daysRemaining < 0;
+
+      let message = `Certificate expires in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}`;
+      if (expired) message = 'Certificate expired';
+      else if (!trusted) message = `Untrusted certificate: ${socket.authorizationError}`;
+
+      resolve({
+        success: trusted && !expired,
+        warning: !expired && daysRemaining <= warnDays,
+        responseTime,
+        certSubject: cert.subject ? cert.subject.CN : null,
+        certIssuer: cert.issuer ? cert.issuer.CN : null,
+        certExpiresAt: expiresAt.toISOString(),
+        certDaysRemaining: daysRemaining,
+        message
+      });
+    });
+
+    socket.on('timeout', () => {
+      socket.destroy();
+      resolve({ success: false, responseTime: timeout, message: 'Timed out' });
+    });
+
+    socket.on('error', (err) => {
+      socket.destroy();
+      resolve({ success: false, responseTime: Date.now() - start, message: err.code || err.message });
+    });
+  });
+});
+
+// ============================================
+// SNMP Probe
+// ============================================
+
+// Credentials come from node.snmp: { version: '2c' | '3', port, community,
+// username, securityLevel, authProtocol, authKey, privProtocol, privKey }
+const SNMP_OIDS = {
+  sysDescr: '1.3.6.1.2.1.1.1.0',
+  sysUpTime: '1.3.6.1.2.1.1.3.0',
+  sysName: '1.3.6.1.2.1.1.5.0',
+  ifDescr: '1.3.6.1.2.1.2.2.1.2',
+  ifOperStatus: '1.3.6.1.2.1.2.2.1.8',
+  ifInOctets: '1.3.6.1.2.1.2.2.1.10',
+  ifOutOctets: '1.3.6.1.2.1.2.2.1.16',
+  ifName: '1.3.6.1.2.1.31.1.1.1.1',
+  ifHCInOctets: '1.3.6.1.2.1.31.1.1.1.6',
+  ifHCOutOctets: '1.3.6.1.2.1.31.1.1.1.10',
+  ifHighSpeed: '1.3.6.1.2.1.31.1.1.1.15',
+  hrProcessorLoad: '1.3.6.1.2.1.25.3.3.1.2',
+  hrStorageType: '1.3.6.1.2.1.25.2.3.1.2',
+  hrStorageUnits: '1.3.6.1.2.1.25.2.3.1.4',
+  hrStorageSize: '1.3.6.1.2.1.25.2.3.1.5',
+  hrStorageUsed: '1.3.6.1.2.1.25.2.3.1.6'
+};
+
+const HR_STORAGE_RAM = '1.3.6.1.2.1.25.2.1.2';
+const IF_OPER_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+
+function createSnmpSession(node, timeout) {
+  const settings = node.snmp || {};
+  const options = {
+    port: settings.port || 161,
+    retries: 0,
+    timeout,
+    transport: net.isIPv6(node.address) ? 'udp6' : 'udp4'
+  };
+
+  if (settings.version === '3') {
+    const level = snmp.SecurityLevel[settings.securityLevel] || snmp.SecurityLevel.noAuthNoPriv;
+    const user = { name: settings.username || '', level };
+    if (level !== snmp.SecurityLevel.noAuthNoPriv) {
+      user.authProtocol = snmp.AuthProtocols[settings.authProtocol] || snmp.AuthProtocols.sha;
+      user.authKey = settings.authKey;
+    }
+    if (level === snmp.SecurityLevel.authPriv) {
+      user.privProtocol = snmp.PrivProtocols[settings.privProtocol] || snmp.PrivProtocols.aes;
+      user.privKey = settings.privKey;
+    }
+    return snmp.createV3Session(node.address, user, { ...options, version: snmp.Version3 });
+  }
+
+  return snmp.createSession(node.address, settings.community || 'public', { ...options, version: snmp.Version2c });
+}
+
+function snmpGet(session, oids) {
+  return new Promise((resolve, reject) => {
+    session.get(oids, (error, varbinds) => {
+      if (error) reject(error);
+      else resolve(varbinds.map(vb => (snmp.isVarbindError(vb) ? null : vb.value)));
+    });
+  });
+}
+
+// Walks one table column into a Map of row index -> value. Devices that do not
+// implement the column simply yield an empty map. Returning true from the feed
+// callback ends the walk, which guards against agents that answer a bulk request
+// with exception varbinds instead of moving past the end of the column.
+function snmpColumn(session, oid) {
+  return new Promise((resolve) => {
+    const rows = new Map();
+    session.subtree(oid, 20, (varbinds) => {
+      for (const vb of varbinds) {
+        const index = vb.oid.slice(oid.length + 1);
+        if (snmp.isVarbindError(vb) || rows.has(index)) return true;
+        rows.set(index, vb.value);
+      }
+      return false;
+    }, () => resolve(rows));
+  });
+}
+
+// Counter64 values arrive as big-endian Buffers
+function snmpNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) {
+    let n = 0;
+    for (const byte of value) n = n * 256 + byte;
+    return n;
+  }
+  return Number(value);
+}
+
+function snmpString(value) {
+  if (value === null || value === undefined) return null;
+  return Buffer.isBuffer(value) ? value.toString('utf8').replace(/\0/g, '').trim() : String(value);
+}
+
+async function collectSnmpInterfaces(session) {
+  const columns = ['ifDescr', 'ifName', 'ifOperStatus', 'ifHCInOctets', 'ifHCOutOctets', 'ifInOctets', 'ifOutOctets', 'ifHighSpeed'];
+  const values = await Promise.all(columns.map(column => snmpColumn(session, SNMP_OIDS[column])));
+  const table = {};
+  columns.forEach((column, i) => { table[column] = values[i]; });
+
+  return Array.from(table.ifDescr.keys()).map(index => {
+    const hcIn = table.ifHCInOctets.get(index);
+    const hcOut = table.ifHCOutOctets.get(index);
+    return {
+      index: Number(index),
+      name: snmpString(table.ifName.get(index)) || snmpString(table.ifDescr.get(index)),
+      description: snmpString(table.ifDescr.get(index)),
+      operStatus: IF_OPER_STATUS[table.ifOperStatus.get(index)] || 'unknown',
+      // 64-bit counters when available, the 32-bit ones wrap within seconds on fast links
+      inOctets: snmpNumber(hcIn !== undefined ? hcIn : table.ifInOctets.get(index)),
+      outOctets: snmpNumber(hcOut !== undefined ? hcOut : table.ifOutOctets.get(index)),
+      counterBits: hcIn !== undefined ? 64 : 32,
+      speedMbps: snmpNumber(table.ifHighSpeed.get(index))
+    };
+  }).sort((a, b) => a.index - b.index);
+}
+
+// nodeId -> { uptime, interfaces: Map(index -> { inOctets, outOctets, time }) }
+// from the previous SNMP check, used to turn octet counters into bit rates
+const snmpCounterSamples = new Map();
+
+function counterDelta(previous, current, bits) {
+  if (previous === null || current === null) return null;
+  if (current >= previous) return current - previous;
+  // 32-bit counters wrap regularly; a 64-bit counter going backwards was reset
+  return bits === 32 ? current + 2 ** 32 - previous : null;
+}
+
+// Adds inBps/outBps to every interface (null on the first sample)
+function applySnmpRates(nodeId, interfaces, uptime, time) {
+  const previous = snmpCounterSamples.get(nodeId);
+  // A lower sysUpTime means the agent restarted and its counters started over
+  const comparable = previous && (uptime === null || previous.uptime === null || uptime >= previous.uptime);
+
+  interfaces.forEach(iface => {
+    const before = comparable ? previous.interfaces.get(iface.index) : null;
+    const seconds = before ? (time - before.time) / 1000 : 0;
+    const rate = (from, to) => {
+      const delta = seconds > 0 ? counterDelta(from, to, iface.counterBits) : null;
+      return delta !== null ? Math.round(delta * 8 / seconds) : null;
+    };
+    iface.inBps = before ? rate(before.inOctets, iface.inOctets) : null;
+    iface.outBps = before ? rate(before.outOctets, iface.outOctets) : null;
+  });
+
+  snmpCounterSamples.set(nodeId, {
+    uptime,
+    interfaces: new Map(interfaces.map(iface => [iface.index, { inOctets: iface.inOctets, outOctets: iface.outOctets, time }]))
+  });
+}
+
+// Interfaces are referred to by ifName, ifDescr or ifIndex
+function findSnmpInterface(interfaces, key) {
+  return (interfaces || []).find(i => i.name === key || i.description === key || String(i.index) === key) || null;
+}
+
+// CPU is the average hrProcessorLoad, memory the hrStorageRam entry (HOST-RESOURCES-MIB)
+async function collectSnmpResources(session) {
+  const [load, types, units, sizes, used] = await Promise.all([
+    snmpColumn(session, SNMP_OIDS.hrProcessorLoad),
+    snmpColumn(session, SNMP_OIDS.hrStorageType),
+    snmpColumn(session, SNMP_OIDS.hrStorageUnits),
+    snmpColumn(session, SNMP_OIDS.hrStorageSize),
+    snmpColumn(session, SNMP_OIDS.hrStorageUsed)
+  ]);
+
+  const loads = Array.from(load.values()).map(Number);
+  const cpu = loads.length > 0 ? round2(loads.reduce((a, b) => a + b, 0) / loads.length) : null;
+
+  let memory = null;
+  types.forEach((type, index) => {
+    if (memory || String(type) !== HR_STORAGE_RAM) return;
+    const unit = snmpNumber(units.get(index)) || 1;
+    const total = snmpNumber(sizes.get(index)) * unit;
+    const usedBytes = snmpNumber(used.get(index)) * unit;
+    if (total > 0) memory = { total, used: usedBytes, percent: round2(usedBytes / total * 100) };
+  });
+
+  return { cpu, memory };
+}
+
+// probe.interfaces: optional comma separated interface names or indexes that
+// must be operationally up; the check warns when one of them is not
+registerProbe('snmp', async (node, probe) => {
+  const timeout = probe.timeout || 5000;
+  const session = createSnmpSession(node, timeout);
+  const start = Date.now();
+  // Socket errors are emitted on the session, not passed to the requests;
+  // without a listener they would crash the process
+  const sessionError = new Promise((resolve, reject) => session.on('error', reject));
+
+  try {
+    const [sysDescr, sysUpTime, sysName] = await Promise.race([
+      snmpGet(session, [SNMP_OIDS.sysDescr, SNMP_OIDS.sysUpTime, SNMP_OIDS.sysName]),
+      sessionError
+    ]);
+    const responseTime = Date.now() - start;
+
+    const [interfaces, resources] = await Promise.race([
+      Promise.all([collectSnmpInterfaces(session), collectSnmpResources(session)]),
+      sessionError
+    ]);
+
+    const watched = String(probe.interfaces || '').split(',').map(s => s.trim()).filter(Boolean);
+    const watchedDown = watched.filter(key => {
+      const iface = findSnmpInterface(interfaces, key);
+      return !iface || iface.operStatus !== 'up';
+    });
+
+    // sysUpTime is in hundredths of a second
+    const uptimeSeconds = sysUpTime !== null ? Math.floor(Number(sysUpTime) / 100) : null;
+    const collectedAt = Date.now();
+    applySnmpRates(node.id, interfaces, uptimeSeconds, collectedAt);
+    return {
+      success: true,
+      warning: watchedDown.length > 0,
+      responseTime,
+      snmp: {
+        sysName: snmpString(sysName),
+        sysDescr: snmpString(sysDescr),
+        sysUpTime: uptimeSeconds,
+        interfaces,
+        cpu: resources.cpu,
+        memory: resources.memory,
+        collectedAt
+      },
+      message: watchedDown.length > 0
+        ? `Interface${watchedDown.length > 1 ? 's' : ''} not up: ${watchedDown.join(', ')}`
+        : `SNMP ${node.snmp && node.snmp.version === '3' ? 'v3' : 'v2c'} OK, ${interfaces.length} interfaces`
+    };
+  } catch (error) {
+    return { success: false, responseTime: Date.now() - start, message: error.message };
+  } finally {
+    session.close();
+  }
+});
+
+// ============================================
+// Monitoring History Storage
+// ============================================
+
+// Every check result is appended to per-node JSONL segment files in userData:
+//
+//   history/raw/<nodeId>/<YYYY-MM-DDTHH>.jsonl   one line per check
+//   history/1m/<nodeId>/<YYYY-MM-DD>.jsonl       one line per minute
+//   history/1h/<nodeId>/<YYYY-MM>.jsonl          one line per hour
+//
+// Raw lines are { t, s, h, r, j, l } (time, status 1/0, health, avg RTT, jitter,
+// loss). Rollup lines are { t, n, up, dg, r, rmin, rmax, l } (bucket start,
+// samples, up samples, degraded samples, avg/min/max RTT, avg loss). Whole
+// segment files are deleted once they fall out of the retention window.
+
+const HISTORY_RESOLUTIONS = {
+  raw: { bucket: 0, segmentKey: (t) => new Date(t).toISOString().slice(0, 13) },
+  '1m': { bucket: 60000, segmentKey: (t) => new Date(t).toISOString().slice(0, 10) },
+  '1h': { bucket: 3600000, segmentKey: (t) => new Date(t).toISOString().slice(0, 7) }
+};
+
+const HISTORY_DEFAULTS = {
+  rawRetentionDays: 2,
+  minuteRetentionDays: 30,
+  hourRetentionDays: 365
+};
+
+const HISTORY_FLUSH_INTERVAL = 5000;
+const HISTORY_PRUNE_INTERVAL = 3600000;
+
+// filePath -> pending lines
+const historyBuffer = new Map();
+// nodeId -> { '1m': bucket, '1h': bucket }
+const historyRollups = new Map();
+const historyDirs = new Set();
+let historySettings = { ...HISTORY_DEFAULTS };
+let historyFlushTimer = null;
+let historyPruneTimer = null;
+
+// Set by the host (userData/history in the app); nothing is recorded until then
+let historyPath = null;
+
+function setHistoryPath(dir) {
+  historyPath = dir;
+}
+
+function getHistoryPath() {
+  return historyPath;
+}
+
+function sanitizeNodeId(nodeId) {
+  return String(nodeId).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function getSegmentPath(resolution, nodeId, time) {
+  const key = HISTORY_RESOLUTIONS[resolution].segmentKey(time);
+  return path.join(getHistoryPath(), resolution, sanitizeNodeId(nodeId), `${key}.jsonl`);
+}
+
+// Start and end time of a segment file from its name
+function getSegmentRange(resolution, fileName) {
+  const key = fileName.replace(/\.jsonl$/, '');
+  if (resolution === 'raw') {
+    const start = Date.parse(`${key}:00:00Z`);
+    return { start, end: start + 3600000 };
+  }
+  if (resolution === '1m') {
+    const start = Date.parse(`${key}T00:00:00Z`);
+    return { start, end: start + 86400000 };
+  }
+  const start = Date.parse(`${key}-01T00:00:00Z`);
+  const next = new Date(start);
+  next.setUTCMonth(next.getUTCMonth() + 1);
+  return { start, end: next.getTime() };
+}
+
+function appendHistoryLine(filePath, entry) {
+  if (!historyBuffer.has(filePath)) historyBuffer.set(filePath, []);
+  historyBuffer.get(filePath).push(JSON.stringify(entry));
+}
+
+function newRollupBucket(start) {
+  return { start, n: 0, up: 0, dg: 0, rttSum: 0, rttN: 0, rmin: null, rmax: null, lossSum: 0, lossN: 0 };
+}
+
+function addToRollup(bucket, sample) {
+  bucket.n++;
+  if (sample.s) bucket.up++;
+  if (sample.h === 'degraded') bucket.dg++;
+  if (sample.r !== null) {
+    bucket.rttSum += sample.r;
+    bucket.rttN++;
+    bucket.rmin = bucket.rmin === null ? sample.r : Math.min(bucket.rmin, sample.r);
+    bucket.rmax = bucket.rmax === null ? sample.r : Math.max(bucket.rmax, sample.r);
+  }
+  if (sample.l !== null) {
+    bucket.lossSum += sample.l;
+    bucket.lossN++;
+  }
+}
+
+function toRollupEntry(bucket) {
+  return {
+    t: bucket.start,
+    n: bucket.n,
+    up: bucket.up,
+    dg: bucket.dg,
+    r: bucket.rttN > 0 ? round2(bucket.rttSum / bucket.rttN) : null,
+    rmin: bucket.rmin,
+    rmax: bucket.rmax,
+    l: bucket.lossN > 0 ? round2(bucket.lossSum / bucket.lossN) : null
+  };
+}
+
+function writeRollup(resolution, nodeId, bucket) {
+  if (bucket.n === 0) return;
+  appendHistoryLine(getSegmentPath(resolution, nodeId, bucket.start), toRollupEntry(bucket));
+}
+
+function recordHistory(nodeId, state) {
+  if (!state.result || !historyPath) return;
+
+  const sample = {
+    t: state.result.lastChecked,
+    s: state.status ? 1 : 0,
+    h: state.health,
+    r: state.result.rtt ? state.result.rtt.avg : null,
+    j: state.result.jitter,
+    l: state.result.packetLoss
+  };
+  appendHistoryLine(getSegmentPath('raw', nodeId, sample.t), sample);
+
+  // Downsample into the minute and hour rollups as samples arrive
+  let rollups = historyRollups.get(nodeId);
+  if (!rollups) {
+    rollups = {};
+    historyRollups.set(nodeId, rollups);
+  }
+  ['1m', '1h'].forEach(resolution => {
+    const size = HISTORY_RESOLUTIONS[resolution].bucket;
+    const start = Math.floor(sample.t / size) * size;
+    if (rollups[resolution] && rollups[resolution].start !== start) {
+      writeRollup(resolution, nodeId, rollups[resolution]);
+      rollups[resolution] = null;
+    }
+    if (!rollups[resolution]) rollups[resolution] = newRollupBucket(start);
+    addToRollup(rollups[resolution], sample);
+  });
+
+  startHistoryTimers();
+}
+
+// Write rollup buckets whose period is over (or all of them when `all` is set)
+function closeRollups(all = false) {
+  const now = Date.now();
+  historyRollups.forEach((rollups, nodeId) => {
+    ['1m', '1h'].forEach(resolution => {
+      const bucket = rollups[resolution];
+      if (bucket && (all || now >= bucket.start + HISTORY_RESOLUTIONS[resolution].bucket)) {
+        writeRollup(resolution, nodeId, bucket);
+        rollups[resolution] = null;
+      }
+    });
+  });
+}
+
+async function flushHistory() {
+  closeRollups();
+  const pending = Array.from(historyBuffer.entries());
+  historyBuffer.clear();
+
+  for (const [filePath, lines] of pending) {
+    try {
+      const dir = path.dirname(filePath);
+      if (!historyDirs.has(dir)) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        historyDirs.add(dir);
+      }
+      await fs.promises.appendFile(filePath, lines.join('\n') + '\n');
+    } catch (error) {
+      console.error('Failed to write history:', error);
+    }
+  }
+}
+
+// Used on quit: also writes the rollup buckets that are still open
+function flushHistorySync() {
+  closeRollups(true);
+  historyBuffer.forEach((lines, filePath) => {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, lines.join('\n') + '\n');
+    } catch (error) {
+      console.error('Failed to write history:', error);
+    }
+  });
+  historyBuffer.clear();
+}
+
+async function pruneHistory() {
+  if (!historyPath) return;
+  const retentionDays = {
+    raw: historySettings.rawRetentionDays,
+    '1m': historySettings.minuteRetentionDays,
+    '1h': historySettings.hourRetentionDays
+  };
+  const now = Date.now();
+
+  for (const resolution of Object.keys(HISTORY_RESOLUTIONS)) {
+    const cutoff = now - retentionDays[resolution] * 86400000;
+    const resolutionDir = path.join(getHistoryPath(), resolution);
+    let nodeDirs;
+    try {
+      nodeDirs = await fs.promises.readdir(resolutionDir);
+    } catch (e) {
+      continue;
+    }
+
+    for (const nodeDir of nodeDirs) {
+      const dir = path.join(resolutionDir, nodeDir);
+      const files = await fs.promises.readdir(dir).catch(() => []);
+      for (const file of files) {
+        if (getSegmentRange(resolution, file).end < cutoff) {
+          await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+        }
+      }
+    }
+  }
+}
+
+function startHistoryTimers() {
+  if (!historyFlushTimer) {
+    historyFlushTimer = setInterval(flushHistory, HISTORY_FLUSH_INTERVAL);
+  }
+  if (!historyPruneTimer) {
+    pruneHistory();
+    historyPruneTimer = setInterval(pruneHistory, HISTORY_PRUNE_INTERVAL);
+  }
+}
+
+function configureHistory(settings) {
+  historySettings = { ...HISTORY_DEFAULTS };
+  Object.keys(HISTORY_DEFAULTS).forEach(key => {
+    const value = settings && Number(settings[key]);
+    if (value > 0) historySettings[key] = value;
+  });
+}
+
+// Picks the finest resolution that still covers the requested range
+function pickHistoryResolution(from, to) {
+  const now = Date.now();
+  const span = to - from;
+  if (span <= 6 * 3600000 && from >= now - historySettings.rawRetentionDays * 86400000) return 'raw';
+  if (span <= 7 * 86400000 && from >= now - historySettings.minuteRetentionDays * 86400000) return '1m';
+  return '1h';
+}
+
+async function readHistory(nodeId, resolution, from, to) {
+  if (!historyPath) return [];
+  const dir = path.join(getHistoryPath(), resolution, sanitizeNodeId(nodeId));
+  const files = await fs.promises.readdir(dir).catch(() => []);
+  const entries = [];
+
+  for (const file of files.sort()) {
+    const range = getSegmentRange(resolution, file);
+    if (range.end <= from || range.start > to) continue;
+
+    const data = await fs.promises.readFile(path.join(dir, file), 'utf8').catch(() => '');
+    data.split('\n').forEach(line => {
+      if (!line) return;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.t >= from && entry.t <= to) entries.push(entry);
+      } catch (e) {
+        // Ignore a partially written line
+      }
+    });
+  }
+
+  return entries.sort((a, b) => a.t - b.t);
+}
+
+// Normalizes raw and rollup lines to one point shape for the renderer.
+// `uptime` is the fraction of samples that were up (0 or 1 for raw points).
+function toHistoryPoint(resolution, entry) {
+  if (resolution === 'raw') {
+    return {
+      time: entry.t,
+      samples: 1,
+      uptime: entry.s,
+      health: entry.h,
+      rtt: entry.r,
+      rttMin: entry.r,
+      rttMax: entry.r,
+      jitter: entry.j,
+      packetLoss: entry.l
+    };
+  }
+  return {
+    time: entry.t,
+    samples: entry.n,
+    uptime: entry.n > 0 ? entry.up / entry.n : 0,
+    degraded: entry.n > 0 ? entry.dg / entry.n : 0,
+    rtt: entry.r,
+    rttMin: entry.rmin,
+    rttMax: entry.rmax,
+    jitter: null,
+    packetLoss: entry.l
+  };
+}
+
+async function queryHistory({ nodeId, from, to, resolution = 'auto' }) {
+  const end = to || Date.now();
+  const start = from || end - 3600000;
+  const chosen = HISTORY_RESOLUTIONS[resolution] ? resolution : pickHistoryResolution(start, end);
+
+  await flushHistory();
+  const entries = await readHistory(nodeId, chosen, start, end);
+
+  // Include the rollup bucket that is still being filled so graphs reach "now"
+  const rollups = historyRollups.get(nodeId);
+  const open = rollups && rollups[chosen];
+  if (open && open.n > 0 && open.start >= start && open.start <= end) {
+    entries.push(toRollupEntry(open));
+  }
+
+  return {
+    nodeId,
+    resolution: chosen,
+    from: start,
+    to: end,
+    points: entries.map(entry => toHistoryPoint(chosen, entry))
+  };
+}
+
+// ============================================
+// SLA Reports
+// ============================================
+
+// Reports use the finest resolution still retained for the start of the period
+function pickReportResolution(from) {
+  const now = Date.now();
+  if (from >= now - historySettings.rawRetentionDays * 86400000) return 'raw';
+  if (from >= now - historySettings.minuteRetentionDays * 86400000) return '1m';
+  return '1h';
+}
+
+// Turns history points into time slices with their monitored duration and
+// downtime. A raw sample lasts until the next one; longer pauses than ten
+// typical check intervals count as "not monitored" instead of up or down.
+function getReportSlices(resolution, points, to) {
+  if (resolution !== 'raw') {
+    const size = HISTORY_RESOLUTIONS[resolution].bucket;
+    return points.map(p => {
+      const duration = Math.min(size, to - p.time);
+      return { start: p.time, duration, down: duration * (1 - p.uptime) };
+    });
+  }
+
+  const gaps = points.slice(1).map((p, i) => p.time - points[i].time).sort((a, b) => a - b);
+  const typical = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : MONITOR_DEFAULTS.interval;
+  const maxGap = typical * 10;
+
+  return points.map((p, i) => {
+    const next = i < points.length - 1 ? points[i + 1].time : Math.min(to, p.time + typical);
+    const duration = Math.min(next - p.time, maxGap);
+    return { start: p.time, duration, down: p.uptime ? 0 : duration };
+  });
+}
+
+// Consecutive slices with downtime form one outage
+function computeSlaStats(slices) {
+  let monitored = 0;
+  let downtime = 0;
+  const outages = [];
+  let current = null;
+  let lastEnd = null;
+
+  slices.forEach(slice => {
+    monitored += slice.duration;
+    downtime += slice.down;
+
+    const contiguous = lastEnd !== null && slice.start <= lastEnd + 1000;
+    if (slice.down > 0) {
+      if (current && contiguous) {
+        current.duration += slice.down;
+      } else {
+        current = { start: slice.start, duration: slice.down };
+        outages.push(current);
+      }
+    } else {
+      current = null;
+    }
+    lastEnd = slice.start + slice.duration;
+  });
+
+  return {
+    monitored,
+    downtime,
+    availability: monitored > 0 ? round2((monitored - downtime) / monitored * 100) : null,
+    outages: outages.length,
+    mttr: outages.length > 0 ? Math.round(downtime / outages.length) : null,
+    longestOutage: outages.length > 0 ? Math.max(...outages.map(o => o.duration)) : null,
+    longestOutageStart: outages.length > 0 ? outages.reduce((a, b) => (b.duration > a.duration ? b : a)).start : null
+  };
+}
+
+// Container rows combine the container node and all of its members
+function combineSlaStats(rows) {
+  const monitored = rows.reduce((sum, r) => sum + r.monitored, 0);
+  const downtime = rows.reduce((sum, r) => sum + r.downtime, 0);
+  const outages = rows.reduce((sum, r) => sum + r.outages, 0);
+  const longest = rows.filter(r => r.longestOutage !== null)
+    .reduce((a, b) => (!a || b.longestOutage > a.longestOutage ? b : a), null);
+
+  return {
+    monitored,
+    downtime,
+    availability: monitored > 0 ? round2((monitored - downtime) / monitored * 100) : null,
+    outages,
+    mttr: outages > 0 ? Math.round(downtime / outages) : null,
+    longestOutage: longest ? longest.longestOutage : null,
+    longestOutageStart: longest ? longest.longestOutageStart : null
+  };
+}
+
+async function generateSlaReport({ nodes, from, to }) {
+  const end = Math.min(to || Date.now(), Date.now());
+  const start = from || end - 30 * 86400000;
+  if (start >= end) throw new Error('The report period is empty');
+
+  const resolution = pickReportResolution(start);
+  const nodeRows = [];
+
+  for (const node of nodes || []) {
+    const history = await queryHistory({ nodeId: node.id, from: start, to: end, resolution });
+    const container = node.containerId ? (nodes.find(n => n.id === node.containerId) || null) : null;
+    nodeRows.push({
+      id: node.id,
+      name: node.name || node.id,
+      address: node.address || '',
+      container: container ? container.name : '',
+      containerId: node.containerId || null,
+      ...computeSlaStats(getReportSlices(resolution, history.points, end))
+    });
+  }
+
+  const containerRows = (nodes || []).filter(n => n.isContainer).map(container => {
+    const members = nodeRows.filter(r => r.id === container.id || r.containerId === container.id);
+    return {
+      id: container.id,
+      name: container.name || container.id,
+      members: members.length,
+      ...combineSlaStats(members)
+    };
+  });
+
+  return {
+    from: start,
+    to: end,
+    generated: Date.now(),
+    resolution,
+    nodes: nodeRows,
+    containers: containerRows
+  };
+}
+
+function formatReportDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return seconds + 's';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return minutes + 'm ' + (seconds % 60) + 's';
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return hours + 'h ' + (minutes % 60) + 'm';
+  return Math.floor(hours / 24) + 'd ' + (hours % 24) + 'h';
+}
+
+function formatReportTime(time) {
+  return time ? new Date(time).toLocaleString() : '-';
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildReportCsv(report) {
+  const header = ['Scope', 'Name', 'Address', 'Container', 'Availability %', 'Outages', 'Downtime (s)',
+    'MTTR (s)', 'Longest outage (s)', 'Longest outage start', 'Monitored (s)'];
+  const seconds = (ms) => (ms === null || ms === undefined ? '' : Math.round(ms / 1000));
+  const toRow = (scope, row) => [
+    scope,
+    row.name,
+    row.address || '',
+    scope === 'container' ? `${row.members} nodes` : row.container,
+    row.availability,
+    row.outages,
+    seconds(row.downtime),
+    seconds(row.mttr),
+    seconds(row.longestOutage),
+    row.longestOutageStart ? new Date(row.longestOutageStart).toISOString() : '',
+    seconds(row.monitored)
+  ];
+
+  const rows = [
+    ...report.nodes.map(row => toRow('node', row)),
+    ...report.containers.map(row => toRow('container', row))
+  ];
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeReportHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// A single file with inline styles so it can be mailed or archived as is
+function buildReportHtml(report) {
+  const availabilityCell = (value) => {
+    if (value === null) return '<td class="na">no data</td>';
+    const level = value >= 99.9 ? 'good' : (value >= 99 ? 'warn' : 'bad');
+    return `<td class="num ${level}">${value.toFixed(2)}%</td>`;
+  };
+  const statsCells = (row) => `
+      ${availabilityCell(row.availability)}
+      <td class="num">${row.outages}</td>
+      <td class="num">${formatReportDuration(row.downtime)}</td>
+      <td class="num">${formatReportDuration(row.mttr)}</td>
+      <td class="num">${formatReportDuration(row.longestOutage)}</td>
+      <td>${row.longestOutageStart ? formatReportTime(row.longestOutageStart) : '-'}</td>`;
+  const statsHeader = '<th>Availability</th><th>Outages</th><th>Downtime</th><th>MTTR</th><th>Longest outage</th><th>Longest outage start</th>';
+
+  const nodeRows = report.nodes.map(row => `
+    <tr><td>${escapeReportHtml(row.name)}</td><td class="mono">${escapeReportHtml(row.address)}</td><td>${escapeReportHtml(row.container)}</td>${statsCells(row)}</tr>`).join('');
+  const containerRows = report.containers.map(row => `
+    <tr><td>${escapeReportHtml(row.name)}</td><td class="num">${row.members}</td>${statsCells(row)}</tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Availability Report ${escapeReportHtml(formatReportTime(report.from))} - ${escapeReportHtml(formatReportTime(report.to))}</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #1e293b; margin: 32px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; }
+  .meta { color: #64748b; font-size: 13px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { padding: 6px 10px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+  th { background: #f1f5f9; font-weight: 600; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .mono { font-family: monospace; }
+  .good { color: #16a34a; }
+  .warn { color: #ca8a04; }
+  .bad { color: #dc2626; font-weight: 600; }
+  .na { color: #94a3b8; }
+</style>
+</head>
+<body>
+<h1>Availability Report</h1>
+<div class="meta">Period: ${escapeReportHtml(formatReportTime(report.from))} &ndash; ${escapeReportHtml(formatReportTime(report.to))}</div>
+<div class="meta">Generated: ${escapeReportHtml(formatReportTime(report.generated))} &middot; history resolution: ${escapeReportHtml(report.resolution)}</div>
+${report.containers.length > 0 ? `
+<h2>Containers</h2>
+<table>
+  <thead><tr><th>Container</th><th>Nodes</th>${statsHeader}</tr></thead>
+  <tbody>${containerRows}
+  </tbody>
+</table>` : ''}
+<h2>Nodes</h2>
+<table>
+  <thead><tr><th>Node</th><th>Address</th><th>Container</th>${statsHeader}</tr></thead>
+  <tbody>${nodeRows}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// ============================================
+// Monitoring
+// ============================================
+
+// Global defaults, overridable by config.settings.monitoring and node.monitoring.
+// A null timeout lets every probe use its own default (1s for ping/TCP, 5s otherwise).
+const MONITOR_DEFAULTS = {
+  interval: 2000,
+  timeout: null,
+  retries: 0,
+  failThreshold: 1,
+  recoverThreshold: 1,
+  burstCount: 3,          // Pings / TCP connects per check
+  degradedLatency: 200,   // Average RTT (ms) above which an UP node is degraded
+  degradedLoss: 0         // Packet loss (%) above which an UP node is degraded
+};
+
+// How often the scheduler looks for nodes whose interval has elapsed
+const MONITOR_TICK = 250;
+
+// Maximum number of node checks running at the same time
+const DEFAULT_MONITOR_CONCURRENCY = 20;
+
+let monitoringInterval = null;
+let monitoringConfig = null;
+
+// targetNodeId -> [sourceNodeId] from config.connections
+let monitorDependencies = new Map();
+
+// nodeId -> last reported activePath, used to detect failover events
+const activePaths = new Map();
+
+// nodeId -> { status, rawStatus, health, consecutiveFailures, consecutiveSuccesses,
+//             statusSince, nextCheck, queued, checking, result }
+const nodeMonitorState = new Map();
+
+// Check queue shared by all nodes. A full cycle ends once every node has been
+// checked at least once since the cycle started.
+const monitorScheduler = {
+  queue: [],
+  active: 0,
+  nodeIds: new Set(),
+  cycleStart: 0,
+  cycleChecked: new Set(),
+  lastCycleDuration: null,
+  skippedOverlaps: 0,
+  dirty: false
+};
+
+function getNodeState(nodeId) {
+  let state = nodeMonitorState.get(nodeId);
+  if (!state) {
+    state = {
+      status: null,
+      rawStatus: null,
+      health: null,
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0,
+      statusSince: null,
+      nextCheck: 0,
+      queued: false,
+      checking: false,
+      result: null
+    };
+    nodeMonitorState.set(nodeId, state);
+  }
+  return state;
+}
+
+function getNodeMonitorSettings(node) {
+  const globalSettings = (monitoringConfig && monitoringConfig.settings) || {};
+  const nodeSettings = node.monitoring || {};
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  const settings = {};
+  Object.keys(MONITOR_DEFAULTS).forEach(key => {
+    if (isSet(nodeSettings[key])) settings[key] = Number(nodeSettings[key]);
+    else if (isSet(globalSettings[key])) settings[key] = Number(globalSettings[key]);
+    else settings[key] = MONITOR_DEFAULTS[key];
+  });
+  return settings;
+}
+
+async function runProbeWithRetries(node, probe, settings) {
+  const effectiveProbe = { count: settings.burstCount, ...probe };
+  if (settings.timeout && !probe.timeout) effectiveProbe.timeout = settings.timeout;
+  let result;
+  let attempts = 0;
+  do {
+    attempts++;
+    result = await runProbe(node, effectiveProbe);
+  } while (!result.success && attempts <= settings.retries);
+  return { ...result, attempts };
+}
+
+// Only flip the reported status after enough consecutive results agree,
+// so a single lost packet does not mark a node DOWN.
+function applyFlapDamping(state, online, settings) {
+  state.rawStatus = online;
+  if (online) {
+    state.consecutiveSuccesses++;
+    state.consecutiveFailures = 0;
+  } else {
+    state.consecutiveFailures++;
+    state.consecutiveSuccesses = 0;
+  }
+
+  if (state.status === null) {
+    state.status = online;
+  } else if (!state.status && online && state.consecutiveSuccesses >= settings.recoverThreshold) {
+    state.status = true;
+  } else if (state.status && !online && state.consecutiveFailures >= settings.failThreshold) {
+    state.status = false;
+  }
+}
+
+// Node-level latency figures come from the first probe that measured RTTs;
+// packet loss is the worst loss reported by any probe.
+function summarizeNodeMetrics(probeResults) {
+  const measured = probeResults.find(r => r.rtt);
+  const losses = probeResults.filter(r => typeof r.packetLoss === 'number').map(r => r.packetLoss);
+  return {
+    rtt: measured ? measured.rtt : null,
+    jitter: measured ? measured.jitter : null,
+    packetLoss: losses.length > 0 ? Math.max(...losses) : null
+  };
+}
+
+function getNodeHealth(status, metrics, settings) {
+  if (!status) return 'down';
+  if (metrics.rtt && settings.degradedLatency && metrics.rtt.avg > settings.degradedLatency) return 'degraded';
+  if (metrics.packetLoss !== null && metrics.packetLoss > settings.degradedLoss) return 'degraded';
+  return 'up';
+}
+
+async function checkNode(node) {
+  const state = getNodeState(node.id);
+  const settings = getNodeMonitorSettings(node);
+  const start = Date.now();
+  state.checking = true;
+
+  try {
+    // A node is online only when every configured probe succeeds
+    const probeResults = await Promise.all(
+      getNodeProbes(node).map(probe => runProbeWithRetries(node, probe, settings))
+    );
+    const online = probeResults.every(r => r.success);
+
+    const wasDown = state.status === false;
+    const previousStatus = state.status;
+    applyFlapDamping(state, online, settings);
+    if (state.status !== previousStatus) state.statusSince = Date.now();
+    if (state.status === false && !wasDown) recheckParents(node.id);
+    if (state.status === true && wasDown) recheckChildren(node.id);
+
+    const metrics = summarizeNodeMetrics(probeResults);
+    const checkDuration = Date.now() - start;
+    state.health = getNodeHealth(state.status, metrics, settings);
+    state.result = {
+      ...metrics,
+      responseTime: metrics.rtt ? metrics.rtt.avg : checkDuration,
+      checkDuration,
+      probeResults,
+      lastChecked: Date.now()
+    };
+
+    recordHistory(node.id, state);
+  } finally {
+    state.checking = false;
+  }
+}
+
+// ============================================
+// Dependency-Aware Outages
+// ============================================
+
+function buildDependencyMap(connections) {
+  const dependencies = new Map();
+  (connections || []).forEach(conn => {
+    if (!conn.sourceNodeId || !conn.targetNodeId) return;
+    if (!dependencies.has(conn.targetNodeId)) dependencies.set(conn.targetNodeId, []);
+    dependencies.get(conn.targetNodeId).push(conn.sourceNodeId);
+  });
+  return dependencies;
+}
+
+// When a node goes down, check its upstream nodes right away so the outage is
+// attributed to the right node before the next regular check
+function recheckParents(nodeId) {
+  const now = Date.now();
+  (monitorDependencies.get(nodeId) || []).forEach(parentId => {
+    const parentState = nodeMonitorState.get(parentId);
+    if (parentState && parentState.status && !parentState.queued && !parentState.checking) {
+      parentState.nextCheck = now;
+    }
+  });
+}
+
+// After a recovery, check the nodes behind it right away instead of reporting
+// them as down (no longer unreachable) until their next regular check
+function recheckChildren(nodeId) {
+  const now = Date.now();
+  monitorDependencies.forEach((parentIds, childId) => {
+    const childState = nodeMonitorState.get(childId);
+    if (parentIds.includes(nodeId) && childState && childState.status === false &&
+        !childState.queued && !childState.checking) {
+      childState.nextCheck = now;
+    }
+  });
+}
+
+// A down node is "unreachable" when all of its upstream nodes are down or
+// unreachable themselves. It is then attributed to the root cause: the first
+// down node upstream that still has a reachable path. Root causes get
+// impactedCount, the number of nodes unreachable because of them.
+function applyDependencies(nodes) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const rootCauses = new Map();
+  const isDown = (node) => node.status === false && !node.pending;
+
+  function findRootCause(node, visiting) {
+    if (rootCauses.has(node.id)) return rootCauses.get(node.id);
+    if (!isDown(node)) return null;
+
+    const parents = (monitorDependencies.get(node.id) || []).map(id => byId.get(id)).filter(Boolean);
+    let rootCause = null;
+    visiting.add(node.id);
+    if (parents.length > 0 && parents.every(p => isDown(p) && !visiting.has(p.id))) {
+      rootCause = findRootCause(parents[0], visiting) || parents[0].id;
+    }
+    visiting.delete(node.id);
+
+    rootCauses.set(node.id, rootCause);
+    return rootCause;
+  }
+
+  nodes.forEach(node => {
+    const rootCauseId = findRootCause(node, new Set());
+    if (rootCauseId) {
+      node.health = 'unreachable';
+      node.rootCauseId = rootCauseId;
+    }
+  });
+
+  nodes.forEach(node => {
+    if (node.health === 'down') {
+      node.impactedCount = nodes.filter(n => n.rootCauseId === node.id).length;
+    }
+  });
+  return nodes;
+}
+
+// ============================================
+// Failover Paths
+// ============================================
+
+// Which incoming connections carry traffic to a node, like activeParentId in
+// the legacy monitor.ps1: primary links while any primary parent is up, else
+// failover links with an up parent. activePath is 'primary', 'failover',
+// 'none' (no parent up) or null while a primary parent has not been checked.
+function getActivePath(node, byId) {
+  const incoming = (monitoringConfig.connections || []).filter(c => c.targetNodeId === node.id);
+  if (incoming.length === 0) return null;
+
+  const primary = incoming.filter(c => !c.isFailover);
+  const failover = incoming.filter(c => c.isFailover);
+  const parentUp = (conn) => {
+    const parent = byId.get(conn.sourceNodeId);
+    return !!(parent && parent.status && !parent.pending);
+  };
+  const toPath = (activePath, connections) => ({
+    activePath,
+    activeParentId: connections.length > 0 ? connections[0].sourceNodeId : null,
+    activeConnectionIds: connections.map(c => c.id)
+  });
+
+  const primaryUp = primary.filter(parentUp);
+  if (primaryUp.length > 0) return toPath('primary', primaryUp);
+  if (primary.some(c => byId.get(c.sourceNodeId)?.pending)) return null;
+
+  const failoverUp = failover.filter(parentUp);
+  if (failoverUp.length > 0) return toPath('failover', failoverUp);
+
+  // Nothing carries traffic; like monitor.ps1, point at the primary parent
+  return { activePath: 'none', activeParentId: (primary[0] || incoming[0]).sourceNodeId, activeConnectionIds: [] };
+}
+
+function applyActivePaths(nodes) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  nodes.forEach(node => {
+    const route = getActivePath(node, byId);
+    if (route) Object.assign(node, route);
+  });
+  return nodes;
+}
+
+// Emits 'failover' when a node switches to or back from its failover path
+function detectFailoverEvents(nodes) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  nodes.forEach(node => {
+    if (!node.activePath) return;
+
+    const previous = activePaths.get(node.id);
+    activePaths.set(node.id, node.activePath);
+    if (!previous || previous === node.activePath) return;
+    if (previous !== 'failover' && node.activePath !== 'failover') return;
+
+    const parent = byId.get(node.activeParentId);
+    const event = {
+      nodeId: node.id,
+      name: node.name || node.id,
+      type: node.activePath === 'failover' ? 'failover' : 'restored',
+      from: previous,
+      to: node.activePath,
+      activeParentId: node.activeParentId,
+      activeParentName: parent ? (parent.name || parent.id) : null,
+      inMaintenance: !!node.maintenance,
+      time: Date.now()
+    };
+    monitorEvents.emit('failover', event);
+  });
+}
+
+// ============================================
+// Link Utilization
+// ============================================
+
+// connection.snmpBinding = { nodeId, interface } ties a link to an SNMP
+// interface on its source or target node; its bit rates are reported per
+// connection as a share of connection.linkSpeed ("100M", "2.5G", ...).
+
+const LINK_SPEED_UNITS = { K: 1e3, M: 1e6, G: 1e9, T: 1e12 };
+
+function parseLinkSpeed(label) {
+  const match = /^(\d+(?:\.\d+)?)\s*([KMGT])/i.exec(String(label || ''));
+  return match ? parseFloat(match[1]) * LINK_SPEED_UNITS[match[2].toUpperCase()] : null;
+}
+
+// connectionId -> { nodeId, interface, operStatus, forwardBps, reverseBps, speedBps,
+//                   utilization, collectedAt }
+function buildLinkUtilization(nodes) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const links = {};
+
+  (monitoringConfig.connections || []).forEach(conn => {
+    const binding = conn.snmpBinding;
+    if (!binding || binding.interface === undefined || binding.interface === '') return;
+
+    const node = byId.get(binding.nodeId);
+    const result = node && (node.probeResults || []).find(r => r.type === 'snmp' && r.snmp);
+    const polled = result ? findSnmpInterface(result.snmp.interfaces, String(binding.interface)) : null;
+    // Known only from a trap: status without traffic
+    const trapped = !polled && node ? findSnmpInterface(node.trapInterfaces, String(binding.interface)) : null;
+    const iface = polled || (trapped && { ...trapped, inBps: null, outBps: null, speedMbps: null });
+    if (!iface) return;
+
+    // Traffic from source to target leaves through the source interface and
+    // arrives on the target interface
+    const atSource = binding.nodeId === conn.sourceNodeId;
+    const forwardBps = atSource ? iface.outBps : iface.inBps;
+    const reverseBps = atSource ? iface.inBps : iface.outBps;
+    const speedBps = parseLinkSpeed(conn.linkSpeed) || (iface.speedMbps ? iface.speedMbps * 1e6 : null);
+    const hasRates = forwardBps !== null || reverseBps !== null;
+
+    links[conn.id] = {
+      nodeId: binding.nodeId,
+      interface: iface.name || String(iface.index),
+      operStatus: iface.operStatus,
+      forwardBps,
+      reverseBps,
+      speedBps,
+      utilization: speedBps && hasRates ? round2(Math.max(forwardBps || 0, reverseBps || 0) / speedBps * 100) : null,
+      collectedAt: polled ? result.snmp.collectedAt : trapped.time
+    };
+  });
+
+  return links;
+}
+
+// ============================================
+// Maintenance Windows
+// ============================================
+
+// config.maintenance = [{ id, name, enabled, targets, schedule }]
+//   targets:  [{ type: 'node' | 'container' | 'zone', id }]
+//   schedule: { type: 'once', start, end } (epoch ms)
+//             { type: 'cron', cron: 'minute hour day month weekday', duration } (minutes)
+// Nodes in an active window are still checked and recorded, but raise no alerts.
+
+const CRON_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+const MAX_MAINTENANCE_MINUTES = 7 * 24 * 60;
+
+// "*", "5", "1,15", "8-17", "*/10" or "1-5/2" -> Set of values
+function parseCronField(field, [min, max]) {
+  const values = new Set();
+  field.split(',').forEach(part => {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid cron field "${field}"`);
+    const from = match[1] ? min : Number(match[2]);
+    const to = match[1] ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : from));
+    const step = match[4] ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron field "${field}"`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error('Cron expression needs 5 fields: minute hour day month weekday');
+  const [minute, hour, day, month, weekday] = fields.map((field, i) => parseCronField(field, CRON_RANGES[i]));
+  if (weekday.has(7)) weekday.add(0); // 0 and 7 are both Sunday
+  return { minute, hour, day, month, weekday, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+}
+
+function cronDayMatches(cron, date) {
+  const dayMatch = cron.day.has(date.getDate());
+  const weekdayMatch = cron.weekday.has(date.getDay());
+  // As in cron, when both day fields are restricted either one may match
+  if (!cron.anyDay && !cron.anyWeekday) return dayMatch || weekdayMatch;
+  return dayMatch && weekdayMatch;
+}
+
+function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getMinutes()) || !cron.hour.has(date.getHours()) || !cron.month.has(date.getMonth() + 1)) return false;
+  return cronDayMatches(cron, date);
+}
+
+// schedule -> { expression, cron, error }, so each window's cron is parsed once
+const scheduleCrons = new WeakMap();
+
+function getScheduleCron(schedule) {
+  let cached = scheduleCrons.get(schedule);
+  if (!cached || cached.expression !== schedule.cron) {
+    cached = { expression: schedule.cron, cron: null, error: null };
+    try {
+      cached.cron = parseCron(schedule.cron);
+    } catch (error) {
+      cached.error = error;
+    }
+    scheduleCrons.set(schedule, cached);
+  }
+  if (cached.error) throw cached.error;
+  return cached.cron;
+}
+
+// End of the occurrence of a window that covers `now`, or null when it is not active
+function getMaintenanceEnd(entry, now) {
+  const schedule = entry.schedule || {};
+  if (schedule.type === 'once') {
+    return now >= schedule.start && now < schedule.end ? schedule.end : null;
+  }
+  if (schedule.type !== 'cron') return null;
+
+  // Walk back to the latest start still covering now, skipping whole months,
+  // days and hours that do not match
+  const minutes = Math.min(Number(schedule.duration) || 0, MAX_MAINTENANCE_MINUTES);
+  if (minutes <= 0) return null;
+  const cron = getScheduleCron(schedule);
+  const start = new Date(now);
+  start.setSeconds(0, 0);
+  const earliest = start.getTime() - (minutes - 1) * 60000;
+  while (start.getTime() >= earliest) {
+    // Jump to the latest candidate before start: a matching minute in this
+    // hour, or the last minute before the month, day or hour that fails
+    let [day, hour, minute] = [start.getDate(), start.getHours(), 0];
+    let found = false;
+    if (!cron.month.has(start.getMonth() + 1)) {
+      [day, hour] = [1, 0];
+    } else if (!cronDayMatches(cron, start)) {
+      hour = 0;
+    } else if (cron.hour.has(hour)) {
+      minute = Math.max(-1, ...[...cron.minute].filter(m => m <= start.getMinutes()));
+      found = minute !== -1;
+      if (!found) minute = 0;
+    }
+    const next = new Date(start);
+    next.setDate(day);
+    next.setHours(hour, minute);
+    // Local time setters misplace times skipped or repeated by a DST change, so step by the minute there
+    if (next >= start || next.getDate() !== day || next.getHours() !== hour || next.getMinutes() !== minute ||
+        next.getTimezoneOffset() !== start.getTimezoneOffset()) {
+      if (cronMatches(cron, start)) return start.getTime() + minutes * 60000;
+      start.setTime(start.getTime() - 60000);
+      continue;
+    }
+    if (found) return next.getTime() >= earliest ? next.getTime() + minutes * 60000 : null;
+    start.setTime(next.getTime() - 60000);
+  }
+  return null;
+}
+
+function isMaintenanceTarget(entry, node) {
+  return (entry.targets || []).some(target =>
+    (target.type === 'node' && target.id === node.id) ||
+    (target.type === 'container' && (target.id === node.id || target.id === node.containerId)) ||
+    (target.type === 'zone' && target.id === node.zoneId)
+  );
+}
+
+// Sets node.maintenance = { windowId, name, until } for nodes in an active window
+function applyMaintenance(nodes) {
+  const now = Date.now();
+  const active = [];
+  ((monitoringConfig && monitoringConfig.maintenance) || []).forEach(entry => {
+    if (entry.enabled === false) return;
+    try {
+      const until = getMaintenanceEnd(entry, now);
+      if (until) active.push({ entry, until });
+    } catch (error) {
+      console.error(`Maintenance window "${entry.name || entry.id}":`, error.message);
+    }
+  });
+
+  nodes.forEach(node => {
+    const match = active.find(({ entry }) => isMaintenanceTarget(entry, node));
+    if (match) node.maintenance = { windowId: match.entry.id, name: match.entry.name || 'Maintenance', until: match.until };
+  });
+  return nodes;
+}
+
+// ============================================
+// Critical Events
+// ============================================
+
+// Reported by the syslog receiver (syslog.js) between checks:
+// nodeId -> { source, severity, message, time, until, degrade }
+// Until `until` the node carries it as node.criticalEvent, which "syslog" alert
+// rules watch; with `degrade` set an UP node is reported DEGRADED meanwhile.
+const criticalEvents = new Map();
+
+function reportCriticalEvent(nodeId, event) {
+  criticalEvents.set(nodeId, event);
+  monitorScheduler.dirty = true;
+}
+
+function applyCriticalEvents(nodes) {
+  const now = Date.now();
+  nodes.forEach(node => {
+    const event = criticalEvents.get(node.id);
+    if (!event) return;
+    if (event.until <= now) {
+      criticalEvents.delete(node.id);
+      return;
+    }
+    node.criticalEvent = event;
+    if (event.degrade && node.health === 'up') node.health = 'degraded';
+  });
+  return nodes;
+}
+
+// ============================================
+// SNMP Traps
+// ============================================
+
+// Interface states reported by linkDown/linkUp traps (traps.js) between polls:
+// nodeId -> Map(ifIndex -> { index, name, description, operStatus, time })
+// They override the polled operStatus until an SNMP check collects newer data.
+const trapInterfaceStates = new Map();
+
+const TRAP_OPER_STATUS = { linkDown: 'down', linkUp: 'up' };
+
+// trap = { type, ifIndex, ifName, ifDescr, operStatus, time }. Queues a check of
+// the node right away and returns { interface, connectionIds }: the name of the
+// interface and the connections bound to it through connection.snmpBinding.
+function reportSnmpTrap(nodeId, trap) {
+  const node = monitoringConfig && monitoringConfig.nodes.find(n => n.id === nodeId);
+  if (!node) return { interface: null, connectionIds: [] };
+
+  let iface = null;
+  if (trap.ifIndex !== null && trap.ifIndex !== undefined) {
+    const state = nodeMonitorState.get(nodeId);
+    const result = state && state.result && state.result.probeResults.find(r => r.type === 'snmp' && r.snmp);
+    // Traps often carry only the ifIndex; the name comes from the last poll or trap
+    const known = (result ? result.snmp.interfaces.find(i => i.index === trap.ifIndex) : null) ||
+      (trapInterfaceStates.has(nodeId) ? trapInterfaceStates.get(nodeId).get(trap.ifIndex) : null);
+    iface = {
+      index: trap.ifIndex,
+      name: trap.ifName || (known && known.name) || trap.ifDescr || null,
+      description: trap.ifDescr || (known && known.description) || null,
+      operStatus: trap.operStatus || TRAP_OPER_STATUS[trap.type] || null,
+      time: trap.time
+    };
+    if (iface.operStatus) {
+      if (!trapInterfaceStates.has(nodeId)) trapInterfaceStates.set(nodeId, new Map());
+      trapInterfaceStates.get(nodeId).set(iface.index, iface);
+    }
+  }
+
+  const connectionIds = iface
+    ? (monitoringConfig.connections || [])
+      .filter(conn => conn.snmpBinding && conn.snmpBinding.nodeId === nodeId &&
+        findSnmpInterface([iface], String(conn.snmpBinding.interface)))
+      .map(conn => conn.id)
+    : [];
+
+  const state = getNodeState(nodeId);
+  if (!state.queued && !state.checking) {
+    enqueueCheck(node);
+    pumpMonitorQueue();
+  }
+  monitorScheduler.dirty = true;
+  return { interface: iface ? iface.name || String(iface.index) : null, connectionIds };
+}
+
+// Overrides the polled interface status with newer trap states and sets
+// node.trapInterfaces for links whose interface was never polled
+function applyTrapInterfaceStates(nodes) {
+  nodes.forEach(node => {
+    const trapped = trapInterfaceStates.get(node.id);
+    if (!trapped) return;
+
+    const result = (node.probeResults || []).find(r => r.type === 'snmp' && r.snmp);
+    const collectedAt = result ? result.snmp.collectedAt : 0;
+    trapped.forEach((iface, index) => {
+      if (iface.time <= collectedAt) trapped.delete(index);
+    });
+    if (trapped.size === 0) {
+      trapInterfaceStates.delete(node.id);
+      return;
+    }
+
+    node.trapInterfaces = Array.from(trapped.values());
+    if (result) {
+      const interfaces = result.snmp.interfaces.map(i => (trapped.has(i.index) ? { ...i, operStatus: trapped.get(i.index).operStatus } : i));
+      node.probeResults = node.probeResults.map(r => (r === result ? { ...r, snmp: { ...r.snmp, interfaces } } : r));
+    }
+  });
+  return nodes;
+}
+
+// ============================================
+// SSH Checks
+// ============================================
+
+// node.sshChecks = [{ id, name, command, evaluate, pattern, warning, critical,
+//                     interval, timeout }] run over SSH with the node's
+// credentials on their own schedule (interval and timeout in seconds):
+//   exit:      exit code 0 is ok, anything else critical
+//   regex:     ok when the output matches `pattern`, critical otherwise
+//   threshold: the first number in the output (or in the pattern's first group)
+//              against `warning` and `critical`; lower is worse when critical
+//              is below warning
+// A check that cannot connect or finds no number is "unknown". Results do not
+// change the node's status; they are shown on the node and fire sshCheck rules.
+const SSH_CHECK_DEFAULTS = { interval: 300, timeout: 30 };
+// SSH checks and host metrics share this limit
+const SSH_SESSION_CONCURRENCY = 5;
+const MAX_SSH_CHECK_OUTPUT = 1000;
+
+// nodeId -> { running, checks: Map(checkId -> { definition, nextRun, result }) }
+const sshCheckStates = new Map();
+let sshSessionsRunning = 0;
+
+const isThresholdSet = (value) => value !== undefined && value !== null && value !== '';
+
+function getSshCheckId(check, idx) {
+  return check.id || String(idx);
+}
+
+function getSshCheckEntry(nodeId) {
+  let entry = sshCheckStates.get(nodeId);
+  if (!entry) {
+    entry = { running: false, checks: new Map() };
+    sshCheckStates.set(nodeId, entry);
+  }
+  return entry;
+}
+
+// Returns { state, value, message } for one command's { code, stdout, stderr }
+function evaluateSshCheck(check, output) {
+  const firstLine = (output.stdout.trim() || output.stderr.trim()).split('\n')[0].slice(0, 200);
+
+  if (check.evaluate === 'regex') {
+    const matched = new RegExp(check.pattern, 'm').test(output.stdout);
+    return { state: matched ? 'ok' : 'critical', value: null, message: firstLine || (matched ? 'Output matches' : 'No output') };
+  }
+
+  if (check.evaluate === 'threshold') {
+    let text = output.stdout;
+    if (check.pattern) {
+      const match = output.stdout.match(new RegExp(check.pattern, 'm'));
+      text = match ? (match[1] !== undefined ? match[1] : match[0]) : '';
+    }
+    const number = text.match(/-?\d+(\.\d+)?/);
+    if (!number) return { state: 'unknown', value: null, message: firstLine ? `No number in output: ${firstLine}` : 'No output' };
+
+    const value = Number(number[0]);
+    const warning = isThresholdSet(check.warning) ? Number(check.warning) : null;
+    const critical = isThresholdSet(check.critical) ? Number(check.critical) : null;
+    const lowerIsWorse = warning !== null && critical !== null && critical < warning;
+    const breaches = (limit) => limit !== null && (lowerIsWorse ? value <= limit : value >= limit);
+    if (breaches(critical)) return { state: 'critical', value, message: `${value} (critical at ${critical})` };
+    if (breaches(warning)) return { state: 'warning', value, message: `${value} (warning at ${warning})` };
+    return { state: 'ok', value, message: String(value) };
+  }
+
+  return {
+    state: output.code === 0 ? 'ok' : 'critical',
+    value: output.code,
+    message: output.code === 0 ? (firstLine || 'Exit code 0') : `Exit code ${output.code === null ? output.signal : output.code}${firstLine ? `: ${firstLine}` : ''}`
+  };
+}
+
+// Runs the due checks of a node over one connection
+async function runSshChecks(node, due) {
+  const entry = getSshCheckEntry(node.id);
+  entry.running = true;
+  sshSessionsRunning++;
+
+  const start = Date.now();
+  const timeout = due.reduce((sum, { check }) => sum + (Number(check.timeout) || SSH_CHECK_DEFAULTS.timeout), 0) * 1000;
+  let outputs = null;
+  let error = null;
+  try {
+    outputs = await sshExec(getNodeSshInfo(node), due.map(({ check }) => check.command), { timeout });
+  } catch (e) {
+    error = e;
+  }
+
+  const now = Date.now();
+  due.forEach(({ id, check }, idx) => {
+    const checkState = entry.checks.get(id);
+    if (!checkState) return;
+    const output = outputs ? outputs[idx] : null;
+    let evaluated;
+    try {
+      evaluated = output ? evaluateSshCheck(check, output) : { state: 'unknown', value: null, message: error.message };
+    } catch (e) {
+      evaluated = { state: 'unknown', value: null, message: e.message };
+    }
+    checkState.result = {
+      ...evaluated,
+      exitCode: output ? output.code : null,
+      output: output ? (output.stdout || output.stderr).trim().slice(0, MAX_SSH_CHECK_OUTPUT) : null,
+      lastRun: now,
+      duration: now - start
+    };
+  });
+
+  entry.running = false;
+  sshSessionsRunning--;
+  monitorScheduler.dirty = true;
+}
+
+// Start the checks whose interval elapsed, one connection per node at a time
+function scheduleDueSshChecks() {
+  const now = Date.now();
+  monitoringConfig.nodes.forEach(node => {
+    const checks = node.sshChecks || [];
+    if (checks.length === 0 || !node.address || !node.sshUser) return;
+    if (sshSessionsRunning >= SSH_SESSION_CONCURRENCY) return;
+
+    const entry = getSshCheckEntry(node.id);
+    if (entry.running) return;
+
+    const due = [];
+    checks.forEach((check, idx) => {
+      const id = getSshCheckId(check, idx);
+      const definition = JSON.stringify(check);
+      let checkState = entry.checks.get(id);
+      // An edited check starts over
+      if (!checkState || checkState.definition !== definition) {
+        checkState = { definition, nextRun: 0, result: null };
+        entry.checks.set(id, checkState);
+      }
+      if (checkState.nextRun > now) return;
+      checkState.nextRun = now + (Number(check.interval) || SSH_CHECK_DEFAULTS.interval) * 1000;
+      due.push({ id, check });
+    });
+    const ids = new Set(checks.map(getSshCheckId));
+    entry.checks.forEach((checkState, id) => {
+      if (!ids.has(id)) entry.checks.delete(id);
+    });
+    if (due.length > 0) runSshChecks(node, due);
+  });
+}
+
+// Sets node.sshCheckResults: [{ id, name, state, value, message, exitCode, output,
+// lastRun, duration }], with state "pending" until a check first ran
+function applySshChecks(nodes) {
+  nodes.forEach(node => {
+    const checks = node.sshChecks || [];
+    if (checks.length === 0) return;
+    const entry = sshCheckStates.get(node.id);
+    node.sshCheckResults = checks.map((check, idx) => {
+      const id = getSshCheckId(check, idx);
+      const checkState = entry && entry.checks.get(id);
+      const result = checkState && checkState.definition === JSON.stringify(check) ? checkState.result : null;
+      return { id, name: check.name || check.command, ...(result || { state: 'pending', message: 'Not run yet' }) };
+    });
+  });
+  return nodes;
+}
+
+// ============================================
+// SSH Host Metrics
+// ============================================
+
+// Nodes with node.sshMetrics set are Linux hosts whose CPU load, memory, root
+// filesystem usage and uptime are read over SSH with a single command every
+// config.hostMetrics.interval seconds. Each usage is compared to the warning and
+// critical percentages; the worst one is node.hostMetrics.state.
+const HOST_METRICS_DEFAULTS = { interval: 60, warning: 80, critical: 90 };
+const HOST_METRICS_COMMAND = 'cat /proc/loadavg /proc/uptime; grep -E "^(MemTotal|MemFree|MemAvailable):" /proc/meminfo; nproc; df -Pk /';
+const HOST_METRICS_TIMEOUT = 15000;
+
+// nodeId -> { running, nextRun, metrics }
+const hostMetricsStates = new Map();
+
+function getHostMetricsSettings() {
+  const settings = (monitoringConfig && monitoringConfig.hostMetrics) || {};
+  const value = (key) => (isThresholdSet(settings[key]) ? Number(settings[key]) : HOST_METRICS_DEFAULTS[key]);
+  return { interval: value('interval'), warning: value('warning'), critical: value('critical') };
+}
+
+// Parses the output of HOST_METRICS_COMMAND: /proc/loadavg, /proc/uptime, the
+// meminfo lines, the number of cores and `df -Pk /`. Load is a share of the cores.
+function parseHostMetrics(stdout) {
+  const lines = stdout.split('\n').map(line => line.trim()).filter(Boolean);
+  const load = (lines[0] || '').match(/^([\d.]+) ([\d.]+) ([\d.]+) /);
+  const uptime = (lines[1] || '').match(/^([\d.]+) [\d.]+$/);
+  const memory = {};
+  lines.forEach(line => {
+    const match = line.match(/^(MemTotal|MemFree|MemAvailable):\s+(\d+) kB$/);
+    if (match) memory[match[1]] = Number(match[2]) * 1024;
+  });
+  if (!load || !uptime || !memory.MemTotal) throw new Error('Unexpected output, not a Linux host?');
+
+  const coreLine = lines.find(line => /^\d+$/.test(line));
+  const cores = coreLine ? Math.max(1, Number(coreLine)) : 1;
+  const available = memory.MemAvailable !== undefined ? memory.MemAvailable : memory.MemFree || 0;
+  // Filesystem 1024-blocks Used Available Capacity Mounted-on
+  const dfFields = (lines.find(line => /\s\d+%\s+\/$/.test(line)) || '').split(/\s+/);
+  const diskTotal = Number(dfFields[dfFields.length - 5]) * 1024;
+  const diskUsed = Number(dfFields[dfFields.length - 4]) * 1024;
+
+  return {
+    cpu: {
+      load1: Number(load[1]),
+      load5: Number(load[2]),
+      load15: Number(load[3]),
+      cores,
+      percent: round2(Number(load[1]) / cores * 100)
+    },
+    memory: {
+      total: memory.MemTotal,
+      used: memory.MemTotal - available,
+      percent: round2((memory.MemTotal - available) / memory.MemTotal * 100)
+    },
+    disk: diskTotal > 0 ? { mount: '/', total: diskTotal, used: diskUsed, percent: parseInt(dfFields[dfFields.length - 2], 10) } : null,
+    uptime: Math.floor(Number(uptime[1]))
+  };
+}
+
+function getHostMetricsState(metrics, settings) {
+  const usages = [metrics.cpu.percent, metrics.memory.percent, metrics.disk ? metrics.disk.percent : null].filter(v => v !== null);
+  const worst = Math.max(...usages);
+  if (worst >= settings.critical) return 'critical';
+  if (worst >= settings.warning) return 'warning';
+  return 'ok';
+}
+
+async function collectHostMetrics(node) {
+  const entry = hostMetricsStates.get(node.id);
+  entry.running = true;
+  sshSessionsRunning++;
+
+  const collectedAt = Date.now();
+  try {
+    const [output] = await sshExec(getNodeSshInfo(node), [HOST_METRICS_COMMAND], { timeout: HOST_METRICS_TIMEOUT });
+    entry.metrics = { ...parseHostMetrics(output.stdout), error: null, collectedAt };
+  } catch (error) {
+    // Keep the last values, flagged with the error
+    entry.metrics = { ...(entry.metrics || { cpu: null, memory: null, disk: null, uptime: null }), error: error.message, collectedAt };
+  }
+
+  entry.running = false;
+  sshSessionsRunning--;
+  monitorScheduler.dirty = true;
+}
+
+function scheduleDueHostMetrics() {
+  const now = Date.now();
+  const interval = getHostMetricsSettings().interval * 1000;
+  monitoringConfig.nodes.forEach(node => {
+    if (!node.sshMetrics || !node.address || !node.sshUser) return;
+    if (sshSessionsRunning >= SSH_SESSION_CONCURRENCY) return;
+
+    let entry = hostMetricsStates.get(node.id);
+    if (!entry) {
+      entry = { running: false, nextRun: 0, metrics: null };
+      hostMetricsStates.set(node.id, entry);
+    }
+    if (entry.running || entry.nextRun > now) return;
+    entry.nextRun = now + interval;
+    collectHostMetrics(node);
+  });
+}
+
+// Sets node.hostMetrics: { cpu, memory, disk, uptime, state, error, collectedAt }
+function applyHostMetrics(nodes) {
+  const settings = getHostMetricsSettings();
+  nodes.forEach(node => {
+    const entry = node.sshMetrics ? hostMetricsStates.get(node.id) : null;
+    if (!entry || !entry.metrics) return;
+    const metrics = entry.metrics;
+    node.hostMetrics = { ...metrics, state: metrics.cpu ? getHostMetricsState(metrics, settings) : 'unknown' };
+  });
+  return nodes;
+}
+
+// ============================================
+// Alert Rules & Notification Channels
+// ============================================
+
+// config.alerts = { rules: [...], channels: [...] }
+//   rule:    { id, name, type, threshold, duration, nodeId, channelIds, enabled }
+//   channel: { id, name, type, enabled, ...type specific settings }
+// A rule fires once its condition has held for `duration` seconds on a node and
+// resolves when it clears. nodeId limits the rule to a node (or a container and
+// its members), channelIds to some channels; both default to all.
+
+const certExpiryDays = (rule) => (rule.threshold !== undefined && rule.threshold !== null && rule.threshold !== '' ? Number(rule.threshold) : 14);
+
+const ALERT_RULE_TYPES = {
+  // Unreachable nodes are left to the rule firing for their root cause
+  down: {
+    evaluate: (node) => ({ active: node.health === 'down', value: null }),
+    describe: (rule, node) => `"${node.name}" is down`,
+    resolved: (rule, node) => `"${node.name}" is back up`
+  },
+  latency: {
+    evaluate: (node, rule) => {
+      const value = node.rtt ? node.rtt.avg : null;
+      return { active: value !== null && value > Number(rule.threshold), value };
+    },
+    describe: (rule, node, value) => `"${node.name}" latency is ${value} ms (threshold ${rule.threshold} ms)`,
+    resolved: (rule, node) => `"${node.name}" latency is back below ${rule.threshold} ms`
+  },
+  loss: {
+    evaluate: (node, rule) => {
+      const value = typeof node.packetLoss === 'number' ? node.packetLoss : null;
+      return { active: value !== null && value > Number(rule.threshold), value };
+    },
+    describe: (rule, node, value) => `"${node.name}" packet loss is ${value}% (threshold ${rule.threshold}%)`,
+    resolved: (rule, node) => `"${node.name}" packet loss is back below ${rule.threshold}%`
+  },
+  certExpiry: {
+    evaluate: (node, rule) => {
+      const days = (node.probeResults || [])
+        .filter(r => r.type === 'tls' && typeof r.certDaysRemaining === 'number')
+        .map(r => r.certDaysRemaining);
+      const value = days.length > 0 ? Math.min(...days) : null;
+      return { active: value !== null && value <= certExpiryDays(rule), value };
+    },
+    describe: (rule, node, value) => value < 0
+      ? `"${node.name}" certificate has expired`
+      : `"${node.name}" certificate expires in ${value} day${value === 1 ? '' : 's'}`,
+    resolved: (rule, node) => `"${node.name}" certificate no longer expires within ${certExpiryDays(rule)} days`
+  },
+  // Active while a critical syslog message holds (settings.syslog.holdMinutes)
+  syslog: {
+    evaluate: (node) => ({ active: !!node.criticalEvent, value: node.criticalEvent ? node.criticalEvent.severity : null }),
+    describe: (rule, node) => `"${node.name}" logged ${node.criticalEvent.severity}: ${node.criticalEvent.message}`,
+    resolved: (rule, node) => `"${node.name}" logged no further critical messages`
+  },
+  // Active while one of the node's SSH checks is critical
+  sshCheck: {
+    evaluate: (node) => {
+      const failing = (node.sshCheckResults || []).filter(c => c.state === 'critical');
+      return { active: failing.length > 0, value: failing.length > 0 ? failing.map(c => c.name).join(', ') : null };
+    },
+    describe: (rule, node) => {
+      const failing = node.sshCheckResults.filter(c => c.state === 'critical');
+      return `"${node.name}" check ${failing.map(c => `${c.name}: ${c.message}`).join('; ')}`;
+    },
+    resolved: (rule, node) => `"${node.name}" SSH checks are no longer critical`
+  }
+};
+
+const ALERT_SEND_TIMEOUT = 10000;
+const SYSLOG_FACILITIES = { kern: 0, user: 1, daemon: 3, auth: 4, syslog: 5, local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23 };
+
+// `${ruleId}:${nodeId}` -> { since, firing, value }
+const alertStates = new Map();
+
+const alertChannelHandlers = new Map();
+
+// handler(channel, alert) resolves once delivered and rejects with the reason otherwise
+function registerAlertChannel(type, handler) {
+  alertChannelHandlers.set(type, handler);
+}
+
+function alertSubject(alert) {
+  return `[${alert.status.toUpperCase()}] ${alert.message}`;
+}
+
+function sendAlertToChannel(channel, alert) {
+  const handler = alertChannelHandlers.get(channel.type);
+  if (!handler) return Promise.reject(new Error(`Unknown channel type: ${channel.type}`));
+  return handler(channel, alert);
+}
+
+function dispatchAlert(alert, channelIds) {
+  const channels = ((monitoringConfig && monitoringConfig.alerts && monitoringConfig.alerts.channels) || [])
+    .filter(c => c.enabled !== false)
+    .filter(c => !channelIds || channelIds.length === 0 || channelIds.includes(c.id));
+
+  monitorEvents.emit('alert', alert);
+  channels.forEach(channel => {
+    sendAlertToChannel(channel, alert)
+      .catch(error => console.error(`Alert channel "${channel.name || channel.id}" failed:`, error.message));
+  });
+}
+
+function ruleAppliesTo(rule, node) {
+  return !rule.nodeId || rule.nodeId === node.id || node.containerId === rule.nodeId;
+}
+
+function buildAlert(status, rule, monitoredNode, value) {
+  const type = ALERT_RULE_TYPES[rule.type];
+  const node = { ...monitoredNode, name: monitoredNode.name || monitoredNode.id };
+  return {
+    status,
+    ruleId: rule.id,
+    ruleName: rule.name || rule.type,
+    ruleType: rule.type,
+    threshold: rule.threshold !== undefined ? rule.threshold : null,
+    nodeId: node.id,
+    nodeName: node.name,
+    address: node.address || null,
+    value,
+    message: status === 'resolved' ? type.resolved(rule, node) : type.describe(rule, node, value),
+    time: new Date().toISOString()
+  };
+}
+
+// Called with every status payload
+function evaluateAlertRules(nodes) {
+  const alerts = monitoringConfig && monitoringConfig.alerts;
+  const rules = ((alerts && alerts.rules) || []).filter(r => r.enabled !== false && ALERT_RULE_TYPES[r.type]);
+  const now = Date.now();
+  const seen = new Set();
+  const byId = new Map(nodes.map(n => [n.id, n]));
+
+  // Nodes in maintenance, or unreachable behind a node in maintenance, keep
+  // their alert state but neither fire nor resolve until the window ends
+  const silenced = (node) => !!(node.maintenance || (node.rootCauseId && byId.get(node.rootCauseId) && byId.get(node.rootCauseId).maintenance));
+
+  rules.forEach(rule => {
+    nodes.forEach(node => {
+      if (node.pending || !ruleAppliesTo(rule, node)) return;
+
+      const key = `${rule.id}:${node.id}`;
+      seen.add(key);
+      if (silenced(node)) return;
+
+      const { active, value } = ALERT_RULE_TYPES[rule.type].evaluate(node, rule);
+      let state = alertStates.get(key);
+
+      if (!active) {
+        if (state && state.firing) {
+          dispatchAlert(buildAlert('resolved', rule, node, value), rule.channelIds);
+        }
+        alertStates.delete(key);
+        return;
+      }
+
+      if (!state) {
+        state = { since: now, firing: false, value };
+        alertStates.set(key, state);
+      }
+      state.value = value;
+
+      const holdFor = (Number(rule.duration) || 0) * 1000;
+      if (!state.firing && now - state.since >= holdFor) {
+        state.firing = true;
+        dispatchAlert(buildAlert('firing', rule, node, value), rule.channelIds);
+      }
+    });
+  });
+
+  // Rules or nodes that were removed or disabled are dropped without a resolve
+  alertStates.forEach((state, key) => {
+    if (!seen.has(key)) alertStates.delete(key);
+  });
+}
+
+registerAlertChannel('webhook', (channel, alert) => {
+  return new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = new URL(channel.url);
+    } catch (e) {
+      reject(new Error('Invalid webhook URL'));
+      return;
+    }
+
+    const body = JSON.stringify(alert);
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      timeout: ALERT_SEND_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'NetworkTopology-Monitor'
+      }
+    }, (res) => {
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+      else reject(new Error(`Webhook returned HTTP ${res.statusCode}`));
+    });
+    req.on('timeout', () => req.destroy(new Error('Webhook timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+});
+
+registerAlertChannel('email', async (channel, alert) => {
+  const transport = nodemailer.createTransport({
+    host: channel.host,
+    port: Number(channel.port) || 25,
+    secure: !!channel.secure,
+    auth: channel.user ? { user: channel.user, pass: channel.pass || '' } : undefined,
+    tls: { rejectUnauthorized: !channel.ignoreTlsErrors },
+    connectionTimeout: ALERT_SEND_TIMEOUT,
+    greetingTimeout: ALERT_SEND_TIMEOUT
+  });
+
+  try {
+    await transport.sendMail({
+      from: channel.from,
+      to: channel.to,
+      subject: alertSubject(alert),
+      text: [
+        alert.message,
+        '',
+        `Rule: ${alert.ruleName}`,
+        `Node: ${alert.nodeName}${alert.address ? ` (${alert.address})` : ''}`,
+        `Time: ${alert.time}`
+      ].join('\n')
+    });
+  } finally {
+    transport.close();
+  }
+});
+
+// RFC 5424 over UDP, or over TCP with one message per line
+registerAlertChannel('syslog', (channel, alert) => {
+  return new Promise((resolve, reject) => {
+    const facility = SYSLOG_FACILITIES[channel.facility] !== undefined ? SYSLOG_FACILITIES[channel.facility] : SYSLOG_FACILITIES.local0;
+    const severity = alert.status === 'firing' ? 4 : 5; // warning / notice
+    const message = `<${facility * 8 + severity}>1 ${alert.time} ${os.hostname()} network-topology - alert - ${alertSubject(alert)}`;
+    const port = Number(channel.port) || 514;
+
+    if (channel.protocol === 'tcp') {
+      const socket = net.connect({ host: channel.host, port, timeout: ALERT_SEND_TIMEOUT }, () => {
+        socket.end(message + '\n', resolve);
+      });
+      socket.on('timeout', () => socket.destroy(new Error('Syslog connection timed out')));
+      socket.on('error', reject);
+      return;
+    }
+
+    const socket = dgram.createSocket(net.isIPv6(channel.host) ? 'udp6' : 'udp4');
+    socket.send(message, port, channel.host, (error) => {
+      socket.close();
+      if (error) reject(error);
+      else resolve();
+    });
+  });
+});
+
+function getMonitorConcurrency() {
+  const value = monitoringConfig && monitoringConfig.settings && Number(monitoringConfig.settings.concurrency);
+  return value > 0 ? value : DEFAULT_MONITOR_CONCURRENCY;
+}
+
+// Start queued checks until the concurrency limit is reached
+function pumpMonitorQueue() {
+  const limit = getMonitorConcurrency();
+  while (monitorScheduler.active < limit && monitorScheduler.queue.length > 0) {
+    const node = monitorScheduler.queue.shift();
+    const state = getNodeState(node.id);
+    state.queued = false;
+    monitorScheduler.active++;
+
+    checkNode(node)
+      .catch(error => console.error(`Check failed for ${node.id}:`, error))
+      .finally(() => {
+        monitorScheduler.active--;
+        monitorScheduler.dirty = true;
+        recordCycleProgress(node.id);
+        pumpMonitorQueue();
+      });
+  }
+}
+
+function enqueueCheck(node) {
+  const state = getNodeState(node.id);
+  state.queued = true;
+  monitorScheduler.queue.push(node);
+}
+
+function recordCycleProgress(nodeId) {
+  if (!monitoringConfig || !monitorScheduler.nodeIds.has(nodeId)) return;
+  monitorScheduler.cycleChecked.add(nodeId);
+  if (monitorScheduler.cycleChecked.size >= monitorScheduler.nodeIds.size) {
+    const now = Date.now();
+    monitorScheduler.lastCycleDuration = now - monitorScheduler.cycleStart;
+    monitorScheduler.cycleStart = now;
+    monitorScheduler.cycleChecked.clear();
+  }
+}
+
+// Queue every node whose interval elapsed. A node that is still queued or being
+// checked from its previous run skips this run instead of piling up.
+function scheduleDueChecks() {
+  const now = Date.now();
+  monitoringConfig.nodes.forEach(node => {
+    const state = getNodeState(node.id);
+    if (state.nextCheck > now) return;
+
+    const interval = getNodeMonitorSettings(node).interval;
+    state.nextCheck = Math.max(state.nextCheck + interval, now);
+
+    if (state.queued || state.checking) {
+      monitorScheduler.skippedOverlaps++;
+      return;
+    }
+    enqueueCheck(node);
+  });
+  pumpMonitorQueue();
+}
+
+// Spread the next checks of all nodes evenly over their interval so they do
+// not all fire on the same tick
+function staggerNextChecks() {
+  const now = Date.now();
+  const count = monitoringConfig.nodes.length;
+  monitoringConfig.nodes.forEach((node, idx) => {
+    const interval = getNodeMonitorSettings(node).interval;
+    getNodeState(node.id).nextCheck = now + Math.floor((idx / count) * interval);
+  });
+}
+
+function getSchedulerStats() {
+  return {
+    concurrency: getMonitorConcurrency(),
+    active: monitorScheduler.active,
+    queued: monitorScheduler.queue.length,
+    cycleDuration: monitorScheduler.lastCycleDuration,
+    skippedOverlaps: monitorScheduler.skippedOverlaps
+  };
+}
+
+function sendMonitorStatus() {
+  monitorScheduler.dirty = false;
+  const nodes = buildStatusPayload();
+  evaluateAlertRules(nodes);
+  detectFailoverEvents(nodes);
+  monitorEvents.emit('status', {
+    nodes,
+    links: buildLinkUtilization(nodes),
+    scheduler: getSchedulerStats(),
+    updated: new Date().toLocaleTimeString()
+  });
+}
+
+function buildStatusPayload() {
+  return applyHostMetrics(applySshChecks(applyCriticalEvents(applyMaintenance(applyActivePaths(applyDependencies(applyTrapInterfaceStates(monitoringConfig.nodes.map(node => {
+    const state = nodeMonitorState.get(node.id);
+    if (!state || !state.result) {
+      return { ...node, status: false, health: 'down', pending: true };
+    }
+    return {
+      ...node,
+      ...state.result,
+      status: state.status,
+      rawStatus: state.rawStatus,
+      health: state.health,
+      consecutiveFailures: state.consecutiveFailures,
+      consecutiveSuccesses: state.consecutiveSuccesses,
+      statusSince: state.statusSince
+    };
+  }))))))));
+}
+
+// Resolves once the first full pass is done
+async function startMonitor(config) {
+  monitoringConfig = config;
+  monitorDependencies = buildDependencyMap(config.connections);
+  configureHistory(config.history);
+
+  if (monitoringInterval) {
+    clearInterval(monitoringInterval);
+    monitoringInterval = null;
+  }
+
+  // Forget nodes that were removed
+  const nodeIds = new Set((config.nodes || []).map(n => n.id));
+  nodeMonitorState.forEach((state, nodeId) => {
+    if (!nodeIds.has(nodeId)) nodeMonitorState.delete(nodeId);
+  });
+  activePaths.forEach((activePath, nodeId) => {
+    if (!nodeIds.has(nodeId)) activePaths.delete(nodeId);
+  });
+  snmpCounterSamples.forEach((sample, nodeId) => {
+    if (!nodeIds.has(nodeId)) snmpCounterSamples.delete(nodeId);
+  });
+  criticalEvents.forEach((event, nodeId) => {
+    if (!nodeIds.has(nodeId)) criticalEvents.delete(nodeId);
+  });
+  trapInterfaceStates.forEach((interfaces, nodeId) => {
+    if (!nodeIds.has(nodeId)) trapInterfaceStates.delete(nodeId);
+  });
+  sshCheckStates.forEach((entry, nodeId) => {
+    if (!nodeIds.has(nodeId)) sshCheckStates.delete(nodeId);
+  });
+  hostMetricsStates.forEach((entry, nodeId) => {
+    if (!nodeIds.has(nodeId)) hostMetricsStates.delete(nodeId);
+  });
+  if (!config.nodes || config.nodes.length === 0) return;
+
+  // Checks still running from a previous start finish on their own
+  monitorScheduler.nodeIds = nodeIds;
+  monitorScheduler.queue = [];
+  monitorScheduler.cycleStart = Date.now();
+  monitorScheduler.cycleChecked.clear();
+  monitorScheduler.skippedOverlaps = 0;
+  nodeMonitorState.forEach(state => { state.queued = false; });
+
+  // Run a first full pass (bounded by the concurrency limit), then stagger
+  await new Promise((resolve) => {
+    const waitForPass = setInterval(() => {
+      const passDone = monitorScheduler.lastCycleDuration !== null && monitorScheduler.cycleChecked.size === 0;
+      // Stopped or restarted while the first pass was running
+      if (passDone || monitoringConfig !== config) {
+        clearInterval(waitForPass);
+        resolve();
+      }
+    }, 50);
+    monitorScheduler.lastCycleDuration = null;
+    // Checks still in flight count toward this pass when they finish
+    config.nodes.forEach(node => {
+      if (!getNodeState(node.id).checking) enqueueCheck(node);
+    });
+    pumpMonitorQueue();
+  });
+
+  if (monitoringConfig !== config) return;
+
+  staggerNextChecks();
+  sendMonitorStatus();
+
+  monitoringInterval = setInterval(() => {
+    if (!monitoringConfig || !monitoringConfig.nodes) return;
+    scheduleDueChecks();
+    scheduleDueSshChecks();
+    scheduleDueHostMetrics();
+    if (monitorScheduler.dirty) sendMonitorStatus();
+  }, MONITOR_TICK);
+}
+
+function stopMonitor() {
+  if (monitoringInterval) {
+    clearInterval(monitoringInterval);
+    monitoringInterval = null;
+  }
+  monitoringConfig = null;
+  monitorScheduler.queue = [];
+  nodeMonitorState.forEach(state => { state.queued = false; });
+}
+
+function isMonitoring() {
+  return monitoringConfig !== null;
+}
+
+module.exports = {
+  monitorEvents,
+  MONITOR_DEFAULTS,
+  parsePingTimes,
+  summarizeSamples,
+  parseTracerouteOutput,
+  startMonitor,
+  stopMonitor,
+  isMonitoring,
+  registerProbe,
+  pingHost,
+  runTraceroute,
+  registerAlertChannel,
+  sendAlertToChannel,
+  setHistoryPath,
+  getHistoryPath,
+  queryHistory,
+  flushHistorySync,
+  getReportSlices,
+  computeSlaStats,
+  parseCron,
+  cronMatches,
+  getMaintenanceEnd,
+  evaluateSshCheck,
+  parseHostMetrics,
+  getHostMetricsState,
+  generateSlaReport,
+  buildReportCsv,
+  buildReportHtml,
+  reportCriticalEvent,
+  reportSnmpTrap
+};
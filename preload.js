@@ -9,7 +9,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     load: () => ipcRenderer.invoke('config:load'),
     save: (config) => ipcRenderer.invoke('config:save', config),
     export: (config) => ipcRenderer.invoke('config:export', config),
-    import: () => ipcRenderer.invoke('config:import')
+    import: () => ipcRenderer.invoke('config:import'),
+
+    // Event listener for changes saved through the REST API
+    onChanged: (callback) => {
+      const handler = () => callback();
+      ipcRenderer.on('config:changed', handler);
+      return () => ipcRenderer.removeListener('config:changed', handler);
+    }
   },
 
   // ============================================
@@ -44,7 +51,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     portCheck: (host, port, timeout) => ipcRenderer.invoke('network:portCheck', { host, port, timeout }),
     scan: (baseIp, startRange, endRange) => ipcRenderer.invoke('network:scan', { baseIp, startRange, endRange }),
     arp: () => ipcRenderer.invoke('network:arp'),
+    ndp: (interfaceName) => ipcRenderer.invoke('network:ndp', interfaceName),
     resolve: (hostname) => ipcRenderer.invoke('network:resolve', hostname),
+    traceroute: (host) => ipcRenderer.invoke('network:traceroute', host),
 
     // Event listener for scan progress
     onScanProgress: (callback) => {
@@ -66,6 +75,68 @@ contextBridge.exposeInMainWorld('electronAPI', {
       const handler = (event, data) => callback(data);
       ipcRenderer.on('monitor:status', handler);
       return () => ipcRenderer.removeListener('monitor:status', handler);
+    },
+
+    // Event listener for switches to and from failover links
+    onFailover: (callback) => {
+      const handler = (event, data) => callback(data);
+      ipcRenderer.on('monitor:failover', handler);
+      return () => ipcRenderer.removeListener('monitor:failover', handler);
+    }
+  },
+
+  // ============================================
+  // Monitoring History
+  // ============================================
+  history: {
+    query: (nodeId, from, to, resolution) => ipcRenderer.invoke('history:query', { nodeId, from, to, resolution })
+  },
+
+  // ============================================
+  // Syslog
+  // ============================================
+  syslog: {
+    query: (query) => ipcRenderer.invoke('syslog:query', query),
+
+    // Event listener for every received message
+    onMessage: (callback) => {
+      const handler = (event, data) => callback(data);
+      ipcRenderer.on('syslog:message', handler);
+      return () => ipcRenderer.removeListener('syslog:message', handler);
+    }
+  },
+
+  // ============================================
+  // Reports
+  // ============================================
+  report: {
+    generate: (options) => ipcRenderer.invoke('report:generate', options),
+    export: (report, format) => ipcRenderer.invoke('report:export', report, format)
+  },
+
+  // ============================================
+  // Alerts
+  // ============================================
+  alerts: {
+    test: (channel) => ipcRenderer.invoke('alerts:test', channel)
+  },
+
+  // ============================================
+  // System Tray
+  // ============================================
+  tray: {
+    // Event listener for tray clicks that should focus a node
+    onFocusNode: (callback) => {
+      const handler = (event, nodeId) => callback(nodeId);
+      ipcRenderer.on('tray:focus-node', handler);
+      return () => ipcRenderer.removeListener('tray:focus-node', handler);
+    },
+
+    // Event listener for the tray's "Keep Monitoring When Closed" toggle
+    onBackgroundChanged: (callback) => {
+      const handler = (event, enabled) => callback(enabled);
+      ipcRenderer.on('tray:background-changed', handler);
+      return () => ipcRenderer.removeListener('tray:background-changed', handler);
     }
   },
 
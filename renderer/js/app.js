@@ -5,14 +5,19 @@
 // State
 let config = { settings: { showGrid: true, gridSize: 100, snapToGrid: true, theme: 'dark' }, nodes: [], connections: [] };
 let networkData = [];
+let linkUtilization = {}; // connectionId -> SNMP traffic from the monitor
+const LINK_DOWN_STATUSES = ['down', 'lowerLayerDown'];
 let terminals = new Map();
 let activeTerminal = null;
 let monitoringActive = false;
 let contextMenuNode = null;
 let uptimeTrackers = new Map();
 
+// Set in the browser viewer (js/viewer-api.js): the topology can be looked at but not edited
+const READ_ONLY = !!(window.electronAPI && window.electronAPI.readOnly);
+
 // Status history tracking
-let statusHistory = new Map(); // nodeId -> { lastStatus, lastChange, history: [{status, time}] }
+let statusHistory = new Map(); // nodeId -> { lastStatus, lastHealth, lastChange, offlineAlerted, history: [{status, time}] }
 const MAX_HISTORY_ENTRIES = 50;
 
 // Connection dragging state
@@ -60,6 +65,9 @@ async function init() {
   setupEventListeners();
   await loadConfig();
   setupMonitoringListener();
+  setupTrayListener();
+  setupConfigListener();
+  setupSyslogListener();
 
   // Initialize theme
   initTheme();
@@ -67,6 +75,11 @@ async function init() {
   // Initialize minimap
   initMinimap();
 
+  if (READ_ONLY) {
+    document.body.classList.add('read-only');
+    console.log('Running in the read-only viewer');
+  }
+
   // Check if running in Electron
   if (window.electronAPI) {
     console.log('Running in Electron');
@@ -187,13 +200,30 @@ function migrateAndInitializePorts() {
 }
 
 async function saveConfig() {
+  if (READ_ONLY) return null;
   try {
     if (window.electronAPI) {
-      await window.electronAPI.config.save(config);
+      return await window.electronAPI.config.save(config);
     }
   } catch (error) {
     console.error('Failed to save config:', error);
   }
+  return null;
+}
+
+// Nodes, connections or settings were changed through the REST API, or in
+// the app when this is the read-only viewer
+function setupConfigListener() {
+  if (!window.electronAPI) return;
+
+  window.electronAPI.config.onChanged(async () => {
+    await loadConfig();
+    if (nodeDetailNodeId && !config.nodes.some(n => n.id === nodeDetailNodeId)) closeNodeDetailPanel();
+    if (monitoringActive) {
+      await stopMonitoring();
+      await startMonitoring();
+    }
+  });
 }
 
 // ============================================
@@ -361,10 +391,11 @@ function setupEventListeners() {
       deleteSelectedConnection();
     }
 
-    // Escape to deselect connection and clear node selection
+    // Escape to deselect connection, clear node selection and the traceroute path
     if (e.key === 'Escape') {
       deselectConnection();
       clearSelection();
+      clearTraceroutePath();
     }
 
     // Ctrl+Z for Undo
@@ -407,8 +438,12 @@ function setupEventListeners() {
   });
 
   document.getElementById('btn-monitoring').addEventListener('click', toggleMonitoring);
+  document.getElementById('btn-monitor-settings').addEventListener('click', openMonitoringSettingsModal);
   document.getElementById('btn-export-image').addEventListener('click', exportTopologyAsImage);
   document.getElementById('btn-auto-layout').addEventListener('click', autoLayoutNodes);
+  document.getElementById('btn-reports').addEventListener('click', openReportsModal);
+  document.getElementById('btn-alerts').addEventListener('click', openAlertsModal);
+  document.getElementById('btn-maintenance').addEventListener('click', openMaintenanceModal);
 
   // Theme toggle
   document.getElementById('btn-theme').addEventListener('click', toggleTheme);
@@ -602,19 +637,20 @@ function renderTree(nodes) {
 
     // Helper function to generate child node HTML
     function generateChildHtml(child, idx) {
-      const childIsUp = child.status === true;
+      const childHealth = getNodeHealthState(child);
       const childIconHtml = generateIconHtml(child);
       return `
-        <div class="child-node" data-node-id="${child.id}" data-child-index="${idx}">
+        <div class="child-node ${getHostMetricsClass(child)}" data-node-id="${child.id}" data-child-index="${idx}">
           <div class="child-node-icon">
             ${childIconHtml}
           </div>
           <div class="child-node-info">
-            <div class="child-node-name">${escapeHtml(child.name || child.id)}</div>
+            <div class="child-node-name">${escapeHtml(child.name || child.id)} ${renderMaintenanceBadge(child)}</div>
             <div class="child-node-address">${escapeHtml(child.address || '')}</div>
+            ${renderHostGauges(child)}
           </div>
-          <div class="child-node-status ${childIsUp ? 'online' : 'offline'}">
-            ${childIsUp ? 'ON' : 'OFF'}
+          <div class="child-node-status ${HEALTH_CLASSES[childHealth]}" title="${escapeHtml(formatNodeMetrics(child))}">
+            ${{ up: 'ON', degraded: 'DEG', unreachable: 'N/R' }[childHealth] || 'OFF'}
           </div>
         </div>
       `;
@@ -699,9 +735,10 @@ function renderTree(nodes) {
           </div>
         </div>
         <div class="container-header-right">
+          ${renderMaintenanceBadge(node)}
           <span class="container-count">${children.length} node${children.length !== 1 ? 's' : ''}</span>
-          <div class="container-status ${isUp ? 'online' : 'offline'}">
-            ${isUp ? 'ONLINE' : 'OFFLINE'}
+          <div class="container-status ${isUp ? 'online' : HEALTH_CLASSES[getNodeHealthState(node)]}">
+            ${isUp ? 'ONLINE' : HEALTH_LABELS[getNodeHealthState(node)]}
           </div>
         </div>
       </div>
@@ -778,18 +815,25 @@ function renderTree(nodes) {
 
     el.style.left = leftPos;
     el.style.top = topPos;
+    const gaugesHtml = renderHostGauges(node);
     el.style.width = '140px';
-    el.style.height = '140px';
+    el.style.height = gaugesHtml ? '176px' : '140px';
     el.style.pointerEvents = 'auto';
 
-    const isUp = node.status === true;
-    const isFailover = node.activeParentId === node.secondaryParentId && node.secondaryParentId !== null;
+    const health = getNodeHealthState(node);
+    const healthColors = HEALTH_COLORS[health];
+    const metricsText = formatNodeMetrics(node, true);
+    el.classList.toggle('unreachable', health === 'unreachable');
+    const hostClass = getHostMetricsClass(node);
+    if (hostClass) el.classList.add(hostClass);
+    const isFailover = node.activePath === 'failover';
     const iconHtml = generateIconHtml(node);
     const gridCell = getGridCell(node.x || 50, node.y || 50);
     const portsHtml = generatePortsHtml(node);
 
     el.innerHTML = `
       ${portsHtml}
+      ${renderMaintenanceBadge(node, 'corner')}
       <div style="display:flex; flex-direction:column; align-items:center; justify-content:center; height:100%; gap:6px; padding:10px; box-sizing:border-box;">
         <div style="width:48px; height:48px; border-radius:999px; display:flex; align-items:center; justify-content:center; background: rgba(0,0,0,0.15); border:1px solid rgba(255,255,255,0.03); overflow:hidden;">
           ${iconHtml}
@@ -797,10 +841,11 @@ function renderTree(nodes) {
         <div style="text-align:center; width:100%; color:#e6eef8;">
           <div style="font-weight:700; font-size:12px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${escapeHtml(node.name || node.id)}</div>
           <div style="font-size:11px; color:var(--muted); font-family:monospace;">${escapeHtml(node.address || '')}</div>
-          <div style="font-size:9px; color:#475569; font-family:monospace;">${gridCell.col}${gridCell.row}</div>
-          <div style="margin-top:6px; font-size:10px; padding:4px 6px; border-radius:999px; display:inline-block; color:${isFailover ? '#b45309' : (isUp ? '#16a34a' : '#ef4444')}; background:${isFailover ? 'rgba(251,191,36,0.08)' : (isUp ? 'rgba(34,197,94,0.06)' : 'rgba(239,68,68,0.06)')}; border:1px solid rgba(255,255,255,0.02); font-weight:700; letter-spacing:0.6px;">
-            ${isUp ? 'ONLINE' : 'OFFLINE'}${isFailover ? ' (FAILOVER)' : ''}
+          <div style="font-size:9px; color:#475569; font-family:monospace;">${gridCell.col}${gridCell.row}${metricsText ? ' · ' + escapeHtml(metricsText) : ''}</div>
+          <div style="margin-top:6px; font-size:10px; padding:4px 6px; border-radius:999px; display:inline-block; color:${isFailover ? '#b45309' : healthColors.text}; background:${isFailover ? 'rgba(251,191,36,0.08)' : healthColors.background}; border:1px solid rgba(255,255,255,0.02); font-weight:700; letter-spacing:0.6px;">
+            ${HEALTH_LABELS[health]}${isFailover ? ' (FAILOVER)' : ''}
           </div>
+          ${gaugesHtml}
         </div>
       </div>
     `;
@@ -822,6 +867,7 @@ function renderTree(nodes) {
     container.appendChild(el);
   });
 
+  applyTracerouteHighlight();
   lucide.createIcons();
   requestAnimationFrame(drawLines);
 }
@@ -863,7 +909,27 @@ function drawLines() {
     const sourceData = networkData.find(n => n.id === conn.sourceNodeId);
     const targetData = networkData.find(n => n.id === conn.targetNodeId);
     const isOnline = sourceData?.status && targetData?.status;
-    const baseColor = conn.isFailover ? '#fbbf24' : (isOnline ? '#22c55e' : '#ef4444');
+    const isUnreachable = targetData?.health === 'unreachable';
+    // A bound interface reported down (polled or by a linkDown trap) breaks the link
+    const link = linkUtilization[conn.id] || null;
+    const isLinkDown = !!link && LINK_DOWN_STATUSES.includes(link.operStatus);
+
+    // The monitor reports which links carry traffic; without it every online
+    // link and every failover link is drawn as active
+    const hasActivePath = Array.isArray(targetData?.activeConnectionIds);
+    const isActive = !isLinkDown && (hasActivePath
+      ? isOnline && targetData.activeConnectionIds.includes(conn.id)
+      : (isOnline || conn.isFailover));
+    const isStandby = conn.isFailover && hasActivePath && !isActive && !isLinkDown;
+
+    let baseColor = isOnline ? '#22c55e' : (isUnreachable ? '#64748b' : '#ef4444');
+    if (conn.isFailover) baseColor = isStandby ? '#64748b' : '#fbbf24';
+    if (isLinkDown) baseColor = '#ef4444';
+
+    // Measured traffic colors and widens active links; failover links keep their color
+    const utilization = isActive && link && link.utilization !== null ? link.utilization : null;
+    if (utilization !== null && !conn.isFailover) baseColor = getUtilizationColor(utilization);
+    const strokeWidth = String(utilization !== null ? getUtilizationWidth(utilization) : 2);
 
     // Create group for this connection
     const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
@@ -872,6 +938,9 @@ function drawLines() {
     if (selectedConnectionId === conn.id) {
       group.classList.add('selected');
     }
+    if (isTraceroutePathConnection(conn.id)) {
+      group.classList.add('traceroute-path');
+    }
 
     // Invisible hitbox for easier clicking
     const hitbox = document.createElementNS("http://www.w3.org/2000/svg", "path");
@@ -879,35 +948,44 @@ function drawLines() {
     hitbox.classList.add('connection-hitbox');
     group.appendChild(hitbox);
 
+    if (link) {
+      const title = document.createElementNS("http://www.w3.org/2000/svg", "title");
+      title.textContent = getLinkTooltip(conn, link);
+      group.appendChild(title);
+    }
+
     // Base path
     const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
     path.setAttribute('d', d);
     path.setAttribute('fill', 'none');
     path.setAttribute('stroke', baseColor);
-    path.setAttribute('stroke-width', '2');
+    path.setAttribute('stroke-width', strokeWidth);
     path.setAttribute('stroke-opacity', '0.4');
+    if (isStandby) path.setAttribute('stroke-dasharray', '4 6');
     path.classList.add('connection-main');
     group.appendChild(path);
 
     // Animated paths for active connections
-    if (isOnline || conn.isFailover) {
+    if (isActive) {
       const pathFwd = document.createElementNS("http://www.w3.org/2000/svg", "path");
       pathFwd.setAttribute('d', d);
       pathFwd.setAttribute('fill', 'none');
       pathFwd.setAttribute('stroke', baseColor);
-      pathFwd.setAttribute('stroke-width', '2');
+      pathFwd.setAttribute('stroke-width', strokeWidth);
       pathFwd.setAttribute('stroke-dasharray', '8 8');
       pathFwd.classList.add('animate-flow', 'connection-animated');
+      if (link) pathFwd.style.animationDuration = getFlowDuration(link.forwardBps, link.speedBps);
       group.appendChild(pathFwd);
 
       const pathRev = document.createElementNS("http://www.w3.org/2000/svg", "path");
       pathRev.setAttribute('d', d);
       pathRev.setAttribute('fill', 'none');
       pathRev.setAttribute('stroke', baseColor);
-      pathRev.setAttribute('stroke-width', '2');
+      pathRev.setAttribute('stroke-width', strokeWidth);
       pathRev.setAttribute('stroke-dasharray', '8 8');
       pathRev.setAttribute('stroke-opacity', '0.6');
       pathRev.classList.add('animate-flow-reverse', 'connection-animated');
+      if (link) pathRev.style.animationDuration = getFlowDuration(link.reverseBps, link.speedBps);
       group.appendChild(pathRev);
     }
 
@@ -916,6 +994,10 @@ function drawLines() {
       e.stopPropagation();
       selectConnection(conn.id);
     });
+    group.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      openConnectionModal(conn.id);
+    });
 
     // Enable pointer events for connection groups
     group.style.pointerEvents = 'auto';
@@ -923,13 +1005,14 @@ function drawLines() {
     svg.appendChild(group);
 
     // Draw link speed/type label if available
-    if (conn.linkType || conn.linkSpeed) {
+    if (conn.linkType || conn.linkSpeed || utilization !== null) {
       const midX = (x1 + x2) / 2;
       const midY = (y1 + y2) / 2;
 
       let labelParts = [];
       if (conn.linkType) labelParts.push(conn.linkType);
       if (conn.linkSpeed) labelParts.push(conn.linkSpeed);
+      if (utilization !== null) labelParts.push(`${Math.round(utilization)}%`);
       const labelText = labelParts.join(' ');
 
       const textBg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
@@ -1044,6 +1127,7 @@ function createBezierPath(x1, y1, x2, y2, sourceSide, targetSide) {
 // ============================================
 
 function startConnection(e, node, portEl) {
+  if (READ_ONLY) return;
   e.stopPropagation();
   e.preventDefault();
 
@@ -1141,6 +1225,11 @@ function endConnection(e) {
         renderTree(config.nodes);
         updateMinimap();
         toastSuccess('Connection Created', 'Nodes connected successfully');
+
+        // The monitor uses connections to tell root causes from unreachable nodes
+        if (monitoringActive) {
+          stopMonitoring().then(() => startMonitoring());
+        }
       }
     }
   }
@@ -1171,7 +1260,7 @@ function deselectConnection() {
 }
 
 function deleteSelectedConnection() {
-  if (!selectedConnectionId) return;
+  if (READ_ONLY || !selectedConnectionId) return;
 
   const conn = config.connections.find(c => c.id === selectedConnectionId);
   if (!conn) return;
@@ -1194,10 +1283,140 @@ function deleteSelectedConnection() {
       renderTree(config.nodes);
       updateMinimap();
       toastSuccess('Connection Deleted', 'Connection removed successfully');
+
+      if (monitoringActive) {
+        stopMonitoring().then(() => startMonitoring());
+      }
     }
   }
 }
 
+// ============================================
+// Connection Editing & Utilization
+// ============================================
+
+// Green when idle through yellow to red when saturated
+function getUtilizationColor(percent) {
+  const load = Math.max(0, Math.min(100, percent)) / 100;
+  return `hsl(${Math.round(120 * (1 - load))}, 85%, 50%)`;
+}
+
+function getUtilizationWidth(percent) {
+  return 2 + Math.max(0, Math.min(100, percent)) / 100 * 4;
+}
+
+// One dash cycle per 2s on an idle link down to 0.25s at line rate
+function getFlowDuration(bps, speedBps) {
+  if (bps === null || !speedBps) return '';
+  const load = Math.min(1, bps / speedBps);
+  return `${(2 - 1.75 * Math.sqrt(load)).toFixed(2)}s`;
+}
+
+function formatBitRate(bps) {
+  if (bps === null || bps === undefined) return '-';
+  const units = ['bps', 'Kbps', 'Mbps', 'Gbps', 'Tbps'];
+  let value = bps;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function getLinkTooltip(conn, link) {
+  const source = config.nodes.find(n => n.id === conn.sourceNodeId);
+  const target = config.nodes.find(n => n.id === conn.targetNodeId);
+  const owner = config.nodes.find(n => n.id === link.nodeId);
+  const lines = [
+    `${source?.name || conn.sourceNodeId} → ${target?.name || conn.targetNodeId}`,
+    `Interface: ${link.interface} on ${owner?.name || link.nodeId} (${link.operStatus})`,
+    `→ ${formatBitRate(link.forwardBps)}   ← ${formatBitRate(link.reverseBps)}`
+  ];
+  if (link.utilization !== null) {
+    lines.push(`Utilization: ${link.utilization}% of ${formatBitRate(link.speedBps)}`);
+  } else if (link.forwardBps === null && link.reverseBps === null) {
+    lines.push('Waiting for a second SNMP sample...');
+  } else {
+    lines.push('Set a link speed to see utilization');
+  }
+  return lines.join('\n');
+}
+
+function openConnectionModal(connId) {
+  if (READ_ONLY) return;
+  const conn = config.connections.find(c => c.id === connId);
+  if (!conn) return;
+
+  const source = config.nodes.find(n => n.id === conn.sourceNodeId);
+  const target = config.nodes.find(n => n.id === conn.targetNodeId);
+
+  document.getElementById('connection-edit-id').value = conn.id;
+  document.getElementById('connection-modal-endpoints').textContent =
+    `${source?.name || conn.sourceNodeId} → ${target?.name || conn.targetNodeId}${conn.isFailover ? ' (failover)' : ''}`;
+  document.getElementById('connection-link-type').value = conn.linkType || '';
+  document.getElementById('connection-link-speed').value = conn.linkSpeed || '';
+
+  const nodeSelect = document.getElementById('connection-snmp-node');
+  nodeSelect.innerHTML = '<option value="">Not measured</option>' + [source, target].filter(Boolean).map(node =>
+    `<option value="${escapeHtml(node.id)}">${escapeHtml(node.name)}${node.snmp ? '' : ' (no SNMP)'}</option>`
+  ).join('');
+  nodeSelect.value = conn.snmpBinding ? conn.snmpBinding.nodeId : '';
+  document.getElementById('connection-snmp-interface').value = conn.snmpBinding ? conn.snmpBinding.interface : '';
+  updateConnectionInterfaceOptions();
+
+  openModal('connection-modal');
+}
+
+// Suggest the interfaces reported by the node's last SNMP check
+function updateConnectionInterfaceOptions() {
+  const nodeId = document.getElementById('connection-snmp-node').value;
+  const node = networkData.find(n => n.id === nodeId);
+  const result = node ? (node.probeResults || []).find(r => r.type === 'snmp' && r.snmp) : null;
+  const interfaces = result ? result.snmp.interfaces : [];
+
+  document.getElementById('connection-snmp-interface').disabled = !nodeId;
+  document.getElementById('connection-snmp-interfaces').innerHTML = interfaces.map(iface =>
+    `<option value="${escapeHtml(iface.name || String(iface.index))}">${escapeHtml(`#${iface.index} ${iface.description || ''} (${iface.operStatus})`)}</option>`
+  ).join('');
+}
+
+function saveConnection() {
+  const conn = config.connections.find(c => c.id === document.getElementById('connection-edit-id').value);
+  if (!conn) return;
+
+  const bindNodeId = document.getElementById('connection-snmp-node').value;
+  const bindInterface = document.getElementById('connection-snmp-interface').value.trim();
+  if (bindNodeId && !bindInterface) {
+    toastError('Validation Error', 'Enter the SNMP interface that carries this link');
+    document.getElementById('connection-snmp-interface').focus();
+    return;
+  }
+
+  const source = config.nodes.find(n => n.id === conn.sourceNodeId);
+  const target = config.nodes.find(n => n.id === conn.targetNodeId);
+  saveStateForUndo(`Edit connection "${source?.name || conn.sourceNodeId}" - "${target?.name || conn.targetNodeId}"`);
+
+  conn.linkType = document.getElementById('connection-link-type').value || null;
+  conn.linkSpeed = document.getElementById('connection-link-speed').value || null;
+  conn.snmpBinding = bindNodeId ? { nodeId: bindNodeId, interface: bindInterface } : null;
+
+  saveConfig();
+  closeModal('connection-modal');
+  drawLines();
+  updateMinimap();
+  toastSuccess('Connection Updated', 'Connection saved successfully');
+
+  const bindNode = config.nodes.find(n => n.id === bindNodeId);
+  if (bindNode && !(bindNode.probes || []).some(p => p.type === 'snmp')) {
+    toastWarning('No SNMP Check', `Add an SNMP check to "${bindNode.name}" to measure this link`);
+  }
+
+  if (monitoringActive) {
+    stopMonitoring().then(() => startMonitoring());
+  }
+}
+
 // ============================================
 // Node Drag & Drop
 // ============================================
@@ -1206,7 +1425,7 @@ let dragOffsetX = 0, dragOffsetY = 0;
 let multiDragOffsets = new Map(); // For multi-select drag
 
 function startNodeDrag(e, node) {
-  if (e.button !== 0) return; // Only left click
+  if (e.button !== 0 || READ_ONLY) return; // Only left click
   e.stopPropagation();
   e.preventDefault();
 
@@ -1534,17 +1753,33 @@ function renderHostList(nodes) {
   const list = document.getElementById('host-list-content');
   document.getElementById('host-count').innerText = nodes.length;
 
+  // Down nodes first, then degraded, then up
+  const healthOrder = { down: 0, unreachable: 1, degraded: 2, up: 3 };
   const sortedNodes = [...nodes].sort((a, b) => {
-    if (a.status === b.status) return (a.name || '').localeCompare(b.name || '');
-    return a.status ? 1 : -1;
+    const diff = healthOrder[getNodeHealthState(a)] - healthOrder[getNodeHealthState(b)];
+    if (diff === 0) return (a.name || '').localeCompare(b.name || '');
+    return diff;
   });
 
   let html = '';
   sortedNodes.forEach(node => {
-    const colorClass = node.status ? 'bg-green-500' : 'bg-red-500 shadow-[0_0_8px_rgba(239,68,68,0.6)]';
+    const health = getNodeHealthState(node);
+    const colorClass = {
+      up: 'bg-green-500',
+      degraded: 'bg-yellow-400',
+      down: 'bg-red-500 shadow-[0_0_8px_rgba(239,68,68,0.6)]',
+      unreachable: 'bg-slate-500'
+    }[health];
     const uptimeText = node.uptime || 'checking...';
-    const statusLabel = node.status ? 'UP' : 'DOWN';
-    const statusColor = node.status ? 'text-green-400' : 'text-red-400 font-bold';
+    const statusLabel = { up: 'UP', degraded: 'DEGRADED', down: 'DOWN', unreachable: 'UNREACHABLE' }[health];
+    const statusColor = {
+      up: 'text-green-400',
+      degraded: 'text-yellow-400 font-bold',
+      down: 'text-red-400 font-bold',
+      unreachable: 'text-slate-400'
+    }[health];
+    const rootCause = health === 'unreachable' ? config.nodes.find(n => n.id === node.rootCauseId) : null;
+    const metricsText = formatNodeMetrics(node);
 
     html += `
       <div class="host-row" data-node-id="${node.id}">
@@ -1553,11 +1788,19 @@ function renderHostList(nodes) {
           <div class="flex flex-col">
             <span class="font-bold text-slate-200">${escapeHtml(node.name || '')}</span>
             <span class="text-[10px] text-slate-500 font-mono">${escapeHtml(node.address || '')}</span>
+            ${renderProbeBadges(node)}
+            ${renderSshCheckBadges(node)}
+            ${renderHostMetricsColumns(node)}
           </div>
         </div>
         <div class="text-right">
           <div class="text-[10px] ${statusColor}">${statusLabel}</div>
+          ${renderMaintenanceBadge(node)}
+          ${rootCause ? `<div class="status-text">behind ${escapeHtml(rootCause.name || rootCause.id)}</div>` : ''}
+          ${node.impactedCount ? `<div class="status-text text-red-400">${node.impactedCount} unreachable</div>` : ''}
           <div class="status-text">${uptimeText}</div>
+          ${renderLatencySparkline(node.id)}
+          ${metricsText ? `<div class="status-text" title="RTT avg, jitter, packet loss">${escapeHtml(metricsText)}</div>` : ''}
         </div>
       </div>
     `;
@@ -1573,6 +1816,120 @@ function renderHostList(nodes) {
   });
 }
 
+// ============================================
+// Node Health & Metrics
+// ============================================
+
+const HEALTH_LABELS = { up: 'ONLINE', degraded: 'DEGRADED', down: 'OFFLINE', unreachable: 'UNREACHABLE' };
+const HEALTH_CLASSES = { up: 'online', degraded: 'degraded', down: 'offline', unreachable: 'unreachable' };
+const HEALTH_COLORS = {
+  up: { text: '#16a34a', background: 'rgba(34,197,94,0.06)' },
+  degraded: { text: '#ca8a04', background: 'rgba(234,179,8,0.1)' },
+  down: { text: '#ef4444', background: 'rgba(239,68,68,0.06)' },
+  unreachable: { text: '#94a3b8', background: 'rgba(148,163,184,0.08)' }
+};
+
+// 'up' | 'degraded' | 'down' | 'unreachable' - falls back to the boolean status for nodes
+// that have not been checked by the monitor yet
+function getNodeHealthState(node) {
+  if (node.health) return node.health;
+  return node.status === true ? 'up' : 'down';
+}
+
+// "12.3 ms ±1.2 0% loss", or the short "12ms 0%" form for node cards
+function formatNodeMetrics(node, short = false) {
+  const parts = [];
+  if (node.rtt) {
+    parts.push(short ? `${Math.round(node.rtt.avg)}ms` : `${node.rtt.avg} ms`);
+    if (!short && node.jitter !== null && node.jitter !== undefined) parts.push(`±${node.jitter}`);
+  }
+  if (typeof node.packetLoss === 'number') {
+    parts.push(short ? `${Math.round(node.packetLoss)}%` : `${node.packetLoss}% loss`);
+  }
+  return parts.join(' ');
+}
+
+// Per-probe breakdown shown under the address when a node has explicit probes
+function renderProbeBadges(node) {
+  if (!node.probeResults || !node.probes || node.probes.length === 0) return '';
+
+  return `<div class="probe-badges">${node.probeResults.map(r => {
+    const state = !r.success ? 'fail' : (r.warning ? 'warn' : 'ok');
+    return `<span class="probe-badge ${state}" title="${escapeHtml(r.message || '')}">${escapeHtml(PROBE_TYPE_LABELS[r.type] || r.type)}</span>`;
+  }).join('')}</div>`;
+}
+
+// Level of a usage percentage against the host metrics thresholds
+function getHostUsageLevel(percent) {
+  const { warning, critical } = getHostMetricsSettings();
+  if (percent === null || percent === undefined) return '';
+  if (percent >= critical) return 'critical';
+  if (percent >= warning) return 'warning';
+  return '';
+}
+
+// Card class for the worst usage reported by node.hostMetrics
+function getHostMetricsClass(node) {
+  const state = node.hostMetrics && node.hostMetrics.state;
+  return state === 'warning' || state === 'critical' ? `host-${state}` : '';
+}
+
+function formatHostMetricsTitle(metrics) {
+  const lines = [
+    `Load ${metrics.cpu.load1} / ${metrics.cpu.load5} / ${metrics.cpu.load15} on ${metrics.cpu.cores} cores`,
+    `Memory ${formatOctets(metrics.memory.used)} of ${formatOctets(metrics.memory.total)}`
+  ];
+  if (metrics.disk) lines.push(`Disk / ${formatOctets(metrics.disk.used)} of ${formatOctets(metrics.disk.total)}`);
+  lines.push(`Up ${formatDuration(metrics.uptime * 1000)}`);
+  if (metrics.error) lines.push(`Last collection failed: ${metrics.error}`);
+  return lines.join('\n');
+}
+
+// Mini CPU / memory / disk gauges for the node cards
+function renderHostGauges(node) {
+  const metrics = node.hostMetrics;
+  if (!metrics || !metrics.cpu) return '';
+
+  const gauges = [['CPU', metrics.cpu.percent], ['MEM', metrics.memory.percent], ['DSK', metrics.disk ? metrics.disk.percent : null]]
+    .filter(([, percent]) => percent !== null)
+    .map(([label, percent]) => `
+      <div class="host-gauge">
+        <span>${label}</span>
+        <div class="host-gauge-bar"><div class="host-gauge-fill ${getHostUsageLevel(percent)}" style="width:${Math.min(100, Math.round(percent))}%"></div></div>
+      </div>
+    `).join('');
+  return `<div class="host-gauges" title="${escapeHtml(formatHostMetricsTitle(metrics))}">${gauges}</div>`;
+}
+
+// CPU, memory, disk and uptime columns for the host list
+function renderHostMetricsColumns(node) {
+  const metrics = node.hostMetrics;
+  if (!metrics || !metrics.cpu) return '';
+
+  const column = (label, percent) => percent === null
+    ? `<span>${label} -</span>`
+    : `<span class="${getHostUsageLevel(percent)}">${label} ${Math.round(percent)}%</span>`;
+  return `
+    <div class="host-metrics-cols" title="${escapeHtml(formatHostMetricsTitle(metrics))}">
+      ${column('CPU', metrics.cpu.percent)}
+      ${column('MEM', metrics.memory.percent)}
+      ${column('DSK', metrics.disk ? metrics.disk.percent : null)}
+      <span>UP ${escapeHtml(formatDuration(metrics.uptime * 1000).split(' ')[0])}</span>
+    </div>
+  `;
+}
+
+// SSH check states (ok, warning, critical, unknown, pending) next to the probes
+const SSH_CHECK_BADGE_CLASSES = { ok: 'ok', warning: 'warn', critical: 'fail', unknown: 'unknown', pending: 'pending' };
+
+function renderSshCheckBadges(node) {
+  if (!node.sshCheckResults || node.sshCheckResults.length === 0) return '';
+
+  return `<div class="probe-badges">${node.sshCheckResults.map(c =>
+    `<span class="probe-badge ${SSH_CHECK_BADGE_CLASSES[c.state] || 'unknown'}" title="${escapeHtml(`${c.state}: ${c.message || ''}`)}">${escapeHtml(c.name)}</span>`
+  ).join('')}</div>`;
+}
+
 function applyNodeFilter() {
   const searchTerm = document.getElementById('node-search').value.toLowerCase().trim();
   const statusFilter = document.getElementById('node-filter-status').value;
@@ -1591,6 +1948,8 @@ function applyNodeFilter() {
     let matchesStatus = true;
     if (statusFilter === 'online') {
       matchesStatus = node.status === true;
+    } else if (statusFilter === 'degraded' || statusFilter === 'unreachable') {
+      matchesStatus = getNodeHealthState(node) === statusFilter;
     } else if (statusFilter === 'offline') {
       matchesStatus = node.status === false || node.status === undefined;
     }
@@ -1678,11 +2037,422 @@ function focusOnNode(nodeId) {
   requestAnimationFrame(animate);
 }
 
+// ============================================
+// Node Detail Panel
+// ============================================
+
+const NODE_DETAIL_RANGES = {
+  '1h': { span: 3600000, resolution: 'raw' },
+  '24h': { span: 86400000, resolution: '1m' },
+  '7d': { span: 7 * 86400000, resolution: '1h' }
+};
+const NODE_DETAIL_SLOTS = 60;            // Segments in the up/down timeline bar
+const NODE_DETAIL_REFRESH = 15000;       // Minimum time between history reloads
+const MAX_SPARKLINE_POINTS = 30;
+
+let nodeDetailNodeId = null;
+let nodeDetailRange = '1h';
+let nodeDetailLoadedAt = 0;
+let nodeDetailRequest = 0;
+
+// nodeId -> { lastChecked, values: [rtt or null] } for the host list sparklines
+let latencySamples = new Map();
+
+function recordLatencySample(node) {
+  if (!node.lastChecked) return;
+
+  let samples = latencySamples.get(node.id);
+  if (!samples) {
+    samples = { lastChecked: null, values: [] };
+    latencySamples.set(node.id, samples);
+  }
+  if (samples.lastChecked === node.lastChecked) return;
+
+  samples.lastChecked = node.lastChecked;
+  samples.values.push(node.status && node.rtt ? node.rtt.avg : null);
+  if (samples.values.length > MAX_SPARKLINE_POINTS) samples.values.shift();
+}
+
+// Small inline SVG of the recent RTT values; gaps mark failed checks
+function renderLatencySparkline(nodeId) {
+  const samples = latencySamples.get(nodeId);
+  if (!samples || samples.values.filter(v => v !== null).length < 2) return '';
+
+  const width = 64, height = 16;
+  const values = samples.values;
+  const max = Math.max(...values.filter(v => v !== null), 1);
+  const step = width / (MAX_SPARKLINE_POINTS - 1);
+  const offset = (MAX_SPARKLINE_POINTS - values.length) * step;
+
+  const lines = [];
+  let current = [];
+  values.forEach((value, i) => {
+    if (value === null) {
+      if (current.length) lines.push(current);
+      current = [];
+      return;
+    }
+    const x = (offset + i * step).toFixed(1);
+    const y = (height - 1 - (value / max) * (height - 2)).toFixed(1);
+    current.push(`${x},${y}`);
+  });
+  if (current.length) lines.push(current);
+
+  const polylines = lines.map(points => points.length === 1
+    ? `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="1" fill="#60a5fa"/>`
+    : `<polyline points="${points.join(' ')}" fill="none" stroke="#60a5fa" stroke-width="1.2"/>`
+  ).join('');
+
+  return `<svg class="latency-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><title>Last ${values.length} checks, max ${Math.round(max)} ms</title>${polylines}</svg>`;
+}
+
+function openNodeDetailPanel(nodeId) {
+  nodeDetailNodeId = nodeId;
+  nodeDetailLoadedAt = 0;
+  document.getElementById('node-detail-panel').classList.remove('hidden');
+  document.getElementById('node-detail-syslog-search').value = '';
+  renderNodeDetailPanel();
+  loadNodeDetailHistory();
+  loadNodeDetailSyslog();
+}
+
+function closeNodeDetailPanel() {
+  nodeDetailNodeId = null;
+  document.getElementById('node-detail-panel').classList.add('hidden');
+}
+
+function setNodeDetailRange(range) {
+  nodeDetailRange = range;
+  document.querySelectorAll('.node-detail-range').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.range === range);
+  });
+  loadNodeDetailHistory();
+}
+
+// Called on every monitor update while the panel is open
+function refreshNodeDetailPanel() {
+  if (!nodeDetailNodeId) return;
+  renderNodeDetailPanel();
+  if (Date.now() - nodeDetailLoadedAt >= NODE_DETAIL_REFRESH) {
+    loadNodeDetailHistory();
+  }
+}
+
+// Live node data when monitoring, otherwise the saved config node
+function getNodeDetailData(nodeId) {
+  return networkData.find(n => n.id === nodeId) || config.nodes.find(n => n.id === nodeId) || null;
+}
+
+function renderNodeDetailPanel() {
+  const node = getNodeDetailData(nodeDetailNodeId);
+  if (!node) {
+    closeNodeDetailPanel();
+    return;
+  }
+
+  document.getElementById('node-detail-title').textContent = node.name || node.id;
+  document.getElementById('node-detail-subtitle').textContent = node.address || '';
+
+  const summary = document.getElementById('node-detail-summary');
+  if (node.lastChecked && !node.pending) {
+    const health = getNodeHealthState(node);
+    const lastChange = getLastStatusChange(node.id);
+    const metricsText = formatNodeMetrics(node);
+    summary.innerHTML = `
+      <span class="node-detail-health ${HEALTH_CLASSES[health]}">${HEALTH_LABELS[health]}</span>
+      ${lastChange ? `<span class="status-text">for ${lastChange.duration}</span>` : ''}
+      ${node.maintenance ? `<div class="mt-1">${renderMaintenanceBadge(node)} <span class="status-text">${escapeHtml(node.maintenance.name)} until ${new Date(node.maintenance.until).toLocaleString()}</span></div>` : ''}
+      ${node.criticalEvent ? `<div class="status-text mt-1 text-red-400" title="Until ${new Date(node.criticalEvent.until).toLocaleString()}">Syslog ${escapeHtml(node.criticalEvent.severity)}: ${escapeHtml(node.criticalEvent.message)}</div>` : ''}
+      ${metricsText ? `<div class="status-text mt-1">${escapeHtml(metricsText)}</div>` : ''}
+      ${node.hostMetrics && node.hostMetrics.cpu ? `<div class="status-text mt-1 whitespace-pre-line">${escapeHtml(formatHostMetricsTitle(node.hostMetrics))}</div>` : ''}
+      ${(node.probeResults || []).map(r => `
+        <div class="status-text mt-1">${escapeHtml(PROBE_TYPE_LABELS[r.type] || r.type)}: ${escapeHtml(r.message || (r.success ? 'OK' : 'Failed'))}</div>
+      `).join('')}
+    `;
+  } else {
+    summary.innerHTML = `<span class="status-text">${monitoringActive ? 'Waiting for first check...' : 'Monitoring is stopped'}</span>`;
+  }
+
+  renderNodeDetailSnmp(node);
+  renderNodeDetailSshChecks(node);
+  renderNodeDetailChanges(node.id);
+  renderNodeDetailConfig(node.id);
+}
+
+function formatOctets(octets) {
+  if (octets === null || octets === undefined) return '-';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let value = octets;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// System info, resources and interface table from the latest SNMP check
+function renderNodeDetailSnmp(node) {
+  const section = document.getElementById('node-detail-snmp-section');
+  const result = (node.probeResults || []).find(r => r.type === 'snmp' && r.snmp);
+  section.classList.toggle('hidden', !result);
+  if (!result) return;
+
+  const data = result.snmp;
+  const rows = [];
+  if (data.sysName) rows.push(['System', data.sysName]);
+  if (data.sysDescr) rows.push(['Description', data.sysDescr]);
+  if (data.sysUpTime !== null) rows.push(['Uptime', formatDuration(data.sysUpTime * 1000)]);
+  if (data.cpu !== null) rows.push(['CPU', `${data.cpu}%`]);
+  if (data.memory) rows.push(['Memory', `${data.memory.percent}% of ${formatOctets(data.memory.total)}`]);
+
+  const interfaces = (data.interfaces || []).map(iface => `
+    <div class="node-detail-row" title="${escapeHtml(iface.description || '')}">
+      <span class="truncate"><span class="snmp-iface-status ${escapeHtml(iface.operStatus)}"></span>${escapeHtml(iface.name || String(iface.index))}</span>
+      <span class="status-text font-mono whitespace-nowrap">${iface.speedMbps ? escapeHtml(String(iface.speedMbps)) + ' Mb · ' : ''}↓${formatOctets(iface.inOctets)} ↑${formatOctets(iface.outOctets)}</span>
+    </div>
+  `).join('');
+
+  document.getElementById('node-detail-snmp').innerHTML = rows.map(([label, value]) => `
+    <div class="node-detail-row">
+      <span class="text-slate-500">${escapeHtml(label)}</span>
+      <span class="text-right">${escapeHtml(value)}</span>
+    </div>
+  `).join('') + (interfaces ? `<div class="mt-2">${interfaces}</div>` : '');
+}
+
+// Latest state, message and output of each SSH check
+function renderNodeDetailSshChecks(node) {
+  const section = document.getElementById('node-detail-ssh-checks-section');
+  const results = node.sshCheckResults || [];
+  section.classList.toggle('hidden', results.length === 0);
+  if (results.length === 0) return;
+
+  document.getElementById('node-detail-ssh-checks').innerHTML = results.map(c => `
+    <div class="node-detail-row" title="${c.lastRun ? `Ran ${new Date(c.lastRun).toLocaleString()} in ${c.duration} ms` : ''}">
+      <span class="truncate"><span class="probe-badge ${SSH_CHECK_BADGE_CLASSES[c.state] || 'unknown'}">${escapeHtml(c.state.toUpperCase())}</span> ${escapeHtml(c.name)}</span>
+      <span class="status-text text-right">${escapeHtml(c.message || '')}</span>
+    </div>
+    ${c.output && c.output !== c.message ? `<div class="ssh-check-output">${escapeHtml(c.output)}</div>` : ''}
+  `).join('');
+}
+
+function renderNodeDetailChanges(nodeId) {
+  const container = document.getElementById('node-detail-changes');
+  const history = getNodeStatusHistory(nodeId);
+
+  if (!history || history.history.length === 0) {
+    container.innerHTML = '<div class="status-text">No state changes recorded this session</div>';
+    return;
+  }
+
+  const recent = history.history.slice(-10).reverse();
+  container.innerHTML = recent.map((entry, i) => {
+    // Each entry lasted until the next (newer) one, the newest one until now
+    const until = i === 0 ? Date.now() : recent[i - 1].time;
+    return `
+      <div class="node-detail-row">
+        <span><span class="status-dot inline-block ${entry.status ? 'bg-green-500' : 'bg-red-500'}"></span>${entry.status ? 'Online' : 'Offline'}</span>
+        <span class="status-text" title="${new Date(entry.time).toLocaleString()}">${new Date(entry.time).toLocaleTimeString()} · ${formatDuration(until - entry.time)}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderNodeDetailConfig(nodeId) {
+  const node = config.nodes.find(n => n.id === nodeId);
+  const container = document.getElementById('node-detail-config');
+  if (!node) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const rows = [['Address', node.address || '-']];
+  if (node.isContainer) rows.push(['Type', `Container (${node.containerType || 'generic'})`]);
+
+  if (node.containerId) {
+    const parent = config.nodes.find(n => n.id === node.containerId);
+    const zone = parent && parent.zones ? parent.zones.find(z => z.id === node.zoneId) : null;
+    rows.push(['Container', (parent ? parent.name : node.containerId) + (zone ? ` / ${zone.name}` : '')]);
+  }
+
+  const uplinks = config.connections.filter(c => c.targetNodeId === node.id).map(c => {
+    const source = config.nodes.find(n => n.id === c.sourceNodeId);
+    return (source ? source.name : c.sourceNodeId) + (c.isFailover ? ' (failover)' : '');
+  });
+  if (uplinks.length) rows.push(['Uplinks', uplinks.join(', ')]);
+
+  if (node.port) rows.push(['Monitor port', node.port]);
+  if (node.sshUser) {
+    const host = isValidIPv6(node.address) ? `[${node.address}]` : node.address;
+    rows.push(['SSH', `${node.sshUser}@${host}:${node.sshPort || 22}`]);
+  }
+  if (node.snmp) rows.push(['SNMP', `v${node.snmp.version}${node.snmp.version === '3' ? ` (${node.snmp.username}, ${node.snmp.securityLevel})` : ''}, port ${node.snmp.port || 161}`]);
+
+  const probes = (node.probes || []).map(p => PROBE_TYPE_LABELS[p.type] || p.type);
+  rows.push(['Checks', probes.length ? probes.join(', ') : (node.port ? 'TCP' : 'Ping')]);
+
+  // Effective monitoring settings; node overrides are highlighted
+  const effective = { ...getMonitoringSettings(), ...(node.monitoring || {}) };
+  MONITORING_FIELDS.forEach(([field, label]) => {
+    if (effective[field] === null || effective[field] === undefined) return;
+    const overridden = node.monitoring && node.monitoring[field] !== undefined;
+    const value = escapeHtml(String(effective[field]));
+    rows.push([label, overridden ? `<b>${value}</b>` : value, true]);
+  });
+
+  container.innerHTML = rows.map(([label, value, isHtml]) => `
+    <div class="node-detail-row">
+      <span class="text-slate-500">${escapeHtml(label)}</span>
+      <span class="font-mono text-right">${isHtml ? value : escapeHtml(value)}</span>
+    </div>
+  `).join('');
+}
+
+async function loadNodeDetailHistory() {
+  if (!nodeDetailNodeId || !window.electronAPI) return;
+
+  const nodeId = nodeDetailNodeId;
+  const range = NODE_DETAIL_RANGES[nodeDetailRange];
+  const to = Date.now();
+  const from = to - range.span;
+  const request = ++nodeDetailRequest;
+  nodeDetailLoadedAt = to;
+
+  const result = await window.electronAPI.history.query(nodeId, from, to, range.resolution);
+
+  // Ignore responses for a node or range that is no longer shown
+  if (request !== nodeDetailRequest || nodeId !== nodeDetailNodeId) return;
+  if (!result.success) {
+    toastError('History Error', result.error);
+    return;
+  }
+
+  renderNodeDetailTimeline(result.points, from, to);
+  drawNodeDetailLatency(result.points, from, to);
+}
+
+// Splits the range into equal slots colored by the share of successful checks
+function renderNodeDetailTimeline(points, from, to) {
+  const slotSize = (to - from) / NODE_DETAIL_SLOTS;
+  const slots = Array.from({ length: NODE_DETAIL_SLOTS }, () => ({ samples: 0, up: 0, degraded: 0 }));
+
+  points.forEach(point => {
+    const idx = Math.min(NODE_DETAIL_SLOTS - 1, Math.floor((point.time - from) / slotSize));
+    if (idx < 0) return;
+    const slot = slots[idx];
+    slot.samples += point.samples;
+    slot.up += point.uptime * point.samples;
+    slot.degraded += (point.degraded !== undefined ? point.degraded : (point.health === 'degraded' ? 1 : 0)) * point.samples;
+  });
+
+  let totalSamples = 0, totalUp = 0;
+  const html = slots.map((slot, i) => {
+    const start = new Date(from + i * slotSize).toLocaleString();
+    if (slot.samples === 0) {
+      return `<div class="timeline-slot nodata" title="${start}: no data"></div>`;
+    }
+    totalSamples += slot.samples;
+    totalUp += slot.up;
+
+    const uptime = slot.up / slot.samples;
+    let state = 'up';
+    if (uptime === 0) state = 'down';
+    else if (uptime < 1) state = 'partial';
+    else if (slot.degraded > 0) state = 'degraded';
+    return `<div class="timeline-slot ${state}" title="${start}: ${(uptime * 100).toFixed(1)}% up"></div>`;
+  }).join('');
+
+  document.getElementById('node-detail-timeline').innerHTML = html;
+  document.getElementById('node-detail-availability').textContent = totalSamples > 0
+    ? `${(totalUp / totalSamples * 100).toFixed(2)}% available · ${totalSamples} checks`
+    : 'No history for this period';
+}
+
+// Average RTT line over a min/max band, packet loss as red bars along the bottom
+function drawNodeDetailLatency(points, from, to) {
+  const canvas = document.getElementById('node-detail-latency');
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, width, height);
+
+  const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-muted').trim() || '#64748b';
+  const withRtt = points.filter(p => p.rtt !== null && p.rtt !== undefined);
+  const statsEl = document.getElementById('node-detail-latency-stats');
+
+  if (withRtt.length === 0) {
+    ctx.fillStyle = textColor;
+    ctx.font = '11px system-ui';
+    ctx.textAlign = 'center';
+    ctx.fillText('No latency data', width / 2, height / 2);
+    statsEl.textContent = '';
+    return;
+  }
+
+  const top = 12, bottom = height - 14;
+  const maxRtt = Math.max(...withRtt.map(p => p.rttMax !== null && p.rttMax !== undefined ? p.rttMax : p.rtt), 1);
+  const x = (t) => ((t - from) / (to - from)) * width;
+  const y = (v) => bottom - (v / maxRtt) * (bottom - top);
+
+  // Break lines where checks are missing for more than a few intervals
+  const gap = points.length > 1 ? ((to - from) / points.length) * 5 : Infinity;
+  const segments = [];
+  withRtt.forEach((p, i) => {
+    if (i === 0 || p.time - withRtt[i - 1].time > gap) segments.push([]);
+    segments[segments.length - 1].push(p);
+  });
+
+  ctx.fillStyle = 'rgba(96, 165, 250, 0.15)';
+  segments.forEach(seg => {
+    ctx.beginPath();
+    seg.forEach((p, i) => ctx[i === 0 ? 'moveTo' : 'lineTo'](x(p.time), y(p.rttMax ?? p.rtt)));
+    [...seg].reverse().forEach(p => ctx.lineTo(x(p.time), y(p.rttMin ?? p.rtt)));
+    ctx.closePath();
+    ctx.fill();
+  });
+
+  ctx.strokeStyle = '#60a5fa';
+  ctx.lineWidth = 1.5;
+  segments.forEach(seg => {
+    ctx.beginPath();
+    seg.forEach((p, i) => ctx[i === 0 ? 'moveTo' : 'lineTo'](x(p.time), y(p.rtt)));
+    if (seg.length === 1) ctx.arc(x(seg[0].time), y(seg[0].rtt), 1.5, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+
+  ctx.fillStyle = 'rgba(239, 68, 68, 0.7)';
+  points.forEach(p => {
+    if (p.packetLoss > 0) {
+      const h = Math.max(2, (p.packetLoss / 100) * 10);
+      ctx.fillRect(x(p.time) - 1, bottom - h, 2, h);
+    }
+  });
+
+  ctx.fillStyle = textColor;
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'left';
+  ctx.fillText(`${Math.round(maxRtt)} ms`, 2, top - 2);
+  ctx.fillText(new Date(from).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }), 2, height - 2);
+  ctx.textAlign = 'right';
+  ctx.fillText('now', width - 2, height - 2);
+
+  const avg = withRtt.reduce((sum, p) => sum + p.rtt, 0) / withRtt.length;
+  const min = Math.min(...withRtt.map(p => p.rttMin ?? p.rtt));
+  statsEl.textContent = `avg ${avg.toFixed(1)} ms · min ${min} ms · max ${maxRtt} ms`;
+}
+
 // ============================================
 // Context Menu
 // ============================================
 
 function showNodeContextMenu(e, node) {
+  if (READ_ONLY) return;
   e.preventDefault();
   e.stopPropagation();
 
@@ -1760,6 +2530,8 @@ async function pingNodeFromContext() {
   const result = await window.electronAPI.network.ping(contextMenuNode.address);
   if (result.success) {
     toastSuccess('Ping Successful', `${contextMenuNode.address} responded in ${result.duration}ms`);
+  } else if (result.error) {
+    toastError('Ping Failed', result.error);
   } else {
     toastError('Ping Failed', `${contextMenuNode.address} did not respond (${result.duration}ms)`);
   }
@@ -1767,30 +2539,9 @@ async function pingNodeFromContext() {
 
 function showStatusHistoryFromContext() {
   if (!contextMenuNode) return;
+  const nodeId = contextMenuNode.id;
   hideContextMenu();
-
-  const history = statusHistory.get(contextMenuNode.id);
-  const nodeName = contextMenuNode.name || contextMenuNode.id;
-
-  if (!history || history.history.length === 0) {
-    toastInfo('Status History', `No history available for "${nodeName}". Start monitoring to track status.`);
-    return;
-  }
-
-  // Build history message
-  const lastChange = getLastStatusChange(contextMenuNode.id);
-  let message = `Current: ${lastChange.status ? 'Online' : 'Offline'} for ${lastChange.duration}\n\n`;
-  message += 'Recent changes:\n';
-
-  const recent = history.history.slice(-5).reverse();
-  recent.forEach(entry => {
-    const time = new Date(entry.time).toLocaleString();
-    const status = entry.status ? '🟢 Online' : '🔴 Offline';
-    message += `• ${time}: ${status}\n`;
-  });
-
-  // Show as alert for now (could be improved with a modal)
-  alert(`Status History for "${nodeName}"\n\n${message}`);
+  openNodeDetailPanel(nodeId);
 }
 
 function deleteNodeFromContext() {
@@ -1867,10 +2618,10 @@ function openSSHModal(node) {
   document.getElementById('ssh-password').value = node.sshPass || '';
   document.getElementById('ssh-node-id').value = node.id;
 
-  // Reset auth type and fields
-  document.getElementById('ssh-auth-type').value = 'password';
-  document.getElementById('ssh-key-path').value = '';
-  document.getElementById('ssh-passphrase').value = '';
+  // Use the node's private key when it has one
+  document.getElementById('ssh-auth-type').value = node.sshKeyPath ? 'key' : 'password';
+  document.getElementById('ssh-key-path').value = node.sshKeyPath || '';
+  document.getElementById('ssh-passphrase').value = node.sshPassphrase || '';
   toggleSSHAuthFields();
 
   openModal('ssh-modal');
@@ -1891,7 +2642,7 @@ function toggleSSHAuthFields() {
   }
 }
 
-async function browseSSHKey() {
+async function browseSSHKey(inputId = 'ssh-key-path') {
   if (!window.electronAPI) {
     toastWarning('Not Available', 'File browsing is only available in the desktop application');
     return;
@@ -1899,7 +2650,7 @@ async function browseSSHKey() {
 
   const result = await window.electronAPI.ssh.browseKey();
   if (result.success) {
-    document.getElementById('ssh-key-path').value = result.path;
+    document.getElementById(inputId).value = result.path;
     toastInfo('Key Selected', `Selected: ${result.path.split(/[\\/]/).pop()}`);
   }
 }
@@ -2119,6 +2870,11 @@ function setupSSHListeners() {
 let editingNodePorts = [];
 
 function openNodeModal(node = null) {
+  // Double-clicking a node in the viewer shows its details instead
+  if (READ_ONLY) {
+    if (node) openNodeDetailPanel(node.id);
+    return;
+  }
   const isNew = !node;
   document.getElementById('node-modal-title').innerHTML = isNew
     ? '<i data-lucide="plus" class="w-5 h-5 inline mr-2"></i>Add Node'
@@ -2133,6 +2889,9 @@ function openNodeModal(node = null) {
   document.getElementById('node-ssh-port').value = node && node.sshPort ? node.sshPort : 22;
   document.getElementById('node-ssh-user').value = node ? node.sshUser || '' : '';
   document.getElementById('node-ssh-pass').value = node ? node.sshPass || '' : '';
+  document.getElementById('node-ssh-key-path').value = node ? node.sshKeyPath || '' : '';
+  document.getElementById('node-ssh-passphrase').value = node ? node.sshPassphrase || '' : '';
+  document.getElementById('node-ssh-metrics').checked = !!(node && node.sshMetrics);
   document.getElementById('node-link-type').value = node ? node.linkType || '' : '';
   document.getElementById('node-link-speed').value = node ? node.linkSpeed || '' : '';
 
@@ -2176,6 +2935,23 @@ function openNodeModal(node = null) {
   }
   renderNodePortsList();
 
+  // Per-node monitoring overrides, placeholders show the global defaults
+  const monitorDefaults = getMonitoringSettings();
+  MONITORING_FIELDS.forEach(([field]) => {
+    const input = document.getElementById(`node-monitor-${field}`);
+    const value = node && node.monitoring ? node.monitoring[field] : undefined;
+    input.value = value !== undefined && value !== null ? value : '';
+    input.placeholder = monitorDefaults[field] !== null ? `Default: ${monitorDefaults[field]}` : 'Default: probe';
+  });
+
+  fillSnmpFields(node ? node.snmp : null);
+
+  // Initialize health check probes
+  editingNodeProbes = node && node.probes ? JSON.parse(JSON.stringify(node.probes)) : [];
+  renderNodeProbesList();
+  editingNodeSshChecks = node && node.sshChecks ? JSON.parse(JSON.stringify(node.sshChecks)) : [];
+  renderNodeSshChecksList();
+
   // Populate parent dropdowns
   const primarySelect = document.getElementById('node-primary-parent');
   const secondarySelect = document.getElementById('node-secondary-parent');
@@ -2432,49 +3208,278 @@ function removeNodePort(idx) {
   renderNodePortsList();
 }
 
-function saveNode() {
-  const id = document.getElementById('node-edit-id').value;
-  const name = document.getElementById('node-name').value.trim();
-  const address = document.getElementById('node-address').value.trim();
-  const port = document.getElementById('node-port').value.trim();
-  const iconType = document.getElementById('node-icon-type').value;
-  const icon = document.getElementById('node-icon').value;
-  const primaryParentId = document.getElementById('node-primary-parent').value || null;
-  const secondaryParentId = document.getElementById('node-secondary-parent').value || null;
-  const sshPort = document.getElementById('node-ssh-port').value.trim();
-  const sshUser = document.getElementById('node-ssh-user').value;
-  const sshPass = document.getElementById('node-ssh-pass').value;
-  const linkType = document.getElementById('node-link-type').value || null;
-  const linkSpeed = document.getElementById('node-link-speed').value || null;
+// ============================================
+// Node SNMP Settings
+// ============================================
 
-  // Container properties
-  const isContainer = document.getElementById('node-is-container').value === 'true';
-  const containerType = document.getElementById('node-container-type').value || 'custom';
-  const containerId = document.getElementById('node-parent-container').value || null;
-  const zoneId = document.getElementById('node-zone')?.value || null;
+const SNMP_V3_FIELDS = ['username', 'securityLevel', 'authProtocol', 'authKey', 'privProtocol', 'privKey'];
 
-  // Validation first (before saving undo state)
-  if (!name) {
-    toastError('Validation Error', 'Node name is required');
-    document.getElementById('node-name').focus();
-    return;
-  }
+function toggleSnmpFields() {
+  const version = document.getElementById('node-snmp-version').value;
+  const level = document.getElementById('node-snmp-securityLevel').value;
 
-  if (address && !isValidHostname(address)) {
-    toastError('Validation Error', 'Invalid IP address or hostname');
-    document.getElementById('node-address').focus();
-    return;
-  }
+  document.getElementById('node-snmp-port').disabled = !version;
+  document.getElementById('node-snmp-community').disabled = version !== '2c';
+  document.getElementById('node-snmp-v3-fields').classList.toggle('hidden', version !== '3');
 
-  if (port && !isValidPort(port)) {
-    toastError('Validation Error', 'Port must be between 1 and 65535');
-    document.getElementById('node-port').focus();
+  const hasAuth = level !== 'noAuthNoPriv';
+  document.getElementById('node-snmp-authProtocol').disabled = !hasAuth;
+  document.getElementById('node-snmp-authKey').disabled = !hasAuth;
+  document.getElementById('node-snmp-privProtocol').disabled = level !== 'authPriv';
+  document.getElementById('node-snmp-privKey').disabled = level !== 'authPriv';
+}
+
+function fillSnmpFields(snmp) {
+  const settings = snmp || {};
+  document.getElementById('node-snmp-version').value = settings.version || '';
+  document.getElementById('node-snmp-port').value = settings.port || 161;
+  document.getElementById('node-snmp-community').value = settings.community || '';
+  document.getElementById('node-snmp-username').value = settings.username || '';
+  document.getElementById('node-snmp-securityLevel').value = settings.securityLevel || 'authPriv';
+  document.getElementById('node-snmp-authProtocol').value = settings.authProtocol || 'sha';
+  document.getElementById('node-snmp-authKey').value = settings.authKey || '';
+  document.getElementById('node-snmp-privProtocol').value = settings.privProtocol || 'aes';
+  document.getElementById('node-snmp-privKey').value = settings.privKey || '';
+  toggleSnmpFields();
+}
+
+// Returns the SNMP settings, or null when SNMP is disabled. validateNode()
+// checks them when the node is saved.
+function readSnmpFields() {
+  const version = document.getElementById('node-snmp-version').value;
+  if (!version) return null;
+
+  const port = document.getElementById('node-snmp-port').value.trim();
+  const values = { version, port: port ? parseInt(port, 10) : 161 };
+  if (version === '2c') {
+    values.community = document.getElementById('node-snmp-community').value || 'public';
+    return values;
+  }
+
+  SNMP_V3_FIELDS.forEach(field => {
+    values[field] = document.getElementById(`node-snmp-${field}`).value;
+  });
+  if (values.securityLevel === 'noAuthNoPriv') {
+    delete values.authProtocol;
+    delete values.authKey;
+  }
+  if (values.securityLevel !== 'authPriv') {
+    delete values.privProtocol;
+    delete values.privKey;
+  }
+  return values;
+}
+
+// ============================================
+// Node Health Checks (Probes)
+// ============================================
+
+// Temporary probes storage for the modal
+let editingNodeProbes = [];
+
+// Fields editable for each probe type: [field, placeholder, input type]
+const PROBE_FIELDS = {
+  icmp: [],
+  tcp: [['port', 'Port', 'number']],
+  http: [['port', 'Port (80)', 'number'], ['path', 'Path (/)', 'text'], ['expectedStatus', 'Status (2xx/3xx)', 'number'], ['keyword', 'Body keyword', 'text']],
+  https: [['port', 'Port (443)', 'number'], ['path', 'Path (/)', 'text'], ['expectedStatus', 'Status (2xx/3xx)', 'number'], ['keyword', 'Body keyword', 'text']],
+  dns: [['query', 'Query name', 'text'], ['recordType', 'Type (A)', 'text'], ['resolver', 'Resolver (node address)', 'text'], ['expected', 'Expected answer', 'text']],
+  tls: [['port', 'Port (443)', 'number'], ['hostname', 'SNI hostname', 'text'], ['warnDays', 'Warn days (14)', 'number']],
+  snmp: [['interfaces', 'Interfaces that must be up', 'text']]
+};
+
+function renderNodeProbesList() {
+  const container = document.getElementById('node-probes-list');
+  container.innerHTML = '';
+
+  if (editingNodeProbes.length === 0) {
+    container.innerHTML = '<div class="text-xs text-slate-500 text-center py-1">No checks - uses TCP port or ping</div>';
     return;
   }
 
-  if (sshPort && !isValidPort(sshPort)) {
-    toastError('Validation Error', 'SSH port must be between 1 and 65535');
-    document.getElementById('node-ssh-port').focus();
+  editingNodeProbes.forEach((probe, idx) => {
+    const typeOptions = Object.entries(PROBE_TYPE_LABELS).map(([type, label]) =>
+      `<option value="${type}" ${probe.type === type ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    const fieldsHtml = (PROBE_FIELDS[probe.type] || []).map(([field, placeholder, inputType]) => `
+      <input type="${inputType}" value="${escapeHtml(probe[field] ?? '')}" placeholder="${placeholder}"
+             onchange="updateNodeProbe(${idx}, '${field}', this.value)"
+             class="px-2 py-1 bg-slate-900 border border-slate-600 rounded text-sm" style="min-width:0;">
+    `).join('');
+
+    const div = document.createElement('div');
+    div.className = 'flex items-center gap-2 p-2 bg-slate-800 rounded';
+    div.innerHTML = `
+      <select onchange="changeNodeProbeType(${idx}, this.value)"
+              class="px-2 py-1 bg-slate-900 border border-slate-600 rounded text-sm">
+        ${typeOptions}
+      </select>
+      <div class="flex-1 grid grid-cols-2 gap-1">${fieldsHtml}</div>
+      <button onclick="removeNodeProbe(${idx})" class="p-1 text-red-400 hover:text-red-300">
+        <i data-lucide="trash-2" class="w-4 h-4"></i>
+      </button>
+    `;
+    container.appendChild(div);
+  });
+
+  lucide.createIcons();
+}
+
+function addNodeProbe() {
+  editingNodeProbes.push({ type: 'http' });
+  renderNodeProbesList();
+}
+
+function changeNodeProbeType(idx, type) {
+  if (editingNodeProbes[idx]) {
+    editingNodeProbes[idx] = { type };
+    renderNodeProbesList();
+  }
+}
+
+function updateNodeProbe(idx, field, value) {
+  const probe = editingNodeProbes[idx];
+  if (!probe) return;
+
+  const numericFields = ['port', 'expectedStatus', 'warnDays'];
+  if (value === '') {
+    delete probe[field];
+  } else {
+    probe[field] = numericFields.includes(field) ? parseInt(value, 10) : value.trim();
+  }
+}
+
+function removeNodeProbe(idx) {
+  editingNodeProbes.splice(idx, 1);
+  renderNodeProbesList();
+}
+
+// ============================================
+// Node SSH Checks
+// ============================================
+
+// Temporary SSH checks storage for the modal
+let editingNodeSshChecks = [];
+
+const SSH_CHECK_PRESETS = {
+  custom: { name: '', command: '', evaluate: 'exit' },
+  disk: { name: 'Disk /', command: "df -P / | awk 'NR==2 {print $5}'", evaluate: 'threshold', warning: 80, critical: 90 },
+  systemd: { name: 'nginx', command: 'systemctl is-active nginx', evaluate: 'exit' },
+  zfs: { name: 'ZFS pools', command: 'zpool status -x', evaluate: 'regex', pattern: 'all pools are healthy' }
+};
+
+// Fields shown for each evaluation: [field, placeholder, input type]
+const SSH_CHECK_FIELDS = {
+  exit: [],
+  regex: [['pattern', 'Pattern that must match', 'text']],
+  threshold: [['pattern', 'Number pattern (optional)', 'text'], ['warning', 'Warning at', 'number'], ['critical', 'Critical at', 'number']]
+};
+
+function renderNodeSshChecksList() {
+  const container = document.getElementById('node-ssh-checks-list');
+  container.innerHTML = '';
+
+  if (editingNodeSshChecks.length === 0) {
+    container.innerHTML = '<div class="text-xs text-slate-500 text-center py-1">No SSH checks</div>';
+    return;
+  }
+
+  editingNodeSshChecks.forEach((check, idx) => {
+    const evaluateOptions = Object.entries(SSH_CHECK_EVALUATIONS).map(([value, label]) =>
+      `<option value="${value}" ${check.evaluate === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    const input = (field, placeholder, inputType, extraClass = '') => `
+      <input type="${inputType}" value="${escapeHtml(check[field] ?? '')}" placeholder="${placeholder}"
+             onchange="updateNodeSshCheck(${idx}, '${field}', this.value)"
+             class="px-2 py-1 bg-slate-900 border border-slate-600 rounded text-sm ${extraClass}" style="min-width:0;">
+    `;
+    const fieldsHtml = (SSH_CHECK_FIELDS[check.evaluate] || []).map(([field, placeholder, inputType]) => input(field, placeholder, inputType)).join('');
+
+    const div = document.createElement('div');
+    div.className = 'p-2 bg-slate-800 rounded space-y-1';
+    div.innerHTML = `
+      <div class="flex items-center gap-2">
+        ${input('name', 'Name', 'text', 'flex-1')}
+        ${input('interval', 'Every (300 s)', 'number', 'w-28')}
+        <button onclick="removeNodeSshCheck(${idx})" class="p-1 text-red-400 hover:text-red-300">
+          <i data-lucide="trash-2" class="w-4 h-4"></i>
+        </button>
+      </div>
+      <div class="grid grid-cols-1">${input('command', 'Command', 'text', 'font-mono')}</div>
+      <div class="flex items-center gap-2">
+        <select onchange="updateNodeSshCheck(${idx}, 'evaluate', this.value)"
+                class="px-2 py-1 bg-slate-900 border border-slate-600 rounded text-sm">
+          ${evaluateOptions}
+        </select>
+        <div class="flex-1 grid grid-cols-3 gap-1">${fieldsHtml}</div>
+      </div>
+    `;
+    container.appendChild(div);
+  });
+
+  lucide.createIcons();
+}
+
+function addNodeSshCheck() {
+  const preset = SSH_CHECK_PRESETS[document.getElementById('node-ssh-check-preset').value] || SSH_CHECK_PRESETS.custom;
+  editingNodeSshChecks.push({ id: 'check_' + Date.now(), ...preset });
+  renderNodeSshChecksList();
+}
+
+function updateNodeSshCheck(idx, field, value) {
+  const check = editingNodeSshChecks[idx];
+  if (!check) return;
+
+  const numericFields = ['interval', 'timeout', 'warning', 'critical'];
+  if (value === '') {
+    delete check[field];
+  } else {
+    check[field] = numericFields.includes(field) ? Number(value) : (field === 'command' ? value : value.trim());
+  }
+  if (field === 'evaluate') renderNodeSshChecksList();
+}
+
+function removeNodeSshCheck(idx) {
+  editingNodeSshChecks.splice(idx, 1);
+  renderNodeSshChecksList();
+}
+
+// Inputs focused when validateNode() rejects the matching field
+const NODE_FORM_INPUTS = {
+  name: 'node-name',
+  address: 'node-address',
+  port: 'node-port',
+  sshPort: 'node-ssh-port'
+};
+
+function saveNode() {
+  const id = document.getElementById('node-edit-id').value;
+  const name = document.getElementById('node-name').value.trim();
+  const address = document.getElementById('node-address').value.trim();
+  const port = document.getElementById('node-port').value.trim();
+  const iconType = document.getElementById('node-icon-type').value;
+  const icon = document.getElementById('node-icon').value;
+  const primaryParentId = document.getElementById('node-primary-parent').value || null;
+  const secondaryParentId = document.getElementById('node-secondary-parent').value || null;
+  const sshPort = document.getElementById('node-ssh-port').value.trim();
+  const sshUser = document.getElementById('node-ssh-user').value;
+  const sshPass = document.getElementById('node-ssh-pass').value;
+  const sshKeyPath = document.getElementById('node-ssh-key-path').value.trim();
+  const sshPassphrase = document.getElementById('node-ssh-passphrase').value;
+  const linkType = document.getElementById('node-link-type').value || null;
+  const linkSpeed = document.getElementById('node-link-speed').value || null;
+
+  // Container properties
+  const isContainer = document.getElementById('node-is-container').value === 'true';
+  const containerType = document.getElementById('node-container-type').value || 'custom';
+  const containerId = document.getElementById('node-parent-container').value || null;
+  const zoneId = document.getElementById('node-zone')?.value || null;
+
+  const monitoringInputs = readMonitoringInputs('node-monitor');
+  if (monitoringInputs.error) {
+    toastError('Validation Error', monitoringInputs.error);
     return;
   }
 
@@ -2498,9 +3503,16 @@ function saveNode() {
     sshPort: sshPort ? parseInt(sshPort) : 22,
     sshUser,
     sshPass,
+    sshKeyPath,
+    sshPassphrase,
+    sshChecks: editingNodeSshChecks,
+    sshMetrics: document.getElementById('node-ssh-metrics').checked,
+    snmp: readSnmpFields(),
     linkType,
     linkSpeed,
     ports,
+    probes: editingNodeProbes,
+    monitoring: Object.keys(monitoringInputs.values).length > 0 ? monitoringInputs.values : null,
     // Container properties
     isContainer,
     containerType: isContainer ? containerType : null,
@@ -2510,6 +3522,14 @@ function saveNode() {
     expanded: true // Default expanded state for containers
   };
 
+  // Validation first (before saving undo state)
+  const invalid = validateNode(nodeData);
+  if (invalid) {
+    toastError('Validation Error', invalid.message);
+    if (NODE_FORM_INPUTS[invalid.field]) document.getElementById(NODE_FORM_INPUTS[invalid.field]).focus();
+    return;
+  }
+
   // Save state for undo before making changes
   saveStateForUndo(id ? `Edit node "${name}"` : `Add node "${name}"`);
 
@@ -2558,15 +3578,18 @@ async function openDiscoveryModal() {
     return;
   }
 
-  // Get network interfaces
+  // Get network interfaces, IPv4 first
   networkInterfaces = await window.electronAPI.network.getLocalInfo();
+  networkInterfaces.sort((a, b) => (a.family === 'IPv6') - (b.family === 'IPv6'));
   const select = document.getElementById('discovery-interface');
   select.innerHTML = '';
 
   networkInterfaces.forEach((iface, idx) => {
     const opt = document.createElement('option');
     opt.value = idx;
-    opt.textContent = `${iface.interface} - ${iface.address} (${iface.netmask})`;
+    opt.textContent = iface.family === 'IPv6'
+      ? `${iface.interface} - ${iface.cidr || iface.address} (IPv6 neighbors)`
+      : `${iface.interface} - ${iface.address} (${iface.netmask})`;
     opt.dataset.address = iface.address;
     opt.dataset.netmask = iface.netmask;
     select.appendChild(opt);
@@ -2592,7 +3615,12 @@ function updateDiscoveryRange() {
   const select = document.getElementById('discovery-interface');
   const selectedIdx = parseInt(select.value) || 0;
 
-  if (networkInterfaces.length > 0 && networkInterfaces[selectedIdx]) {
+  // IPv6 discovery reads the neighbor table instead of scanning a range
+  const isIPv6 = !!networkInterfaces[selectedIdx] && networkInterfaces[selectedIdx].family === 'IPv6';
+  document.getElementById('discovery-range-group').classList.toggle('hidden', isIPv6);
+  document.getElementById('discovery-ipv6-hint').classList.toggle('hidden', !isIPv6);
+
+  if (networkInterfaces.length > 0 && networkInterfaces[selectedIdx] && !isIPv6) {
     const iface = networkInterfaces[selectedIdx];
     const ipParts = iface.address.split('.');
     const maskParts = iface.netmask.split('.');
@@ -2623,13 +3651,25 @@ function updateDiscoveryRange() {
 async function startNetworkScan() {
   if (!window.electronAPI) return;
 
+  const iface = networkInterfaces[parseInt(document.getElementById('discovery-interface').value) || 0];
+  const isIPv6 = !!iface && iface.family === 'IPv6';
   const baseIp = document.getElementById('discovery-base').value;
   const startRange = parseInt(document.getElementById('discovery-start').value) || 1;
   const endRange = parseInt(document.getElementById('discovery-end').value) || 254;
 
-  if (!baseIp) {
-    toastError('Missing Input', 'Please enter a base IP address');
-    return;
+  if (!isIPv6) {
+    if (!baseIp) {
+      toastError('Missing Input', 'Please enter a base IP address');
+      return;
+    }
+    if (!isValidIPv4(`${baseIp}.0`)) {
+      toastError('Validation Error', 'Base IP must be the first three octets, e.g. 192.168.1');
+      return;
+    }
+    if (startRange < 0 || endRange > 255 || startRange > endRange) {
+      toastError('Validation Error', 'Scan range must be between 0 and 255');
+      return;
+    }
   }
 
   discoveredHosts = [];
@@ -2637,32 +3677,47 @@ async function startNetworkScan() {
   document.getElementById('discovery-results').classList.add('hidden');
   document.getElementById('btn-start-scan').classList.add('hidden');
   document.getElementById('discovery-progress-bar').style.width = '0%';
-  document.getElementById('discovery-text').textContent = 'Scanning...';
-
-  // Listen for progress updates
-  const removeProgressListener = window.electronAPI.network.onScanProgress((progress) => {
-    const percent = Math.round((progress.current / progress.total) * 100);
-    document.getElementById('discovery-progress-bar').style.width = percent + '%';
-    document.getElementById('discovery-text').textContent = `Scanning... ${progress.current}/${progress.total} (Found: ${progress.found})`;
-  });
+  document.getElementById('discovery-text').textContent = isIPv6 ? 'Reading IPv6 neighbors...' : 'Scanning...';
+
+  if (isIPv6) {
+    // The neighbor table already has the MAC addresses
+    try {
+      const neighbors = await window.electronAPI.network.ndp(iface.interface);
+      discoveredHosts = neighbors.map(n => ({ ip: n.ip, mac: n.mac, selected: true }));
+    } catch (error) {
+      toastError('Discovery Failed', error.message);
+    }
+  } else {
+    // Listen for progress updates
+    const removeProgressListener = window.electronAPI.network.onScanProgress((progress) => {
+      const percent = Math.round((progress.current / progress.total) * 100);
+      document.getElementById('discovery-progress-bar').style.width = percent + '%';
+      document.getElementById('discovery-text').textContent = `Scanning... ${progress.current}/${progress.total} (Found: ${progress.found})`;
+    });
 
-  // Start scan
-  const results = await window.electronAPI.network.scan(baseIp, startRange, endRange);
+    // Start scan
+    let results = [];
+    try {
+      results = await window.electronAPI.network.scan(baseIp, startRange, endRange);
+    } catch (error) {
+      toastError('Discovery Failed', error.message);
+    }
 
-  removeProgressListener();
+    removeProgressListener();
 
-  // Also get ARP table for MAC addresses
-  const arpTable = await window.electronAPI.network.arp();
+    // Also get ARP table for MAC addresses
+    const arpTable = await window.electronAPI.network.arp();
 
-  // Merge results
-  discoveredHosts = results.map(r => {
-    const arpEntry = arpTable.find(a => a.ip === r.ip);
-    return {
-      ip: r.ip,
-      mac: arpEntry ? arpEntry.mac : null,
-      selected: true
-    };
-  });
+    // Merge results
+    discoveredHosts = results.map(r => {
+      const arpEntry = arpTable.find(a => a.ip === r.ip);
+      return {
+        ip: r.ip,
+        mac: arpEntry ? arpEntry.mac : null,
+        selected: true
+      };
+    });
+  }
 
   // Filter out already configured hosts
   const configuredIps = config.nodes.map(n => n.address);
@@ -2692,8 +3747,8 @@ function renderDiscoveryResults() {
     div.innerHTML = `
       <div>
         <input type="checkbox" ${host.selected ? 'checked' : ''} onchange="discoveredHosts[${idx}].selected = this.checked" class="mr-2">
-        <span class="font-mono text-sm">${host.ip}</span>
-        ${host.mac ? `<span class="text-xs text-slate-500 ml-2">${host.mac}</span>` : ''}
+        <span class="font-mono text-sm">${escapeHtml(host.ip)}</span>
+        ${host.mac ? `<span class="text-xs text-slate-500 ml-2">${escapeHtml(host.mac)}</span>` : ''}
       </div>
     `;
     container.appendChild(div);
@@ -2736,6 +3791,290 @@ async function addDiscoveredNodes() {
   }
 }
 
+// ============================================
+// Traceroute
+// ============================================
+
+// The last traceroute with its hops matched to nodes; the path stays
+// highlighted on the canvas until Escape is pressed or another one runs
+let tracerouteResult = null; // { nodeId, host, hops: [{ hop, ip, rtt, nodeId, add }], pathNodeIds, pathConnectionIds }
+let tracerouteRun = 0;
+
+// Hop addresses come without brackets; zone IDs and case differ between tools
+function normalizeHopAddress(ip) {
+  return String(ip).split('%')[0].toLowerCase();
+}
+
+// Address -> node ID. Nodes configured by hostname are resolved first.
+async function buildNodeAddressIndex() {
+  const index = new Map();
+  await Promise.all(config.nodes.filter(n => n.address).map(async node => {
+    let address = node.address;
+    if (!isValidIP(address)) {
+      const resolved = await window.electronAPI.network.resolve(address);
+      if (!resolved.success) return;
+      address = resolved.address;
+    }
+    const key = normalizeHopAddress(address);
+    if (!index.has(key)) index.set(key, node.id);
+  }));
+  return index;
+}
+
+function findConnectionBetween(nodeA, nodeB) {
+  return config.connections.find(c =>
+    (c.sourceNodeId === nodeA && c.targetNodeId === nodeB) ||
+    (c.sourceNodeId === nodeB && c.targetNodeId === nodeA)
+  );
+}
+
+// The matched nodes in hop order and the connections joining consecutive ones
+function updateTraceroutePath() {
+  const pathNodeIds = [];
+  tracerouteResult.hops.forEach(hop => {
+    if (hop.nodeId && pathNodeIds[pathNodeIds.length - 1] !== hop.nodeId) pathNodeIds.push(hop.nodeId);
+  });
+
+  const pathConnectionIds = [];
+  for (let i = 1; i < pathNodeIds.length; i++) {
+    const conn = findConnectionBetween(pathNodeIds[i - 1], pathNodeIds[i]);
+    if (conn) pathConnectionIds.push(conn.id);
+  }
+
+  tracerouteResult.pathNodeIds = pathNodeIds;
+  tracerouteResult.pathConnectionIds = pathConnectionIds;
+}
+
+// Node classes are set here; drawLines() marks the path connections
+function applyTracerouteHighlight() {
+  const pathNodeIds = tracerouteResult && tracerouteResult.pathNodeIds ? tracerouteResult.pathNodeIds : [];
+  document.querySelectorAll('.node-container, .child-node').forEach(el => {
+    const nodeId = el.dataset.nodeId || el.id.replace('node-', '');
+    el.classList.toggle('traceroute-hop', pathNodeIds.includes(nodeId));
+  });
+}
+
+function isTraceroutePathConnection(connId) {
+  return !!(tracerouteResult && tracerouteResult.pathConnectionIds && tracerouteResult.pathConnectionIds.includes(connId));
+}
+
+async function tracerouteNodeFromContext() {
+  if (!contextMenuNode || !window.electronAPI) return;
+  const node = contextMenuNode;
+  hideContextMenu();
+
+  if (!node.address) {
+    toastWarning('Traceroute', `"${node.name}" has no address`);
+    return;
+  }
+
+  const run = ++tracerouteRun;
+  tracerouteResult = null;
+  applyTracerouteHighlight();
+  drawLines();
+
+  document.getElementById('traceroute-title').textContent = `Traceroute to ${node.name || node.address}`;
+  document.getElementById('traceroute-status').textContent = `Tracing route to ${node.address}...`;
+  document.getElementById('traceroute-hops').innerHTML = '';
+  document.getElementById('btn-add-traceroute-hops').classList.add('hidden');
+  openModal('traceroute-modal');
+
+  const [result, addressIndex] = await Promise.all([
+    window.electronAPI.network.traceroute(node.address),
+    buildNodeAddressIndex()
+  ]);
+  // Cleared, or another traceroute started meanwhile
+  if (run !== tracerouteRun) return;
+
+  if (!result.success) {
+    document.getElementById('traceroute-status').textContent = result.error;
+    toastError('Traceroute Failed', result.error);
+    return;
+  }
+
+  tracerouteResult = {
+    nodeId: node.id,
+    host: node.address,
+    hops: result.hops.map(hop => ({
+      ...hop,
+      nodeId: hop.ip ? addressIndex.get(normalizeHopAddress(hop.ip)) || null : null,
+      add: true
+    }))
+  };
+  updateTraceroutePath();
+  renderTracerouteHops();
+  applyTracerouteHighlight();
+  drawLines();
+
+  if (document.getElementById('traceroute-modal').classList.contains('hidden')) {
+    toastInfo('Traceroute Complete', document.getElementById('traceroute-status').textContent);
+  }
+}
+
+function renderTracerouteHops() {
+  const { hops, nodeId } = tracerouteResult;
+  const missing = hops.filter(h => h.ip && !h.nodeId);
+  const lastAnswer = [...hops].reverse().find(h => h.ip);
+  const reached = !!lastAnswer && lastAnswer.nodeId === nodeId;
+
+  let status = `${hops.length} hop${hops.length !== 1 ? 's' : ''}, ${missing.length} not in the topology`;
+  if (!reached) status += ' · the destination did not answer';
+  document.getElementById('traceroute-status').textContent = status;
+
+  document.getElementById('traceroute-hops').innerHTML = hops.map((hop, idx) => {
+    const node = hop.nodeId ? config.nodes.find(n => n.id === hop.nodeId) : null;
+    let target;
+    if (node) {
+      target = `<a href="#" class="text-blue-400 hover:underline" data-node-id="${escapeHtml(node.id)}">${escapeHtml(node.name || node.address)}</a>`;
+    } else if (hop.ip) {
+      target = `
+        <label class="traceroute-missing">
+          <input type="checkbox" ${hop.add ? 'checked' : ''} onchange="tracerouteResult.hops[${idx}].add = this.checked">
+          Not in topology
+        </label>`;
+    } else {
+      target = '<span class="text-slate-500">No reply</span>';
+    }
+    return `
+      <div class="traceroute-hop-row ${hop.ip && !node ? 'missing' : ''}">
+        <span class="text-slate-500 w-6 text-right">${hop.hop}</span>
+        <span class="font-mono text-sm flex-1">${escapeHtml(hop.ip || '*')}</span>
+        <span class="text-xs text-slate-400 w-16 text-right">${hop.rtt !== null ? `${hop.rtt} ms` : ''}</span>
+        <span class="text-sm w-40 text-right">${target}</span>
+      </div>
+    `;
+  }).join('');
+
+  document.querySelectorAll('#traceroute-hops a[data-node-id]').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      closeModal('traceroute-modal');
+      focusOnNode(link.dataset.nodeId);
+    });
+  });
+
+  document.getElementById('btn-add-traceroute-hops').classList.toggle('hidden', missing.length === 0);
+}
+
+function clearTraceroutePath() {
+  if (!tracerouteResult) return;
+  tracerouteRun++;
+  tracerouteResult = null;
+  applyTracerouteHighlight();
+  drawLines();
+}
+
+function getNodePortId(node, side) {
+  const ports = node.ports || [];
+  const port = ports.find(p => p.side === side) || ports[0];
+  return port ? port.id : null;
+}
+
+// Adds the selected hops as nodes, placed between their neighbours on the path
+// and connected to them, so the whole route can be highlighted next time
+async function addMissingTracerouteHops() {
+  if (!tracerouteResult) return;
+  const hops = tracerouteResult.hops;
+  const selected = hops.filter(h => h.ip && !h.nodeId && h.add);
+  if (selected.length === 0) return;
+
+  saveStateForUndo(`Add ${selected.length} traceroute hop${selected.length !== 1 ? 's' : ''}`);
+
+  // Hops between two path nodes are spread along the line joining them;
+  // before the first or after the last they continue upwards/downwards
+  const runs = [];
+  let run = null;
+  hops.forEach(hop => {
+    if (hop.nodeId) {
+      if (run) run.next = config.nodes.find(n => n.id === hop.nodeId);
+      run = null;
+    } else if (selected.includes(hop)) {
+      if (!run) {
+        const before = hops.slice(0, hops.indexOf(hop)).reverse().find(h => h.nodeId);
+        run = { prev: before ? config.nodes.find(n => n.id === before.nodeId) : null, next: null, hops: [] };
+        runs.push(run);
+      }
+      run.hops.push(hop);
+    }
+  });
+
+  const startCount = config.nodes.length;
+  runs.forEach(({ prev, next, hops: runHops }) => {
+    runHops.forEach((hop, idx) => {
+      const step = idx + 1;
+      let x, y;
+      if (prev && next) {
+        x = prev.x + (next.x - prev.x) * step / (runHops.length + 1);
+        y = prev.y + (next.y - prev.y) * step / (runHops.length + 1);
+      } else if (prev || next) {
+        const anchor = prev || next;
+        x = anchor.x;
+        y = anchor.y + (prev ? 8 * step : -8 * (runHops.length - idx));
+      } else {
+        const count = startCount + selected.indexOf(hop);
+        x = (count % 10) * 10 + 5;
+        y = Math.floor(count / 10) * 15 + 10;
+      }
+
+      const id = `node_${Date.now()}_${selected.indexOf(hop)}`;
+      config.nodes.push({
+        id,
+        name: `Router ${hop.ip}`,
+        address: hop.ip,
+        port: null,
+        primaryParentId: null,
+        secondaryParentId: null,
+        icon: 'router',
+        iconType: 'lucide',
+        x: Math.min(Math.max(x || 50, 1), 99),
+        y: Math.min(Math.max(y || 50, 1), 99),
+        ports: [
+          { id: `${id}_in`, name: 'IN', side: 'top' },
+          { id: `${id}_out`, name: 'OUT', side: 'bottom' }
+        ]
+      });
+      hop.nodeId = id;
+    });
+  });
+
+  // Connect each added hop to its neighbours on the path
+  const addedIds = selected.map(h => h.nodeId);
+  updateTraceroutePath();
+  const pathNodeIds = tracerouteResult.pathNodeIds;
+  for (let i = 1; i < pathNodeIds.length; i++) {
+    const sourceId = pathNodeIds[i - 1];
+    const targetId = pathNodeIds[i];
+    if (!addedIds.includes(sourceId) && !addedIds.includes(targetId)) continue;
+    if (findConnectionBetween(sourceId, targetId)) continue;
+
+    config.connections.push({
+      id: `conn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      sourceNodeId: sourceId,
+      sourcePortId: getNodePortId(config.nodes.find(n => n.id === sourceId), 'bottom'),
+      targetNodeId: targetId,
+      targetPortId: getNodePortId(config.nodes.find(n => n.id === targetId), 'top'),
+      linkType: null,
+      linkSpeed: null,
+      isFailover: false
+    });
+  }
+  updateTraceroutePath();
+
+  saveConfig();
+  renderTracerouteHops();
+  toastSuccess('Hops Added', `${selected.length} router${selected.length !== 1 ? 's' : ''} added from the traceroute`);
+
+  // Restart monitoring with new nodes if it was active
+  if (monitoringActive) {
+    await stopMonitoring();
+    await startMonitoring();
+  } else {
+    renderTree(config.nodes);
+    renderHostList(config.nodes);
+  }
+  updateMinimap();
+}
+
 // ============================================
 // Snap to Grid
 // ============================================
@@ -3037,8 +4376,17 @@ function autoLayoutNodes() {
 function setupMonitoringListener() {
   if (!window.electronAPI) return;
 
+  window.electronAPI.monitor.onFailover((event) => {
+    if (event.inMaintenance) return;
+    if (event.type === 'failover') {
+      toastWarning('Failover Active', `"${event.name}" is now reached through the failover link from "${event.activeParentName}"`);
+    } else {
+      toastSuccess('Primary Path Restored', `"${event.name}" is back on its primary link`);
+    }
+  });
+
   window.electronAPI.monitor.onStatus((data) => {
-    document.getElementById('last-updated').textContent = 'Last Update: ' + data.updated;
+    updateLastUpdated(data);
 
     // Merge monitoring data with current config positions
     // This preserves user-moved positions while updating status
@@ -3058,9 +4406,16 @@ function setupMonitoringListener() {
         node.sshPort = configNode.sshPort;
         node.sshUser = configNode.sshUser;
         node.sshPass = configNode.sshPass;
+        node.sshKeyPath = configNode.sshKeyPath;
+        node.sshPassphrase = configNode.sshPassphrase;
+        node.sshChecks = configNode.sshChecks;
+        node.sshMetrics = configNode.sshMetrics;
+        node.snmp = configNode.snmp;
         node.linkType = configNode.linkType;
         node.linkSpeed = configNode.linkSpeed;
         node.ports = configNode.ports;
+        node.probes = configNode.probes;
+        node.monitoring = configNode.monitoring;
         // Container properties - IMPORTANT for nested nodes
         node.isContainer = configNode.isContainer;
         node.containerType = configNode.containerType;
@@ -3089,26 +4444,58 @@ function setupMonitoringListener() {
       node.uptime = formatDuration(elapsed);
 
       // Track status history
-      trackStatusChange(node.id, node.name, currentStatus);
+      trackStatusChange(node.id, node.name, currentStatus, getNodeHealthState(node), !!node.maintenance);
+      recordLatencySample(node);
 
       return node;
     });
 
     networkData = mergedNodes;
+    linkUtilization = data.links || {};
     renderTree(networkData);
     renderHostList(networkData);
+    refreshNodeDetailPanel();
   });
 }
 
+// "Last Update: 12:00:01 · cycle 1.2s" with scheduler details in the tooltip
+function updateLastUpdated(data) {
+  const el = document.getElementById('last-updated');
+  let text = 'Last Update: ' + data.updated;
+
+  const scheduler = data.scheduler;
+  if (scheduler) {
+    if (scheduler.cycleDuration !== null && scheduler.cycleDuration !== undefined) {
+      text += ` · cycle ${(scheduler.cycleDuration / 1000).toFixed(1)}s`;
+    }
+    el.title = `Active checks: ${scheduler.active}/${scheduler.concurrency}\n` +
+      `Queued: ${scheduler.queued}\n` +
+      `Skipped overlapping runs: ${scheduler.skippedOverlaps}`;
+    // Overlaps mean checks take longer than their interval
+    el.classList.toggle('text-yellow-400', scheduler.skippedOverlaps > 0);
+  }
+
+  el.textContent = text;
+}
+
 async function startMonitoring() {
   if (!window.electronAPI || monitoringActive) return;
 
-  await window.electronAPI.monitor.start({
+  const monitorSettings = getMonitoringSettings();
+  const result = await window.electronAPI.monitor.start({
     nodes: config.nodes,
-    interval: 2000
+    interval: monitorSettings.interval,
+    connections: config.connections,
+    settings: monitorSettings,
+    history: config.settings.history || {},
+    alerts: config.alerts || { rules: [], channels: [] },
+    maintenance: config.maintenance || [],
+    metrics: config.settings.metrics || {},
+    hostMetrics: config.settings.hostMetrics || {}
   });
 
   monitoringActive = true;
+  if (result && result.metricsError) toastWarning('Metrics Exporter', result.metricsError);
   document.getElementById('btn-monitoring').classList.add('active');
 }
 
@@ -3128,38 +4515,913 @@ async function toggleMonitoring() {
   }
 }
 
-function formatDuration(ms) {
-  const seconds = Math.floor(ms / 1000);
-  if (seconds < 60) return seconds + 's';
-  const minutes = Math.floor(seconds / 60);
-  if (minutes < 60) return minutes + 'm ' + (seconds % 60) + 's';
-  const hours = Math.floor(minutes / 60);
-  if (hours < 24) return hours + 'h ' + (minutes % 60) + 'm';
-  const days = Math.floor(hours / 24);
-  return days + 'd ' + (hours % 24) + 'h';
-}
-
 // ============================================
-// Status History Tracking
+// Monitoring Settings
 // ============================================
 
-function trackStatusChange(nodeId, nodeName, newStatus) {
-  // Normalize status to boolean to avoid undefined/null comparison issues
-  const normalizedStatus = newStatus === true;
-  const now = Date.now();
-  let nodeHistory = statusHistory.get(nodeId);
+const MONITORING_DEFAULTS = {
+  interval: 2000,
+  timeout: null,
+  retries: 0,
+  failThreshold: 1,
+  recoverThreshold: 1,
+  burstCount: 3,
+  degradedLatency: 200,
+  degradedLoss: 0
+};
 
-  if (!nodeHistory) {
-    // First time seeing this node - don't show notification
-    nodeHistory = {
-      lastStatus: normalizedStatus,
-      lastChange: now,
+// Same defaults as monitor.js HOST_METRICS_DEFAULTS
+const HOST_METRICS_DEFAULTS = { interval: 60, warning: 80, critical: 90 };
+
+function getHostMetricsSettings() {
+  return { ...HOST_METRICS_DEFAULTS, ...(config.settings.hostMetrics || {}) };
+}
+
+function getMonitoringSettings() {
+  return { ...MONITORING_DEFAULTS, ...(config.settings.monitoring || {}) };
+}
+
+// Reads the monitoring inputs with the given id prefix. Empty inputs are omitted.
+// Returns { values } or { error }.
+function readMonitoringInputs(prefix, fields = MONITORING_FIELDS) {
+  const values = {};
+  for (const [field, label, min, max] of fields) {
+    const raw = document.getElementById(`${prefix}-${field}`).value.trim();
+    if (raw === '') continue;
+    const num = parseInt(raw, 10);
+    if (isNaN(num) || num < min || num > max) {
+      return { error: `${label} must be between ${min} and ${max}` };
+    }
+    values[field] = num;
+  }
+  return { values };
+}
+
+function openMonitoringSettingsModal() {
+  const settings = config.settings.monitoring || {};
+  [...MONITORING_FIELDS, ...SCHEDULER_FIELDS].forEach(([field]) => {
+    const value = settings[field];
+    document.getElementById(`monitor-default-${field}`).value = value !== undefined && value !== null ? value : '';
+  });
+  const history = config.settings.history || {};
+  HISTORY_FIELDS.forEach(([field]) => {
+    document.getElementById(`history-${field}`).value = history[field] || '';
+  });
+  const hostMetrics = config.settings.hostMetrics || {};
+  HOST_METRICS_FIELDS.forEach(([field]) => {
+    document.getElementById(`hostMetrics-${field}`).value = hostMetrics[field] || '';
+  });
+  document.getElementById('monitor-runInBackground').checked = !!settings.runInBackground;
+  const metrics = config.settings.metrics || {};
+  document.getElementById('metrics-enabled').checked = !!metrics.enabled;
+  document.getElementById('metrics-host').value = metrics.host || '';
+  document.getElementById('metrics-port').value = metrics.port || '';
+  const viewer = config.settings.viewer || {};
+  document.getElementById('viewer-enabled').checked = !!viewer.enabled;
+  document.getElementById('viewer-host').value = viewer.host || '';
+  document.getElementById('viewer-port').value = viewer.port || '';
+  const syslog = config.settings.syslog || {};
+  document.getElementById('syslog-enabled').checked = !!syslog.enabled;
+  document.getElementById('syslog-host').value = syslog.host || '';
+  document.getElementById('syslog-port').value = syslog.port || '';
+  document.getElementById('syslog-protocol').value = syslog.protocol || 'both';
+  document.getElementById('syslog-markDegraded').checked = !!syslog.markDegraded;
+  document.getElementById('syslog-holdMinutes').value = syslog.holdMinutes || '';
+  const traps = config.settings.traps || {};
+  document.getElementById('traps-enabled').checked = !!traps.enabled;
+  document.getElementById('traps-host').value = traps.host || '';
+  document.getElementById('traps-port').value = traps.port || '';
+  document.getElementById('traps-community').value = traps.community || '';
+  const api = config.settings.api || {};
+  document.getElementById('api-enabled').checked = !!api.enabled;
+  document.getElementById('api-host').value = api.host || '';
+  document.getElementById('api-port').value = api.port || '';
+  document.getElementById('api-token').value = api.token || '';
+  openModal('monitor-settings-modal');
+}
+
+async function saveMonitoringSettings() {
+  const { values, error } = readMonitoringInputs('monitor-default', [...MONITORING_FIELDS, ...SCHEDULER_FIELDS]);
+  if (error) {
+    toastError('Validation Error', error);
+    return;
+  }
+
+  const historyInputs = readMonitoringInputs('history', HISTORY_FIELDS);
+  if (historyInputs.error) {
+    toastError('Validation Error', historyInputs.error);
+    return;
+  }
+
+  const hostMetricsInputs = readMonitoringInputs('hostMetrics', HOST_METRICS_FIELDS);
+  if (hostMetricsInputs.error) {
+    toastError('Validation Error', hostMetricsInputs.error);
+    return;
+  }
+
+  const metricsHost = document.getElementById('metrics-host').value.trim();
+  const metricsPort = document.getElementById('metrics-port').value.trim();
+  if (metricsPort && !isValidPort(metricsPort)) {
+    toastError('Validation Error', 'Metrics port must be between 1 and 65535');
+    return;
+  }
+
+  const viewerHost = document.getElementById('viewer-host').value.trim();
+  const viewerPort = document.getElementById('viewer-port').value.trim();
+  if (viewerPort && !isValidPort(viewerPort)) {
+    toastError('Validation Error', 'Viewer port must be between 1 and 65535');
+    return;
+  }
+
+  const syslogHost = document.getElementById('syslog-host').value.trim();
+  const syslogPort = document.getElementById('syslog-port').value.trim();
+  const syslogHold = document.getElementById('syslog-holdMinutes').value.trim();
+  if (syslogPort && !isValidPort(syslogPort)) {
+    toastError('Validation Error', 'Syslog port must be between 1 and 65535');
+    return;
+  }
+  if (syslogHold && !(Number(syslogHold) >= 1 && Number(syslogHold) <= 1440)) {
+    toastError('Validation Error', 'Syslog hold time must be between 1 and 1440 minutes');
+    return;
+  }
+
+  const trapsHost = document.getElementById('traps-host').value.trim();
+  const trapsPort = document.getElementById('traps-port').value.trim();
+  if (trapsPort && !isValidPort(trapsPort)) {
+    toastError('Validation Error', 'SNMP trap port must be between 1 and 65535');
+    return;
+  }
+
+  const apiEnabled = document.getElementById('api-enabled').checked;
+  const apiHost = document.getElementById('api-host').value.trim();
+  const apiPort = document.getElementById('api-port').value.trim();
+  if (apiPort && !isValidPort(apiPort)) {
+    toastError('Validation Error', 'API port must be between 1 and 65535');
+    return;
+  }
+  if (apiEnabled && !document.getElementById('api-token').value) generateApiToken();
+
+  if (document.getElementById('monitor-runInBackground').checked) values.runInBackground = true;
+  config.settings.monitoring = values;
+  config.settings.history = historyInputs.values;
+  config.settings.hostMetrics = hostMetricsInputs.values;
+  config.settings.metrics = {
+    enabled: document.getElementById('metrics-enabled').checked,
+    host: metricsHost || '127.0.0.1',
+    port: metricsPort ? parseInt(metricsPort, 10) : 9464
+  };
+  config.settings.viewer = {
+    enabled: document.getElementById('viewer-enabled').checked,
+    host: viewerHost || '127.0.0.1',
+    port: viewerPort ? parseInt(viewerPort, 10) : 8080
+  };
+  config.settings.syslog = {
+    enabled: document.getElementById('syslog-enabled').checked,
+    host: syslogHost || '0.0.0.0',
+    port: syslogPort ? parseInt(syslogPort, 10) : 514,
+    protocol: document.getElementById('syslog-protocol').value,
+    markDegraded: document.getElementById('syslog-markDegraded').checked,
+    holdMinutes: syslogHold ? Number(syslogHold) : 15
+  };
+  config.settings.traps = {
+    enabled: document.getElementById('traps-enabled').checked,
+    host: trapsHost || '0.0.0.0',
+    port: trapsPort ? parseInt(trapsPort, 10) : 162,
+    community: document.getElementById('traps-community').value.trim()
+  };
+  config.settings.api = {
+    enabled: apiEnabled,
+    host: apiHost || '127.0.0.1',
+    port: apiPort ? parseInt(apiPort, 10) : 8765,
+    token: document.getElementById('api-token').value
+  };
+  const saved = await saveConfig();
+  if (saved && saved.viewerError) toastWarning('Web Viewer', saved.viewerError);
+  if (saved && saved.syslogError) toastWarning('Syslog Receiver', saved.syslogError);
+  if (saved && saved.trapError) toastWarning('SNMP Traps', saved.trapError);
+  if (saved && saved.apiError) toastWarning('REST API', saved.apiError);
+  closeModal('monitor-settings-modal');
+  toastSuccess('Settings Saved', 'Monitoring defaults updated');
+
+  if (monitoringActive) {
+    await stopMonitoring();
+    await startMonitoring();
+  }
+}
+
+// ============================================
+// System Tray
+// ============================================
+
+function setupTrayListener() {
+  if (!window.electronAPI) return;
+
+  window.electronAPI.tray.onFocusNode((nodeId) => {
+    const node = config.nodes.find(n => n.id === nodeId);
+    if (!node) return;
+    // Child nodes have no position of their own, pan to their container
+    focusOnNode(node.containerId || node.id);
+    openNodeDetailPanel(node.id);
+  });
+
+  window.electronAPI.tray.onBackgroundChanged(async (enabled) => {
+    config.settings.monitoring = { ...(config.settings.monitoring || {}), runInBackground: enabled };
+    await saveConfig();
+    toastInfo('Tray', enabled ? 'Monitoring continues in the tray when the window is closed' : 'Closing the window quits the app');
+  });
+}
+
+function generateApiToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  document.getElementById('api-token').value = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return seconds + 's';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return minutes + 'm ' + (seconds % 60) + 's';
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return hours + 'h ' + (minutes % 60) + 'm';
+  const days = Math.floor(hours / 24);
+  return days + 'd ' + (hours % 24) + 'h';
+}
+
+// ============================================
+// Availability Reports
+// ============================================
+
+let currentReport = null;
+
+function openReportsModal() {
+  toggleReportCustomPeriod();
+  openModal('reports-modal');
+}
+
+function toggleReportCustomPeriod() {
+  const custom = document.getElementById('report-period').value === 'custom';
+  document.getElementById('report-custom-period').classList.toggle('hidden', !custom);
+}
+
+// { from, to } in ms for the selected period; months are calendar months
+function getReportPeriod() {
+  const now = new Date();
+  switch (document.getElementById('report-period').value) {
+    case '24h':
+      return { from: now.getTime() - 86400000, to: now.getTime() };
+    case '7d':
+      return { from: now.getTime() - 7 * 86400000, to: now.getTime() };
+    case 'thisMonth':
+      return { from: new Date(now.getFullYear(), now.getMonth(), 1).getTime(), to: now.getTime() };
+    case 'lastMonth':
+      return {
+        from: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(),
+        to: new Date(now.getFullYear(), now.getMonth(), 1).getTime()
+      };
+    case 'custom': {
+      const from = document.getElementById('report-from').valueAsDate;
+      const to = document.getElementById('report-to').valueAsDate;
+      if (!from || !to) return null;
+      // Date inputs are UTC midnight; use local days and include the end day
+      return {
+        from: new Date(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()).getTime(),
+        to: new Date(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate() + 1).getTime()
+      };
+    }
+    default:
+      return { from: now.getTime() - 30 * 86400000, to: now.getTime() };
+  }
+}
+
+async function generateReport() {
+  if (!window.electronAPI) return;
+
+  const period = getReportPeriod();
+  if (!period || period.from >= period.to) {
+    toastError('Validation Error', 'Choose a valid report period');
+    return;
+  }
+
+  const nodes = config.nodes.map(n => ({
+    id: n.id,
+    name: n.name,
+    address: n.address,
+    isContainer: n.isContainer,
+    containerId: n.containerId
+  }));
+
+  document.getElementById('report-summary').textContent = 'Generating...';
+  const result = await window.electronAPI.report.generate({ nodes, ...period });
+  if (!result.success) {
+    document.getElementById('report-summary').textContent = '';
+    toastError('Report Failed', result.error);
+    return;
+  }
+
+  currentReport = result.report;
+  renderReportResults(currentReport);
+  document.getElementById('btn-report-csv').disabled = false;
+  document.getElementById('btn-report-html').disabled = false;
+}
+
+function renderReportResults(report) {
+  const availability = (value) => {
+    if (value === null) return '<span class="text-slate-500">no data</span>';
+    const color = value >= 99.9 ? 'text-green-400' : (value >= 99 ? 'text-yellow-400' : 'text-red-400');
+    return `<span class="${color}">${value.toFixed(2)}%</span>`;
+  };
+  const duration = (ms) => (ms === null ? '-' : formatDuration(ms));
+  const statsCells = (row) => `
+    <td class="num">${availability(row.availability)}</td>
+    <td class="num">${row.outages}</td>
+    <td class="num">${duration(row.mttr)}</td>
+    <td class="num" title="${row.longestOutageStart ? new Date(row.longestOutageStart).toLocaleString() : ''}">${duration(row.longestOutage)}</td>
+  `;
+  const statsHeader = '<th>Availability</th><th>Outages</th><th>MTTR</th><th>Longest</th>';
+
+  let html = '';
+  if (report.containers.length > 0) {
+    html += `
+      <table class="report-table mb-4">
+        <thead><tr><th>Container</th><th>Nodes</th>${statsHeader}</tr></thead>
+        <tbody>${report.containers.map(row => `
+          <tr><td>${escapeHtml(row.name)}</td><td class="num">${row.members}</td>${statsCells(row)}</tr>
+        `).join('')}</tbody>
+      </table>
+    `;
+  }
+  html += `
+    <table class="report-table">
+      <thead><tr><th>Node</th><th>Address</th>${statsHeader}</tr></thead>
+      <tbody>${report.nodes.map(row => `
+        <tr><td>${escapeHtml(row.name)}</td><td class="font-mono text-slate-400">${escapeHtml(row.address)}</td>${statsCells(row)}</tr>
+      `).join('')}</tbody>
+    </table>
+  `;
+
+  document.getElementById('report-results').innerHTML = html;
+  document.getElementById('report-summary').textContent =
+    `${new Date(report.from).toLocaleString()} - ${new Date(report.to).toLocaleString()} · ` +
+    `${report.nodes.length} nodes · ${report.resolution === 'raw' ? 'every check' : report.resolution + ' averages'}`;
+}
+
+async function exportReport(format) {
+  if (!window.electronAPI || !currentReport) return;
+
+  const result = await window.electronAPI.report.export(currentReport, format);
+  if (result.success) {
+    toastSuccess('Report Exported', result.path);
+  } else if (!result.canceled) {
+    toastError('Export Failed', result.error);
+  }
+}
+
+// ============================================
+// Alert Rules & Channels
+// ============================================
+
+// Temporary storage while the alerts modal is open
+let editingAlertRules = [];
+let editingAlertChannels = [];
+
+// threshold: label of the threshold input, or null when the rule has none
+const ALERT_RULE_TYPES = {
+  down: { label: 'Node down', threshold: null },
+  latency: { label: 'Latency above', threshold: 'ms' },
+  loss: { label: 'Packet loss above', threshold: '%' },
+  certExpiry: { label: 'Certificate expiring', threshold: 'days (14)' },
+  syslog: { label: 'Critical syslog message', threshold: null },
+  sshCheck: { label: 'SSH check critical', threshold: null }
+};
+
+const ALERT_CHANNEL_LABELS = {
+  webhook: 'Webhook',
+  email: 'Email (SMTP)',
+  syslog: 'Syslog',
+  desktop: 'Desktop'
+};
+
+// Fields editable for each channel type: [field, placeholder, input type, select options]
+const ALERT_CHANNEL_FIELDS = {
+  webhook: [['url', 'https://example.com/hook', 'text']],
+  email: [
+    ['host', 'SMTP host', 'text'], ['port', 'Port (25)', 'number'],
+    ['user', 'Username (optional)', 'text'], ['pass', 'Password', 'password'],
+    ['from', 'From address', 'text'], ['to', 'To (comma separated)', 'text'],
+    ['secure', 'Connection', 'select', [['', 'Plain / STARTTLS'], ['true', 'TLS']]]
+  ],
+  syslog: [
+    ['host', 'Syslog host', 'text'], ['port', 'Port (514)', 'number'],
+    ['protocol', 'Protocol', 'select', [['udp', 'UDP'], ['tcp', 'TCP']]],
+    ['facility', 'Facility', 'select', ['local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7', 'user', 'daemon'].map(f => [f, f])]
+  ],
+  desktop: []
+};
+
+function openAlertsModal() {
+  const alerts = config.alerts || {};
+  editingAlertRules = JSON.parse(JSON.stringify(alerts.rules || []));
+  editingAlertChannels = JSON.parse(JSON.stringify(alerts.channels || []));
+  renderAlertRulesList();
+  renderAlertChannelsList();
+  openModal('alerts-modal');
+}
+
+function renderAlertRulesList() {
+  const container = document.getElementById('alert-rules-list');
+
+  if (editingAlertRules.length === 0) {
+    container.innerHTML = '<div class="text-xs text-slate-500 text-center py-1">No rules - add one to get notified</div>';
+    return;
+  }
+
+  const nodeOptions = config.nodes.map(n => [n.id, n.isContainer ? `${n.name} (container)` : n.name]);
+  const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-600 rounded text-sm';
+
+  container.innerHTML = editingAlertRules.map((rule, idx) => {
+    const type = ALERT_RULE_TYPES[rule.type];
+    const typeOptions = Object.entries(ALERT_RULE_TYPES).map(([value, t]) =>
+      `<option value="${value}" ${rule.type === value ? 'selected' : ''}>${t.label}</option>`
+    ).join('');
+    const scopeOptions = [['', 'All nodes'], ...nodeOptions].map(([value, label]) =>
+      `<option value="${escapeHtml(value)}" ${(rule.nodeId || '') === value ? 'selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+    const channelBoxes = editingAlertChannels.map(channel => `
+      <label class="inline-flex items-center gap-1 mr-3">
+        <input type="checkbox" ${(rule.channelIds || []).includes(channel.id) ? 'checked' : ''}
+               data-rule-idx="${idx}" data-channel-id="${escapeHtml(channel.id)}">
+        ${escapeHtml(channel.name || ALERT_CHANNEL_LABELS[channel.type])}
+      </label>
+    `).join('');
+
+    return `
+      <div class="p-2 bg-slate-800 rounded space-y-2">
+        <div class="flex items-center gap-2">
+          <input type="checkbox" title="Enabled" ${rule.enabled !== false ? 'checked' : ''} onchange="updateAlertRule(${idx}, 'enabled', this.checked)">
+          <input type="text" value="${escapeHtml(rule.name || '')}" placeholder="Rule name" onchange="updateAlertRule(${idx}, 'name', this.value)" class="${inputClass} flex-1" style="min-width:0;">
+          <select onchange="changeAlertRuleType(${idx}, this.value)" class="${inputClass}">${typeOptions}</select>
+          ${type.threshold ? `<input type="number" value="${escapeHtml(String(rule.threshold ?? ''))}" placeholder="${type.threshold}" title="Threshold (${type.threshold})" onchange="updateAlertRule(${idx}, 'threshold', this.value)" class="${inputClass} w-24">` : ''}
+          <input type="number" value="${escapeHtml(String(rule.duration ?? ''))}" placeholder="For (s)" title="Seconds the condition must hold before alerting" onchange="updateAlertRule(${idx}, 'duration', this.value)" class="${inputClass} w-20">
+          <select onchange="updateAlertRule(${idx}, 'nodeId', this.value)" class="${inputClass} w-36">${scopeOptions}</select>
+          <button onclick="removeAlertRule(${idx})" class="p-1 text-red-400 hover:text-red-300">
+            <i data-lucide="trash-2" class="w-4 h-4"></i>
+          </button>
+        </div>
+        <div class="text-xs text-slate-400">
+          <span class="text-slate-500 mr-2">Notify:</span>${channelBoxes || 'no channels yet'}${channelBoxes ? '<span class="text-slate-500">(none checked = all)</span>' : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  // Channel IDs come from imported configs and the REST API, so they never go into inline handlers
+  container.querySelectorAll('input[data-channel-id]').forEach(box => {
+    box.addEventListener('change', () => toggleAlertRuleChannel(Number(box.dataset.ruleIdx), box.dataset.channelId, box.checked));
+  });
+
+  lucide.createIcons();
+}
+
+function addAlertRule() {
+  editingAlertRules.push({ id: 'rule_' + Date.now(), name: '', type: 'down', duration: 30, nodeId: null, channelIds: [], enabled: true });
+  renderAlertRulesList();
+}
+
+function changeAlertRuleType(idx, type) {
+  const rule = editingAlertRules[idx];
+  if (!rule) return;
+  rule.type = type;
+  delete rule.threshold;
+  renderAlertRulesList();
+}
+
+function updateAlertRule(idx, field, value) {
+  const rule = editingAlertRules[idx];
+  if (!rule) return;
+
+  if (field === 'enabled') {
+    rule.enabled = value;
+  } else if (field === 'threshold' || field === 'duration') {
+    if (value === '') delete rule[field];
+    else rule[field] = parseFloat(value);
+  } else if (field === 'nodeId') {
+    rule.nodeId = value || null;
+  } else {
+    rule[field] = value.trim();
+  }
+}
+
+function toggleAlertRuleChannel(idx, channelId, checked) {
+  const rule = editingAlertRules[idx];
+  if (!rule) return;
+  const ids = new Set(rule.channelIds || []);
+  if (checked) ids.add(channelId);
+  else ids.delete(channelId);
+  rule.channelIds = Array.from(ids);
+}
+
+function removeAlertRule(idx) {
+  editingAlertRules.splice(idx, 1);
+  renderAlertRulesList();
+}
+
+function renderAlertChannelsList() {
+  const container = document.getElementById('alert-channels-list');
+
+  if (editingAlertChannels.length === 0) {
+    container.innerHTML = '<div class="text-xs text-slate-500 text-center py-1">No channels configured</div>';
+    return;
+  }
+
+  const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-600 rounded text-sm';
+
+  container.innerHTML = editingAlertChannels.map((channel, idx) => {
+    const typeOptions = Object.entries(ALERT_CHANNEL_LABELS).map(([value, label]) =>
+      `<option value="${value}" ${channel.type === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    const fieldsHtml = (ALERT_CHANNEL_FIELDS[channel.type] || []).map(([field, placeholder, inputType, options]) => {
+      const current = channel[field] === undefined || channel[field] === null ? '' : String(channel[field]);
+      if (inputType === 'select') {
+        return `<select title="${placeholder}" onchange="updateAlertChannel(${idx}, '${field}', this.value)" class="${inputClass}">
+          ${options.map(([value, label]) => `<option value="${value}" ${current === value ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>`;
+      }
+      return `<input type="${inputType}" value="${escapeHtml(current)}" placeholder="${placeholder}"
+                     onchange="updateAlertChannel(${idx}, '${field}', this.value)" class="${inputClass}" style="min-width:0;">`;
+    }).join('');
+
+    return `
+      <div class="flex items-start gap-2 p-2 bg-slate-800 rounded">
+        <input type="checkbox" class="mt-2" title="Enabled" ${channel.enabled !== false ? 'checked' : ''} onchange="updateAlertChannel(${idx}, 'enabled', this.checked)">
+        <div class="flex flex-col gap-1 w-40">
+          <input type="text" value="${escapeHtml(channel.name || '')}" placeholder="Name" onchange="updateAlertChannel(${idx}, 'name', this.value)" class="${inputClass}">
+          <select onchange="changeAlertChannelType(${idx}, this.value)" class="${inputClass}">${typeOptions}</select>
+        </div>
+        <div class="flex-1 grid grid-cols-2 gap-1">${fieldsHtml || '<span class="text-xs text-slate-500 py-1">Shown as system notifications</span>'}</div>
+        <button onclick="testAlertChannel(${idx})" class="px-2 py-1 text-xs border border-slate-600 rounded hover:border-blue-500 hover:text-blue-400">Test</button>
+        <button onclick="removeAlertChannel(${idx})" class="p-1 text-red-400 hover:text-red-300">
+          <i data-lucide="trash-2" class="w-4 h-4"></i>
+        </button>
+      </div>
+    `;
+  }).join('');
+
+  lucide.createIcons();
+}
+
+function addAlertChannel() {
+  editingAlertChannels.push({ id: 'channel_' + Date.now(), name: '', type: 'webhook', enabled: true });
+  renderAlertChannelsList();
+  renderAlertRulesList();
+}
+
+function changeAlertChannelType(idx, type) {
+  const channel = editingAlertChannels[idx];
+  if (!channel) return;
+  editingAlertChannels[idx] = { id: channel.id, name: channel.name, type, enabled: channel.enabled };
+  renderAlertChannelsList();
+  renderAlertRulesList();
+}
+
+function updateAlertChannel(idx, field, value) {
+  const channel = editingAlertChannels[idx];
+  if (!channel) return;
+
+  if (field === 'enabled') {
+    channel.enabled = value;
+  } else if (field === 'secure') {
+    channel.secure = value === 'true';
+  } else if (value === '') {
+    delete channel[field];
+  } else {
+    channel[field] = field === 'port' ? parseInt(value, 10) : (field === 'pass' ? value : value.trim());
+  }
+
+  // Rule channel labels use the channel name
+  if (field === 'name') renderAlertRulesList();
+}
+
+function removeAlertChannel(idx) {
+  const [removed] = editingAlertChannels.splice(idx, 1);
+  editingAlertRules.forEach(rule => {
+    rule.channelIds = (rule.channelIds || []).filter(id => id !== removed.id);
+  });
+  renderAlertChannelsList();
+  renderAlertRulesList();
+}
+
+// Returns an error message for the first invalid channel, or null
+function validateAlertChannel(channel) {
+  const label = channel.name || ALERT_CHANNEL_LABELS[channel.type];
+  if (channel.port !== undefined && !isValidPort(channel.port)) {
+    return `${label}: port must be between 1 and 65535`;
+  }
+  if (channel.type === 'webhook' && !/^https?:\/\/[^\s]+$/i.test(channel.url || '')) {
+    return `${label}: enter an http:// or https:// URL`;
+  }
+  if (channel.type === 'email' && (!channel.host || !channel.from || !channel.to)) {
+    return `${label}: SMTP host, from and to addresses are required`;
+  }
+  if (channel.type === 'syslog' && (!channel.host || !isValidHostname(channel.host))) {
+    return `${label}: enter the syslog server address`;
+  }
+  return null;
+}
+
+function validateAlertRule(rule) {
+  const label = rule.name || ALERT_RULE_TYPES[rule.type].label;
+  if ((rule.type === 'latency' || rule.type === 'loss') && (rule.threshold === undefined || isNaN(rule.threshold) || rule.threshold < 0)) {
+    return `${label}: threshold is required`;
+  }
+  if (rule.duration !== undefined && (isNaN(rule.duration) || rule.duration < 0)) {
+    return `${label}: duration must be 0 or more seconds`;
+  }
+  return null;
+}
+
+async function testAlertChannel(idx) {
+  const channel = editingAlertChannels[idx];
+  if (!window.electronAPI || !channel) return;
+
+  const error = validateAlertChannel(channel);
+  if (error) {
+    toastError('Validation Error', error);
+    return;
+  }
+
+  const result = await window.electronAPI.alerts.test(channel);
+  const label = channel.name || ALERT_CHANNEL_LABELS[channel.type];
+  if (result.success) {
+    toastSuccess('Test Sent', `Test notification delivered to ${label}`);
+  } else {
+    toastError('Test Failed', `${label}: ${result.error}`);
+  }
+}
+
+function saveAlerts() {
+  for (const channel of editingAlertChannels) {
+    const error = validateAlertChannel(channel);
+    if (error) {
+      toastError('Validation Error', error);
+      return;
+    }
+  }
+  for (const rule of editingAlertRules) {
+    const error = validateAlertRule(rule);
+    if (error) {
+      toastError('Validation Error', error);
+      return;
+    }
+  }
+
+  config.alerts = { rules: editingAlertRules, channels: editingAlertChannels };
+  saveConfig();
+  closeModal('alerts-modal');
+  toastSuccess('Alerts Saved', `${editingAlertRules.length} rules, ${editingAlertChannels.length} channels`);
+
+  if (monitoringActive) {
+    stopMonitoring().then(() => startMonitoring());
+  }
+}
+
+// ============================================
+// Maintenance Windows
+// ============================================
+
+// Temporary storage while the maintenance modal is open
+let editingMaintenanceWindows = [];
+
+const CRON_FIELD_PATTERN = /^(\*|\d+(-\d+)?)(\/\d+)?(,(\*|\d+(-\d+)?)(\/\d+)?)*$/;
+const MAX_MAINTENANCE_MINUTES = 7 * 24 * 60;
+
+function renderMaintenanceBadge(node, extraClass = '') {
+  if (!node.maintenance) return '';
+  const until = new Date(node.maintenance.until).toLocaleString();
+  return `<span class="maintenance-badge ${extraClass}" title="${escapeHtml(node.maintenance.name)} until ${until}">Maintenance</span>`;
+}
+
+function isValidCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  return fields.length === 5 && fields.every(field => CRON_FIELD_PATTERN.test(field));
+}
+
+// epoch ms <-> value of a datetime-local input (local time)
+function toDateTimeInput(time) {
+  if (!time) return '';
+  const date = new Date(time);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+function fromDateTimeInput(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+// [value, label] options for every node, container and VLAN zone
+function getMaintenanceTargetOptions() {
+  const nodes = config.nodes.filter(n => !n.isContainer).map(n => [`node:${n.id}`, n.name || n.id]);
+  const containers = config.nodes.filter(n => n.isContainer).map(n => [`container:${n.id}`, n.name || n.id]);
+  const zones = [];
+  config.nodes.filter(n => n.isContainer && n.zones).forEach(container => {
+    container.zones.forEach(zone => zones.push([`zone:${zone.id}`, `${container.name} / ${zone.name}`]));
+  });
+  return [['Nodes', nodes], ['Containers', containers], ['Zones', zones]].filter(([, options]) => options.length > 0);
+}
+
+function openMaintenanceModal() {
+  editingMaintenanceWindows = JSON.parse(JSON.stringify(config.maintenance || []));
+  renderMaintenanceList();
+  openModal('maintenance-modal');
+}
+
+function renderMaintenanceList() {
+  const container = document.getElementById('maintenance-list');
+
+  if (editingMaintenanceWindows.length === 0) {
+    container.innerHTML = '<div class="text-xs text-slate-500 text-center py-1">No maintenance windows</div>';
+    return;
+  }
+
+  const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-600 rounded text-sm';
+  const targetGroups = getMaintenanceTargetOptions();
+  const activeIds = new Set(networkData.filter(n => n.maintenance).map(n => n.maintenance.windowId));
+
+  container.innerHTML = editingMaintenanceWindows.map((entry, idx) => {
+    const schedule = entry.schedule || {};
+    const selected = new Set((entry.targets || []).map(t => `${t.type}:${t.id}`));
+    const targetOptions = targetGroups.map(([label, options]) => `
+      <optgroup label="${label}">
+        ${options.map(([value, name]) => `<option value="${escapeHtml(value)}" ${selected.has(value) ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+      </optgroup>
+    `).join('');
+
+    const scheduleHtml = schedule.type === 'cron' ? `
+      <input type="text" value="${escapeHtml(schedule.cron || '')}" placeholder="0 2 * * 0" title="minute hour day month weekday"
+             onchange="updateMaintenanceSchedule(${idx}, 'cron', this.value)" class="${inputClass} font-mono" style="min-width:0;">
+      <input type="number" value="${escapeHtml(String(schedule.duration ?? ''))}" placeholder="Minutes" title="Duration (minutes)"
+             onchange="updateMaintenanceSchedule(${idx}, 'duration', this.value)" class="${inputClass}" style="min-width:0;">
+    ` : `
+      <input type="datetime-local" value="${toDateTimeInput(schedule.start)}" title="Start"
+             onchange="updateMaintenanceSchedule(${idx}, 'start', this.value)" class="${inputClass}" style="min-width:0;">
+      <input type="datetime-local" value="${toDateTimeInput(schedule.end)}" title="End"
+             onchange="updateMaintenanceSchedule(${idx}, 'end', this.value)" class="${inputClass}" style="min-width:0;">
+    `;
+
+    return `
+      <div class="flex items-start gap-2 p-2 bg-slate-800 rounded">
+        <input type="checkbox" class="mt-2" title="Enabled" ${entry.enabled !== false ? 'checked' : ''} onchange="updateMaintenanceWindow(${idx}, 'enabled', this.checked)">
+        <div class="flex-1 space-y-1" style="min-width:0;">
+          <div class="flex items-center gap-2">
+            <input type="text" value="${escapeHtml(entry.name || '')}" placeholder="Window name" onchange="updateMaintenanceWindow(${idx}, 'name', this.value)" class="${inputClass} flex-1" style="min-width:0;">
+            ${activeIds.has(entry.id) ? '<span class="maintenance-badge">Active</span>' : ''}
+            <select onchange="changeMaintenanceScheduleType(${idx}, this.value)" class="${inputClass}">
+              <option value="once" ${schedule.type !== 'cron' ? 'selected' : ''}>One-off</option>
+              <option value="cron" ${schedule.type === 'cron' ? 'selected' : ''}>Recurring</option>
+            </select>
+          </div>
+          <div class="grid grid-cols-2 gap-1">${scheduleHtml}</div>
+        </div>
+        <select multiple size="4" title="Nodes, containers and zones in this window (Ctrl+click to select several)"
+                onchange="updateMaintenanceTargets(${idx}, this)" class="${inputClass} w-56">${targetOptions}</select>
+        <button onclick="removeMaintenanceWindow(${idx})" class="p-1 text-red-400 hover:text-red-300">
+          <i data-lucide="trash-2" class="w-4 h-4"></i>
+        </button>
+      </div>
+    `;
+  }).join('');
+
+  lucide.createIcons();
+}
+
+function addMaintenanceWindow() {
+  const start = Date.now();
+  editingMaintenanceWindows.push({
+    id: 'maint_' + Date.now(),
+    name: '',
+    enabled: true,
+    targets: [],
+    schedule: { type: 'once', start, end: start + 3600000 }
+  });
+  renderMaintenanceList();
+}
+
+function updateMaintenanceWindow(idx, field, value) {
+  const entry = editingMaintenanceWindows[idx];
+  if (!entry) return;
+  entry[field] = field === 'name' ? value.trim() : value;
+}
+
+function changeMaintenanceScheduleType(idx, type) {
+  const entry = editingMaintenanceWindows[idx];
+  if (!entry) return;
+  const start = Date.now();
+  entry.schedule = type === 'cron'
+    ? { type: 'cron', cron: '0 2 * * 0', duration: 60 }
+    : { type: 'once', start, end: start + 3600000 };
+  renderMaintenanceList();
+}
+
+function updateMaintenanceSchedule(idx, field, value) {
+  const entry = editingMaintenanceWindows[idx];
+  if (!entry) return;
+
+  if (field === 'start' || field === 'end') {
+    entry.schedule[field] = fromDateTimeInput(value);
+  } else if (field === 'duration') {
+    entry.schedule.duration = value === '' ? null : parseInt(value, 10);
+  } else {
+    entry.schedule[field] = value.trim();
+  }
+}
+
+function updateMaintenanceTargets(idx, select) {
+  const entry = editingMaintenanceWindows[idx];
+  if (!entry) return;
+  entry.targets = Array.from(select.selectedOptions).map(option => {
+    const [type, ...id] = option.value.split(':');
+    return { type, id: id.join(':') };
+  });
+}
+
+function removeMaintenanceWindow(idx) {
+  editingMaintenanceWindows.splice(idx, 1);
+  renderMaintenanceList();
+}
+
+// Returns an error message for an invalid window, or null
+function validateMaintenanceWindow(entry) {
+  const label = entry.name || 'Maintenance window';
+  const schedule = entry.schedule || {};
+  if (!entry.targets || entry.targets.length === 0) {
+    return `${label}: select at least one node, container or zone`;
+  }
+  if (schedule.type === 'cron') {
+    if (!isValidCron(schedule.cron)) {
+      return `${label}: cron expression needs 5 fields (minute hour day month weekday)`;
+    }
+    if (!schedule.duration || schedule.duration < 1 || schedule.duration > MAX_MAINTENANCE_MINUTES) {
+      return `${label}: duration must be between 1 and ${MAX_MAINTENANCE_MINUTES} minutes`;
+    }
+  } else if (!schedule.start || !schedule.end || schedule.end <= schedule.start) {
+    return `${label}: end must be after start`;
+  }
+  return null;
+}
+
+function saveMaintenanceWindows() {
+  for (const entry of editingMaintenanceWindows) {
+    const error = validateMaintenanceWindow(entry);
+    if (error) {
+      toastError('Validation Error', error);
+      return;
+    }
+  }
+
+  config.maintenance = editingMaintenanceWindows;
+  saveConfig();
+  closeModal('maintenance-modal');
+  toastSuccess('Maintenance Saved', `${editingMaintenanceWindows.length} window${editingMaintenanceWindows.length !== 1 ? 's' : ''}`);
+
+  if (monitoringActive) {
+    stopMonitoring().then(() => startMonitoring());
+  }
+}
+
+// ============================================
+// Status History Tracking
+// ============================================
+
+function trackStatusChange(nodeId, nodeName, newStatus, health = null, inMaintenance = false) {
+  // Normalize status to boolean to avoid undefined/null comparison issues
+  const normalizedStatus = newStatus === true;
+  const now = Date.now();
+  let nodeHistory = statusHistory.get(nodeId);
+
+  if (!nodeHistory) {
+    // First time seeing this node - don't show notification
+    nodeHistory = {
+      lastStatus: normalizedStatus,
+      lastHealth: health,
+      lastChange: now,
       history: [{ status: normalizedStatus, time: now }]
     };
     statusHistory.set(nodeId, nodeHistory);
     return;
   }
 
+  // Still offline, but no longer explained by an upstream outage
+  if (!normalizedStatus && nodeHistory.lastHealth === 'unreachable' && health === 'down' && !nodeHistory.offlineAlerted) {
+    queueOutageAlert(nodeId);
+  }
+  nodeHistory.lastHealth = health;
+
+  // Outages during a maintenance window are alerted if they outlast it
+  if (nodeHistory.inMaintenance && !inMaintenance && !normalizedStatus && !nodeHistory.offlineAlerted) {
+    queueOutageAlert(nodeId);
+  }
+  nodeHistory.inMaintenance = inMaintenance;
+
   // Check if status actually changed (both must be boolean now)
   if (nodeHistory.lastStatus !== normalizedStatus) {
     // Status changed! Record it
@@ -3170,11 +5432,16 @@ function trackStatusChange(nodeId, nodeName, newStatus) {
       nodeHistory.history = nodeHistory.history.slice(-MAX_HISTORY_ENTRIES);
     }
 
-    // Show toast notification for status change (only after initial state)
+    // Offline alerts wait briefly so the monitor can attribute the outage to
+    // an upstream node; recoveries are only announced for alerted outages
     if (normalizedStatus) {
-      toastSuccess('Node Online', `"${nodeName}" is now online`);
+      if (nodeHistory.offlineAlerted) {
+        toastSuccess('Node Online', `"${nodeName}" is now online`);
+      }
+      nodeHistory.offlineAlerted = false;
+      pendingOutageAlerts.delete(nodeId);
     } else {
-      toastError('Node Offline', `"${nodeName}" went offline`);
+      queueOutageAlert(nodeId);
     }
 
     nodeHistory.lastStatus = normalizedStatus;
@@ -3182,6 +5449,40 @@ function trackStatusChange(nodeId, nodeName, newStatus) {
   }
 }
 
+// Nodes that went offline and have not been alerted yet
+let pendingOutageAlerts = new Set();
+let outageAlertTimer = null;
+const OUTAGE_ALERT_DELAY = 3000;
+
+function queueOutageAlert(nodeId) {
+  pendingOutageAlerts.add(nodeId);
+  if (!outageAlertTimer) {
+    outageAlertTimer = setTimeout(flushOutageAlerts, OUTAGE_ALERT_DELAY);
+  }
+}
+
+// One alert per root cause: unreachable nodes are covered by the alert of the
+// upstream node they depend on
+function flushOutageAlerts() {
+  outageAlertTimer = null;
+  const nodeIds = Array.from(pendingOutageAlerts);
+  pendingOutageAlerts.clear();
+
+  nodeIds.forEach(nodeId => {
+    const node = networkData.find(n => n.id === nodeId);
+    if (!node || node.status !== false || getNodeHealthState(node) === 'unreachable') return;
+    if (node.maintenance) return;
+
+    const impacted = node.impactedCount
+      ? ` - ${node.impactedCount} node${node.impactedCount !== 1 ? 's' : ''} behind it unreachable`
+      : '';
+    toastError('Node Offline', `"${node.name || node.id}" went offline${impacted}`);
+
+    const nodeHistory = statusHistory.get(nodeId);
+    if (nodeHistory) nodeHistory.offlineAlerted = true;
+  });
+}
+
 function getNodeStatusHistory(nodeId) {
   return statusHistory.get(nodeId) || null;
 }
@@ -3213,12 +5514,149 @@ function getLastStatusChange(nodeId) {
   };
 }
 
+// ============================================
+// Syslog Events
+// ============================================
+
+const SYSLOG_SEVERITY_LABELS = ['EMERG', 'ALERT', 'CRIT', 'ERR', 'WARN', 'NOTICE', 'INFO', 'DEBUG'];
+const MAX_SYSLOG_ROWS = 200;
+const MAX_NODE_SYSLOG_ROWS = 50;
+const SYSLOG_SEARCH_DELAY = 300;
+
+// Messages shown in the Events panel and the node detail panel, newest first
+let syslogPanelEvents = [];
+let nodeDetailSyslog = [];
+let syslogSearchTimer = null;
+let syslogRequest = 0;
+let nodeSyslogRequest = 0;
+
+function setupSyslogListener() {
+  if (!window.electronAPI || !window.electronAPI.syslog) return;
+
+  window.electronAPI.syslog.onMessage((event) => {
+    if (event.trap) notifyLinkTrap(event);
+    if (syslogEventMatches(event, getSyslogPanelFilter())) {
+      syslogPanelEvents = [event, ...syslogPanelEvents].slice(0, MAX_SYSLOG_ROWS);
+      renderSyslogPanel();
+    }
+    if (nodeDetailNodeId && syslogEventMatches(event, getNodeSyslogFilter())) {
+      nodeDetailSyslog = [event, ...nodeDetailSyslog].slice(0, MAX_NODE_SYSLOG_ROWS);
+      renderNodeDetailSyslog();
+    }
+  });
+
+  loadSyslogPanel();
+}
+
+// linkDown/linkUp traps on an interface bound to a connection
+function notifyLinkTrap(event) {
+  const { type, connectionIds } = event.trap;
+  if (!['linkDown', 'linkUp'].includes(type) || !connectionIds || connectionIds.length === 0) return;
+
+  const node = config.nodes.find(n => n.id === event.nodeId);
+  const links = connectionIds.map(id => {
+    const conn = config.connections.find(c => c.id === id);
+    if (!conn) return null;
+    const source = config.nodes.find(n => n.id === conn.sourceNodeId);
+    const target = config.nodes.find(n => n.id === conn.targetNodeId);
+    return `${source?.name || conn.sourceNodeId} → ${target?.name || conn.targetNodeId}`;
+  }).filter(Boolean);
+  const where = [node?.name || event.source, event.trap.interface].filter(Boolean).join(' ');
+  const message = `${where}: ${links.join(', ')}`;
+  if (type === 'linkDown') toastError('Link Down', message);
+  else toastSuccess('Link Up', message);
+}
+
+function getSyslogPanelFilter() {
+  return {
+    search: document.getElementById('syslog-search').value.trim(),
+    severity: document.getElementById('syslog-severity').value
+  };
+}
+
+function getNodeSyslogFilter() {
+  return {
+    nodeId: nodeDetailNodeId,
+    search: document.getElementById('node-detail-syslog-search').value.trim()
+  };
+}
+
+// Same filter as querySyslogEvents in syslog.js, for messages arriving live
+function syslogEventMatches(event, { nodeId, search, severity }) {
+  if (nodeId && event.nodeId !== nodeId) return false;
+  if (severity !== undefined && severity !== '' && event.severity > Number(severity)) return false;
+  if (!search) return true;
+  const needle = search.toLowerCase();
+  return [event.message, event.app, event.hostname, event.source].some(value => value && value.toLowerCase().includes(needle));
+}
+
+function scheduleSyslogSearch(load) {
+  clearTimeout(syslogSearchTimer);
+  syslogSearchTimer = setTimeout(load, SYSLOG_SEARCH_DELAY);
+}
+
+async function loadSyslogPanel() {
+  const request = ++syslogRequest;
+  const result = await window.electronAPI.syslog.query({ ...getSyslogPanelFilter(), limit: MAX_SYSLOG_ROWS });
+  if (request !== syslogRequest) return;
+  syslogPanelEvents = result.success ? result.events : [];
+  renderSyslogPanel();
+}
+
+async function loadNodeDetailSyslog() {
+  if (!window.electronAPI || !window.electronAPI.syslog || !nodeDetailNodeId) return;
+  const request = ++nodeSyslogRequest;
+  const result = await window.electronAPI.syslog.query({ ...getNodeSyslogFilter(), limit: MAX_NODE_SYSLOG_ROWS });
+  if (request !== nodeSyslogRequest) return;
+  nodeDetailSyslog = result.success ? result.events : [];
+  renderNodeDetailSyslog();
+}
+
+function renderSyslogRows(events, showNode) {
+  return events.map(event => {
+    const node = event.nodeId ? config.nodes.find(n => n.id === event.nodeId) : null;
+    const origin = node ? node.name : (event.hostname || event.source);
+    const clickable = showNode && node;
+    return `
+      <div class="syslog-row${clickable ? ' cursor-pointer' : ''}" ${clickable ? `data-node-id="${escapeHtml(node.id)}"` : ''}
+           title="${escapeHtml(new Date(event.time).toLocaleString())} · ${escapeHtml(event.source)}">
+        <div class="flex items-center gap-2">
+          <span class="syslog-severity sev-${escapeHtml(String(event.severity))}">${SYSLOG_SEVERITY_LABELS[event.severity]}</span>
+          <span class="status-text">${new Date(event.time).toLocaleTimeString()}</span>
+          ${showNode ? `<span class="truncate ${node ? '' : 'text-slate-500'}">${escapeHtml(origin)}</span>` : ''}
+          ${event.app ? `<span class="status-text truncate">${escapeHtml(event.app)}</span>` : ''}
+        </div>
+        <div class="syslog-message">${escapeHtml(event.message)}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderSyslogPanel() {
+  document.getElementById('syslog-count').textContent = String(syslogPanelEvents.length);
+  const list = document.getElementById('syslog-list');
+  list.innerHTML = syslogPanelEvents.length > 0
+    ? renderSyslogRows(syslogPanelEvents, true)
+    : '<div class="status-text">No syslog messages</div>';
+
+  // Node IDs can be anything (REST API), so they never go into inline handlers
+  list.querySelectorAll('.syslog-row[data-node-id]').forEach(row => {
+    row.addEventListener('click', () => openNodeDetailPanel(row.dataset.nodeId));
+  });
+}
+
+function renderNodeDetailSyslog() {
+  document.getElementById('node-detail-syslog').innerHTML = nodeDetailSyslog.length > 0
+    ? renderSyslogRows(nodeDetailSyslog, false)
+    : '<div class="status-text">No syslog messages from this node</div>';
+}
+
 // ============================================
 // Utilities
 // ============================================
 
 function escapeHtml(s) {
-  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
 function togglePanel(id) {
@@ -3281,29 +5719,6 @@ function toastInfo(title, message) { return showToast('info', title, message); }
 // Input Validation
 // ============================================
 
-function isValidIP(ip) {
-  if (!ip) return false;
-  const parts = ip.split('.');
-  if (parts.length !== 4) return false;
-  return parts.every(part => {
-    const num = parseInt(part, 10);
-    return !isNaN(num) && num >= 0 && num <= 255 && part === num.toString();
-  });
-}
-
-function isValidHostname(hostname) {
-  if (!hostname) return false;
-  // Allow IP addresses and valid hostnames
-  if (isValidIP(hostname)) return true;
-  const hostnameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-  return hostnameRegex.test(hostname);
-}
-
-function isValidPort(port) {
-  const num = parseInt(port, 10);
-  return !isNaN(num) && num >= 1 && num <= 65535;
-}
-
 function validateNodeForm() {
   const name = document.getElementById('node-name').value.trim();
   const address = document.getElementById('node-address').value.trim();
@@ -3527,6 +5942,7 @@ function saveStateForUndo(actionName = 'Change') {
 }
 
 function undo() {
+  if (READ_ONLY) return;
   if (undoStack.length === 0) {
     toastWarning('Undo', 'Nothing to undo');
     return;
@@ -3557,6 +5973,7 @@ function undo() {
 }
 
 function redo() {
+  if (READ_ONLY) return;
   if (redoStack.length === 0) {
     toastWarning('Redo', 'Nothing to redo');
     return;
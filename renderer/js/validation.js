@@ -0,0 +1,281 @@
+// ============================================
+// Node Validation
+// ============================================
+//
+// Shared by the renderer (saveNode) and the REST API in main.js, so nodes
+// created through either path pass the same checks. Loaded as a plain script
+// in the renderer and with require() in the main process.
+
+const PROBE_TYPE_LABELS = {
+  icmp: 'Ping',
+  tcp: 'TCP',
+  http: 'HTTP',
+  https: 'HTTPS',
+  dns: 'DNS',
+  tls: 'TLS',
+  snmp: 'SNMP'
+};
+
+// How an SSH check's command output is judged (monitor.js evaluateSshCheck)
+const SSH_CHECK_EVALUATIONS = {
+  exit: 'Exit code',
+  regex: 'Output matches',
+  threshold: 'Number in output'
+};
+
+// Monitoring settings, global or per node: [field, label, min, max]
+const MONITORING_FIELDS = [
+  ['interval', 'Interval (ms)', 500, 3600000],
+  ['timeout', 'Timeout (ms)', 100, 60000],
+  ['retries', 'Retries', 0, 10],
+  ['failThreshold', 'Failures before DOWN', 1, 100],
+  ['recoverThreshold', 'Successes before UP', 1, 100],
+  ['burstCount', 'Probes per check', 1, 20],
+  ['degradedLatency', 'Latency before DEGRADED', 1, 60000],
+  ['degradedLoss', 'Loss before DEGRADED', 0, 100]
+];
+
+// Global-only scheduler settings
+const SCHEDULER_FIELDS = [
+  ['concurrency', 'Concurrent checks', 1, 500]
+];
+
+// History retention, stored in config.settings.history
+const HISTORY_FIELDS = [
+  ['rawRetentionDays', 'Raw history retention', 1, 90],
+  ['minuteRetentionDays', '1-minute history retention', 1, 365],
+  ['hourRetentionDays', '1-hour history retention', 1, 3650]
+];
+
+// Linux host metrics over SSH, stored in config.settings.hostMetrics
+const HOST_METRICS_FIELDS = [
+  ['interval', 'Host metrics interval (s)', 10, 3600],
+  ['warning', 'Host usage warning (%)', 1, 100],
+  ['critical', 'Host usage critical (%)', 1, 100]
+];
+
+function isValidIPv4(ip) {
+  if (!ip) return false;
+  const parts = ip.split('.');
+  if (parts.length !== 4) return false;
+  return parts.every(part => {
+    const num = parseInt(part, 10);
+    return !isNaN(num) && num >= 0 && num <= 255 && part === num.toString();
+  });
+}
+
+// Full, compressed (::) and IPv4-mapped forms, with an optional zone ID for
+// link-local addresses (fe80::1%eth0). Brackets are not part of the address.
+function isValidIPv6(ip) {
+  if (!ip || typeof ip !== 'string') return false;
+  const [address, zone, ...rest] = ip.split('%');
+  if (rest.length > 0 || (zone !== undefined && !/^[A-Za-z0-9_.-]+$/.test(zone))) return false;
+
+  // An IPv4 tail (::ffff:192.0.2.1) takes the place of the last two groups
+  let groups = address;
+  const tail = address.slice(address.lastIndexOf(':') + 1);
+  if (address.includes(':') && tail.includes('.')) {
+    if (!isValidIPv4(tail)) return false;
+    groups = address.slice(0, address.length - tail.length) + '0:0';
+  }
+
+  const halves = groups.split('::');
+  if (halves.length > 2) return false;
+  const parts = halves.flatMap(half => (half === '' ? [] : half.split(':')));
+  if (!parts.every(part => /^[0-9a-fA-F]{1,4}$/.test(part))) return false;
+  return halves.length === 2 ? parts.length < 8 : parts.length === 8;
+}
+
+function isValidIP(ip) {
+  return isValidIPv4(ip) || isValidIPv6(ip);
+}
+
+function isValidHostname(hostname) {
+  if (!hostname) return false;
+  // Allow IP addresses and valid hostnames
+  if (isValidIP(hostname)) return true;
+  const hostnameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+  return hostnameRegex.test(hostname);
+}
+
+function isValidPort(port) {
+  const num = parseInt(port, 10);
+  return !isNaN(num) && num >= 1 && num <= 65535;
+}
+
+// Returns an error message for the first invalid probe, or null
+function validateNodeProbes(probes) {
+  for (const probe of probes) {
+    const label = PROBE_TYPE_LABELS[probe.type] || probe.type;
+    if (!PROBE_TYPE_LABELS[probe.type]) {
+      return `Unknown check type: ${probe.type}`;
+    }
+    if (probe.port !== undefined && !isValidPort(probe.port)) {
+      return `${label} check port must be between 1 and 65535`;
+    }
+    if (probe.type === 'tcp' && !probe.port) {
+      return 'TCP check requires a port';
+    }
+    if (probe.type === 'dns' && !probe.query) {
+      return 'DNS check requires a query name';
+    }
+    if (probe.type === 'dns' && probe.resolver && !isValidHostname(probe.resolver)) {
+      return 'DNS check resolver must be an IP address or hostname';
+    }
+    if (probe.expectedStatus !== undefined && (isNaN(probe.expectedStatus) || probe.expectedStatus < 100 || probe.expectedStatus > 599)) {
+      return `${label} expected status must be between 100 and 599`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message for the first invalid SSH check, or null
+function validateSshChecks(checks) {
+  const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+  const isUnset = (value) => value === undefined || value === null;
+
+  for (const check of checks) {
+    const label = check.name ? `SSH check "${check.name}"` : 'SSH check';
+    if (!check.command || !String(check.command).trim()) {
+      return `${label} requires a command`;
+    }
+    if (!SSH_CHECK_EVALUATIONS[check.evaluate]) {
+      return `${label} has an unknown evaluation: ${check.evaluate}`;
+    }
+    if (check.evaluate === 'regex' && !check.pattern) {
+      return `${label} requires a pattern`;
+    }
+    if (check.pattern) {
+      try {
+        new RegExp(check.pattern);
+      } catch (e) {
+        return `${label} pattern is not a valid regular expression`;
+      }
+    }
+    if (check.evaluate === 'threshold') {
+      if (![check.warning, check.critical].every(value => isUnset(value) || isNumber(value))) {
+        return `${label} thresholds must be numbers`;
+      }
+      if (isUnset(check.warning) && isUnset(check.critical)) {
+        return `${label} requires a warning or critical threshold`;
+      }
+    }
+    if (!isUnset(check.interval) && (!isNumber(check.interval) || check.interval < 10 || check.interval > 86400)) {
+      return `${label} interval must be between 10 and 86400 seconds`;
+    }
+    if (!isUnset(check.timeout) && (!isNumber(check.timeout) || check.timeout < 1 || check.timeout > 300)) {
+      return `${label} timeout must be between 1 and 300 seconds`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message for invalid node.snmp settings, or null
+function validateSnmpSettings(snmp) {
+  if (snmp.version !== '2c' && snmp.version !== '3') {
+    return 'SNMP version must be 2c or 3';
+  }
+  if (snmp.port !== undefined && !isValidPort(snmp.port)) {
+    return 'SNMP port must be between 1 and 65535';
+  }
+  if (snmp.version === '2c') return null;
+
+  if (!snmp.username) {
+    return 'SNMP v3 requires a username';
+  }
+  if (snmp.securityLevel !== 'noAuthNoPriv' && (snmp.authKey || '').length < 8) {
+    return 'SNMP v3 auth key must be at least 8 characters';
+  }
+  if (snmp.securityLevel === 'authPriv' && (snmp.privKey || '').length < 8) {
+    return 'SNMP v3 privacy key must be at least 8 characters';
+  }
+  return null;
+}
+
+// Returns an error message for the first value outside its range, or null
+function validateMonitoringValues(values, fields = MONITORING_FIELDS) {
+  for (const [field, label, min, max] of fields) {
+    const value = values[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || isNaN(value) || value < min || value > max) {
+      return `${label} must be between ${min} and ${max}`;
+    }
+  }
+  return null;
+}
+
+// Returns { field, message } for the first problem with a node, or null
+function validateNode(node) {
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  if (!node.name || !String(node.name).trim()) {
+    return { field: 'name', message: 'Node name is required' };
+  }
+  if (node.address && (typeof node.address !== 'string' || !isValidHostname(node.address))) {
+    return { field: 'address', message: 'Invalid IP address or hostname' };
+  }
+  if (isSet(node.port) && !isValidPort(node.port)) {
+    return { field: 'port', message: 'Port must be between 1 and 65535' };
+  }
+  if (isSet(node.sshPort) && !isValidPort(node.sshPort)) {
+    return { field: 'sshPort', message: 'SSH port must be between 1 and 65535' };
+  }
+
+  const probes = node.probes || [];
+  if (!Array.isArray(probes)) {
+    return { field: 'probes', message: 'Checks must be a list' };
+  }
+  const probeError = validateNodeProbes(probes);
+  if (probeError) {
+    return { field: 'probes', message: probeError };
+  }
+
+  if (node.snmp) {
+    const snmpError = validateSnmpSettings(node.snmp);
+    if (snmpError) return { field: 'snmp', message: snmpError };
+  } else if (probes.some(p => p.type === 'snmp')) {
+    return { field: 'snmp', message: 'SNMP check requires SNMP settings' };
+  }
+
+  const sshChecks = node.sshChecks || [];
+  if (!Array.isArray(sshChecks)) {
+    return { field: 'sshChecks', message: 'SSH checks must be a list' };
+  }
+  if (sshChecks.length > 0 && (!node.address || !node.sshUser)) {
+    return { field: 'sshChecks', message: 'SSH checks require an address and an SSH username' };
+  }
+  if (node.sshMetrics && (!node.address || !node.sshUser)) {
+    return { field: 'sshMetrics', message: 'Host metrics require an address and an SSH username' };
+  }
+  const sshCheckError = validateSshChecks(sshChecks);
+  if (sshCheckError) {
+    return { field: 'sshChecks', message: sshCheckError };
+  }
+
+  if (node.monitoring) {
+    const monitoringError = validateMonitoringValues(node.monitoring);
+    if (monitoringError) return { field: 'monitoring', message: monitoringError };
+  }
+  return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROBE_TYPE_LABELS,
+    SSH_CHECK_EVALUATIONS,
+    MONITORING_FIELDS,
+    SCHEDULER_FIELDS,
+    HISTORY_FIELDS,
+    HOST_METRICS_FIELDS,
+    isValidIPv4,
+    isValidIPv6,
+    isValidIP,
+    isValidHostname,
+    isValidPort,
+    validateNodeProbes,
+    validateSshChecks,
+    validateSnmpSettings,
+    validateMonitoringValues,
+    validateNode
+  };
+}
@@ -0,0 +1,141 @@
+// ============================================
+// Read-only Viewer
+// ============================================
+//
+// Stands in for preload.js when the topology is opened in a browser from the
+// app's built-in viewer (viewer.js). The config comes from /viewer/config and
+// the live status from the /viewer/stream WebSocket; anything that would
+// change the config or reach into the network is refused.
+
+(function () {
+  const RECONNECT_DELAY = 3000;
+
+  const listeners = { status: [], failover: [], syslog: [], config: [] };
+  let socket = null;
+  let wasConnected = false;
+
+  function connect() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    socket = new WebSocket(`${protocol}//${window.location.host}/viewer/stream`);
+
+    socket.onopen = () => {
+      // Changes saved while disconnected were missed
+      if (wasConnected) listeners.config.forEach(callback => callback());
+      wasConnected = true;
+    };
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      (listeners[message.type] || []).forEach(callback => callback(message.data));
+    };
+    socket.onclose = () => {
+      setTimeout(connect, RECONNECT_DELAY);
+    };
+  }
+
+  // Connects once app.js registers its first listener, so no status is missed
+  function subscribe(type) {
+    return (callback) => {
+      listeners[type].push(callback);
+      if (!socket) connect();
+      return () => {
+        listeners[type] = listeners[type].filter(cb => cb !== callback);
+      };
+    };
+  }
+
+  const refuse = () => Promise.resolve({ success: false, error: 'The viewer is read-only' });
+  const ignore = () => () => {};
+
+  async function getJson(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+    return res.json();
+  }
+
+  function toQuery(values) {
+    const params = new URLSearchParams();
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) params.set(key, value);
+    });
+    return params;
+  }
+
+  window.electronAPI = {
+    config: {
+      load: () => getJson('viewer/config'),
+      save: refuse,
+      export: refuse,
+      import: refuse,
+      onChanged: subscribe('config')
+    },
+
+    ssh: {
+      connect: refuse,
+      write: refuse,
+      resize: refuse,
+      disconnect: refuse,
+      browseKey: refuse,
+      onData: ignore,
+      onClosed: ignore
+    },
+
+    network: {
+      getLocalInfo: refuse,
+      ping: refuse,
+      portCheck: refuse,
+      scan: refuse,
+      arp: refuse,
+      ndp: refuse,
+      resolve: refuse,
+      traceroute: refuse,
+      onScanProgress: ignore
+    },
+
+    // The app monitors; the viewer only listens
+    monitor: {
+      start: () => Promise.resolve({ success: true }),
+      stop: () => Promise.resolve({ success: true }),
+      onStatus: subscribe('status'),
+      onFailover: subscribe('failover')
+    },
+
+    history: {
+      query: (nodeId, from, to, resolution) => {
+        const params = toQuery({ nodeId, from, to, resolution });
+        return getJson(`viewer/history?${params}`).catch(error => ({ success: false, error: error.message }));
+      }
+    },
+
+    syslog: {
+      query: (query) => {
+        const params = toQuery(query || {});
+        return getJson(`viewer/syslog?${params}`).catch(error => ({ success: false, error: error.message }));
+      },
+      onMessage: subscribe('syslog')
+    },
+
+    report: {
+      generate: refuse,
+      export: refuse
+    },
+
+    alerts: {
+      test: refuse
+    },
+
+    tray: {
+      onFocusNode: ignore,
+      onBackgroundChanged: ignore
+    },
+
+    window: {
+      minimize: refuse,
+      maximize: refuse,
+      close: refuse
+    },
+
+    platform: 'browser',
+    isElectron: false,
+    readOnly: true
+  };
+})();
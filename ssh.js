@@ -0,0 +1,108 @@
+// SSH connection settings shared by the terminal (ssh:connect in main.js) and
+// the monitor's SSH checks, and a non-interactive exec session for the checks.
+
+const fs = require('fs');
+const { Client } = require('ssh2');
+
+const SSH_READY_TIMEOUT = 10000;
+const MAX_EXEC_OUTPUT = 64 * 1024;
+
+// info = { host, port, username, password, privateKeyPath, passphrase }.
+// A private key takes precedence over the password. Throws when the key file
+// cannot be read.
+function buildSshConfig(info) {
+  const connectConfig = {
+    host: info.host,
+    port: info.port || 22,
+    username: info.username,
+    readyTimeout: SSH_READY_TIMEOUT
+  };
+
+  if (info.privateKeyPath) {
+    try {
+      connectConfig.privateKey = fs.readFileSync(info.privateKeyPath);
+    } catch (keyError) {
+      throw new Error(`Failed to read private key: ${keyError.message}`);
+    }
+    if (info.passphrase) {
+      connectConfig.passphrase = info.passphrase;
+    }
+  } else if (info.password) {
+    connectConfig.password = info.password;
+  }
+  return connectConfig;
+}
+
+// The credentials stored on a node (sshPort, sshUser, sshPass, sshKeyPath, sshPassphrase)
+function getNodeSshInfo(node) {
+  return {
+    host: node.address,
+    port: node.sshPort || 22,
+    username: node.sshUser,
+    password: node.sshPass,
+    privateKeyPath: node.sshKeyPath,
+    passphrase: node.sshPassphrase
+  };
+}
+
+// Runs the commands one after another over a single connection, without a
+// pty. Resolves to [{ code, signal, stdout, stderr }] in command order; rejects
+// when the connection fails or everything takes longer than `timeout`.
+function sshExec(info, commands, { timeout = 15000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const conn = new Client();
+    const results = [];
+    let done = false;
+
+    const finish = (error) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      conn.end();
+      if (error) reject(error);
+      else resolve(results);
+    };
+    const timer = setTimeout(() => finish(new Error(`SSH command timed out after ${timeout} ms`)), timeout);
+
+    const runNext = () => {
+      if (results.length === commands.length) {
+        finish();
+        return;
+      }
+      conn.exec(commands[results.length], (err, stream) => {
+        if (err) {
+          finish(err);
+          return;
+        }
+        let stdout = '';
+        let stderr = '';
+        stream.on('data', (data) => {
+          if (stdout.length < MAX_EXEC_OUTPUT) stdout += data.toString();
+        });
+        stream.stderr.on('data', (data) => {
+          if (stderr.length < MAX_EXEC_OUTPUT) stderr += data.toString();
+        });
+        stream.on('close', (code, signal) => {
+          results.push({ code: typeof code === 'number' ? code : null, signal: signal || null, stdout, stderr });
+          runNext();
+        });
+      });
+    };
+
+    conn.on('ready', runNext);
+    conn.on('error', finish);
+    conn.on('close', () => finish(new Error('SSH connection closed')));
+
+    try {
+      conn.connect(buildSshConfig(info));
+    } catch (error) {
+      finish(error);
+    }
+  });
+}
+
+module.exports = {
+  buildSshConfig,
+  getNodeSshInfo,
+  sshExec
+};
@@ -0,0 +1,445 @@
+// Syslog receiver: accepts RFC 3164 and RFC 5424 messages over UDP and TCP,
+// matches them to nodes by source address and stores them next to the
+// monitoring history. Critical messages are reported to the monitor, where
+// they can mark the node DEGRADED and fire "syslog" alert rules. Used by
+// main.js and monitor-cli.js.
+//
+// Messages are kept in daily JSONL files, history/syslog/<YYYY-MM-DD>.jsonl,
+// one line per message: { time, nodeId, source, facility, severity, hostname,
+// app, message }. SNMP traps (traps.js) are stored here too, with app
+// "snmptrap" and an extra trap field.
+
+const net = require('net');
+const dgram = require('dgram');
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { getHistoryPath, reportCriticalEvent } = require('./monitor');
+
+const SYSLOG_DEFAULTS = {
+  enabled: false,
+  host: '0.0.0.0',
+  port: 514,
+  protocol: 'both',       // 'udp', 'tcp' or 'both'
+  markDegraded: false,    // Critical messages mark an UP node DEGRADED
+  holdMinutes: 15         // How long a critical message keeps the node degraded / the alert firing
+};
+
+const SYSLOG_SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+// emerg, alert and crit
+const CRITICAL_SEVERITY = 2;
+
+const SYSLOG_RETENTION_DAYS = 30;
+const SYSLOG_FLUSH_INTERVAL = 2000;
+const SYSLOG_PRUNE_INTERVAL = 3600000;
+const MAX_MESSAGE_LENGTH = 2048;
+// A TCP client that sends this much without a complete frame is dropped
+const MAX_TCP_BUFFER = 65536;
+
+// 'message' with every stored message
+const syslogEvents = new EventEmitter();
+
+let udpSocket = null;
+let tcpServer = null;
+let syslogServerKey = null;
+let syslogOptions = { ...SYSLOG_DEFAULTS };
+
+// Normalized address -> node id, rebuilt whenever the config changes
+let nodesByAddress = new Map();
+// Lower-cased node name or address -> node id, for relayed messages
+let nodesByHostname = new Map();
+let addressIndexVersion = 0;
+
+let syslogBuffer = [];
+let syslogFlushTimer = null;
+let syslogPruneTimer = null;
+let syslogDirReady = false;
+
+// ============================================
+// Parsing
+// ============================================
+
+const RFC5424_PATTERN = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]\\]|\\.)*\])+)(?: ([\s\S]*))?$/;
+const RFC3164_PATTERN = /^<(\d{1,3})>([A-Z][a-z]{2} [ \d]\d \d\d:\d\d:\d\d) (\S+) ([\s\S]*)$/;
+const RFC3164_TAG_PATTERN = /^([^:[\s]{1,48})(?:\[[^\]]*\])?: ?([\s\S]*)$/;
+const PRI_PATTERN = /^<(\d{1,3})>([\s\S]*)$/;
+
+const nilValue = (value) => (value === '-' ? null : value);
+
+// Returns { facility, severity, hostname, app, message }. Anything that does
+// not follow either RFC is kept whole as the message, with the default
+// priority user.notice when even <PRI> is missing (RFC 3164 section 4.3.3).
+function parseSyslogMessage(raw) {
+  const text = raw.replace(/[\r\n\0]+$/, '');
+  let pri = 13;
+  let hostname = null;
+  let app = null;
+  let message = text;
+
+  const rfc5424 = text.match(RFC5424_PATTERN);
+  const rfc3164 = !rfc5424 && text.match(RFC3164_PATTERN);
+  const bare = !rfc5424 && !rfc3164 && text.match(PRI_PATTERN);
+
+  if (rfc5424) {
+    pri = Number(rfc5424[1]);
+    hostname = nilValue(rfc5424[4]);
+    app = nilValue(rfc5424[5]);
+    message = (rfc5424[9] || '').replace(/^\uFEFF/, '');
+  } else if (rfc3164) {
+    pri = Number(rfc3164[1]);
+    hostname = rfc3164[3];
+    const tagged = rfc3164[4].match(RFC3164_TAG_PATTERN);
+    app = tagged ? tagged[1] : null;
+    message = tagged ? tagged[2] : rfc3164[4];
+  } else if (bare) {
+    pri = Number(bare[1]);
+    message = bare[2];
+  }
+
+  if (pri > 191) pri = 13;
+  return {
+    facility: pri >> 3,
+    severity: pri % 8,
+    hostname,
+    app,
+    message: message.trim().slice(0, MAX_MESSAGE_LENGTH)
+  };
+}
+
+// Octet-counted frames (RFC 6587 3.4.1) or one message per line / NUL byte.
+// A count is only taken as one when the message after it starts with "<", so
+// a line that happens to begin with a number is not read as a frame length.
+// Returns the complete frames and leaves the rest in state.buffer.
+function splitTcpFrames(state) {
+  const frames = [];
+  for (;;) {
+    const counted = state.buffer.match(/^(\d{1,5}) (?=<)/);
+    if (counted) {
+      const length = Number(counted[1]);
+      const start = counted[0].length;
+      if (Buffer.byteLength(state.buffer, 'utf8') < start + length) break;
+      // Lengths count octets, the buffer holds characters
+      const bytes = Buffer.from(state.buffer.slice(start), 'utf8');
+      frames.push(bytes.subarray(0, length).toString('utf8'));
+      state.buffer = bytes.subarray(length).toString('utf8').replace(/^[\r\n]+/, '');
+      continue;
+    }
+    const end = state.buffer.search(/[\n\0]/);
+    if (end === -1) break;
+    frames.push(state.buffer.slice(0, end));
+    state.buffer = state.buffer.slice(end + 1);
+  }
+  return frames.filter(frame => frame.trim());
+}
+
+// ============================================
+// Node Matching
+// ============================================
+
+// ::ffff:192.0.2.1 from dual-stack sockets and zone IDs compare as the plain address
+function normalizeAddress(address) {
+  const plain = String(address || '').toLowerCase().replace(/%.*$/, '');
+  return plain.startsWith('::ffff:') && net.isIPv4(plain.slice(7)) ? plain.slice(7) : plain;
+}
+
+// Containers have no address of their own, so only monitored nodes are indexed.
+// Hostnames are resolved once per config change.
+function setSyslogNodes(nodes) {
+  const version = ++addressIndexVersion;
+  const byAddress = new Map();
+  const byHostname = new Map();
+
+  (nodes || []).filter(n => !n.isContainer && n.address).forEach(node => {
+    if (!byAddress.has(normalizeAddress(node.address))) byAddress.set(normalizeAddress(node.address), node.id);
+    [node.address, node.name].filter(Boolean).forEach(name => {
+      if (!byHostname.has(String(name).toLowerCase())) byHostname.set(String(name).toLowerCase(), node.id);
+    });
+
+    if (net.isIP(node.address.replace(/%.*$/, ''))) return;
+    dns.lookup(node.address, { all: true }, (error, addresses) => {
+      if (error || version !== addressIndexVersion) return;
+      addresses.forEach(({ address }) => {
+        if (!nodesByAddress.has(normalizeAddress(address))) nodesByAddress.set(normalizeAddress(address), node.id);
+      });
+    });
+  });
+
+  nodesByAddress = byAddress;
+  nodesByHostname = byHostname;
+}
+
+// By source address; messages forwarded by a relay are matched by the
+// HOSTNAME they carry instead
+function matchSyslogNode(source, hostname) {
+  return nodesByAddress.get(normalizeAddress(source)) ||
+    (hostname && nodesByHostname.get(hostname.toLowerCase())) ||
+    null;
+}
+
+// ============================================
+// Storage
+// ============================================
+
+function getSyslogDir() {
+  const historyPath = getHistoryPath();
+  return historyPath ? path.join(historyPath, 'syslog') : null;
+}
+
+function getSyslogFile(time) {
+  return path.join(getSyslogDir(), `${new Date(time).toISOString().slice(0, 10)}.jsonl`);
+}
+
+async function flushSyslog() {
+  const pending = syslogBuffer;
+  syslogBuffer = [];
+  const byFile = new Map();
+  pending.forEach(event => {
+    const file = getSyslogFile(event.time);
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(JSON.stringify(event));
+  });
+
+  for (const [file, lines] of byFile) {
+    try {
+      if (!syslogDirReady) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        syslogDirReady = true;
+      }
+      await fs.promises.appendFile(file, lines.join('\n') + '\n');
+    } catch (error) {
+      console.error('Failed to write syslog messages:', error);
+    }
+  }
+}
+
+// Used on quit
+function flushSyslogSync() {
+  if (!getSyslogDir()) return;
+  syslogBuffer.forEach(event => {
+    try {
+      fs.mkdirSync(getSyslogDir(), { recursive: true });
+      fs.appendFileSync(getSyslogFile(event.time), JSON.stringify(event) + '\n');
+    } catch (error) {
+      console.error('Failed to write syslog messages:', error);
+    }
+  });
+  syslogBuffer = [];
+}
+
+async function pruneSyslog() {
+  const dir = getSyslogDir();
+  if (!dir) return;
+  const cutoff = new Date(Date.now() - SYSLOG_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+  const files = await fs.promises.readdir(dir).catch(() => []);
+  for (const file of files) {
+    if (file.replace(/\.jsonl$/, '') < cutoff) {
+      await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+    }
+  }
+}
+
+function startSyslogTimers() {
+  if (!syslogFlushTimer) syslogFlushTimer = setInterval(flushSyslog, SYSLOG_FLUSH_INTERVAL);
+  if (!syslogPruneTimer) {
+    pruneSyslog();
+    syslogPruneTimer = setInterval(pruneSyslog, SYSLOG_PRUNE_INTERVAL);
+  }
+}
+
+function stopSyslogTimers() {
+  clearInterval(syslogFlushTimer);
+  clearInterval(syslogPruneTimer);
+  syslogFlushTimer = null;
+  syslogPruneTimer = null;
+}
+
+// Stores and emits a message. Also used by the SNMP trap receiver (traps.js),
+// whose traps are listed with the syslog messages.
+function recordSyslogEvent(event) {
+  if (getSyslogDir()) {
+    syslogBuffer.push(event);
+    startSyslogTimers();
+  }
+  syslogEvents.emit('message', event);
+}
+
+function handleSyslogMessage(raw, source) {
+  const event = {
+    time: Date.now(),
+    nodeId: null,
+    source: normalizeAddress(source),
+    ...parseSyslogMessage(raw)
+  };
+  event.nodeId = matchSyslogNode(event.source, event.hostname);
+  recordSyslogEvent(event);
+
+  if (event.nodeId && event.severity <= CRITICAL_SEVERITY) {
+    reportCriticalEvent(event.nodeId, {
+      source: 'syslog',
+      severity: SYSLOG_SEVERITIES[event.severity],
+      message: event.message,
+      time: event.time,
+      until: event.time + Number(syslogOptions.holdMinutes) * 60000,
+      degrade: !!syslogOptions.markDegraded
+    });
+  }
+}
+
+// Newest first. `severity` is the least severe level to include (0-7),
+// `search` matches message, app, hostname and source address.
+async function querySyslogEvents({ nodeId, search, severity, from, to, limit = 200 } = {}) {
+  const end = to || Date.now();
+  const start = from || end - SYSLOG_RETENTION_DAYS * 86400000;
+  const maxSeverity = severity !== undefined && severity !== null && severity !== '' ? Number(severity) : 7;
+  const needle = search ? String(search).toLowerCase() : null;
+  const max = Math.min(Math.max(Number(limit) || 200, 1), 5000);
+
+  const matches = (event) => event.time >= start && event.time <= end &&
+    event.severity <= maxSeverity &&
+    (!nodeId || event.nodeId === nodeId) &&
+    (!needle || [event.message, event.app, event.hostname, event.source]
+      .some(value => value && value.toLowerCase().includes(needle)));
+
+  const dir = getSyslogDir();
+  if (!dir) return { events: [] };
+  await flushSyslog();
+
+  const first = new Date(start).toISOString().slice(0, 10);
+  const last = new Date(end).toISOString().slice(0, 10);
+  const files = (await fs.promises.readdir(dir).catch(() => []))
+    .filter(file => file.endsWith('.jsonl'))
+    .filter(file => file.slice(0, 10) >= first && file.slice(0, 10) <= last)
+    .sort()
+    .reverse();
+
+  const events = [];
+  for (const file of files) {
+    const data = await fs.promises.readFile(path.join(dir, file), 'utf8').catch(() => '');
+    const dayEvents = [];
+    data.split('\n').forEach(line => {
+      if (!line) return;
+      try {
+        const event = JSON.parse(line);
+        if (matches(event)) dayEvents.push(event);
+      } catch (e) {
+        // Ignore a partially written line
+      }
+    });
+    events.push(...dayEvents.reverse());
+    if (events.length >= max) break;
+  }
+
+  return { events: events.slice(0, max) };
+}
+
+// ============================================
+// Server
+// ============================================
+
+function stopSyslogServer() {
+  if (udpSocket) {
+    try {
+      udpSocket.close();
+    } catch (e) {
+      // Never bound
+    }
+  }
+  if (tcpServer) tcpServer.close();
+  udpSocket = null;
+  tcpServer = null;
+  syslogServerKey = null;
+  stopSyslogTimers();
+  flushSyslogSync();
+}
+
+function listenUdp(options, key) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(options.host) ? 'udp6' : 'udp4');
+    socket.on('message', (message, rinfo) => handleSyslogMessage(message.toString('utf8'), rinfo.address));
+    socket.once('error', (error) => reject(new Error(`Syslog receiver cannot listen on udp ${key}: ${error.message}`)));
+    socket.bind(Number(options.port), options.host, () => {
+      socket.removeAllListeners('error');
+      socket.on('error', (error) => console.error('Syslog receiver error:', error.message));
+      resolve();
+    });
+    udpSocket = socket;
+  });
+}
+
+function listenTcp(options, key) {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer((client) => {
+      const state = { buffer: '' };
+      client.setEncoding('utf8');
+      client.on('data', (chunk) => {
+        state.buffer += chunk;
+        splitTcpFrames(state).forEach(frame => handleSyslogMessage(frame, client.remoteAddress));
+        if (state.buffer.length > MAX_TCP_BUFFER) client.destroy();
+      });
+      client.on('end', () => {
+        if (state.buffer.trim()) handleSyslogMessage(state.buffer, client.remoteAddress);
+      });
+      client.on('error', () => {});
+    });
+    server.once('error', (error) => reject(new Error(`Syslog receiver cannot listen on tcp ${key}: ${error.message}`)));
+    server.listen(Number(options.port), options.host, () => {
+      server.removeAllListeners('error');
+      // Accept failures (e.g. out of file descriptors) end the TCP receiver;
+      // the next configuration change starts it again
+      server.on('error', (error) => {
+        console.error('Syslog receiver error:', error.message);
+        server.close();
+        if (tcpServer === server) syslogServerKey = null;
+      });
+      resolve();
+    });
+    tcpServer = server;
+  });
+}
+
+// Starts, restarts or stops the receiver for config.settings.syslog and
+// matches messages against `nodes` from then on.
+// Resolves once listening; rejects when the address cannot be bound.
+function configureSyslogServer(settings, nodes) {
+  const options = { ...SYSLOG_DEFAULTS, ...(settings || {}) };
+  syslogOptions = options;
+  setSyslogNodes(nodes);
+  if (!options.enabled) {
+    stopSyslogServer();
+    return Promise.resolve();
+  }
+
+  const address = net.isIPv6(options.host) ? `[${options.host}]:${options.port}` : `${options.host}:${options.port}`;
+  const key = `${options.protocol} ${address}`;
+  if (syslogServerKey === key) return Promise.resolve();
+  stopSyslogServer();
+  syslogServerKey = key;
+
+  const listeners = [];
+  if (options.protocol !== 'tcp') listeners.push(listenUdp(options, address));
+  if (options.protocol !== 'udp') listeners.push(listenTcp(options, address));
+
+  return Promise.all(listeners).then(() => {
+    console.log(`Syslog receiver listening on ${options.protocol === 'both' ? 'udp/tcp' : options.protocol} ${address}`);
+  }, (error) => {
+    if (syslogServerKey === key) stopSyslogServer();
+    throw error;
+  });
+}
+
+module.exports = {
+  SYSLOG_DEFAULTS,
+  SYSLOG_SEVERITIES,
+  syslogEvents,
+  parseSyslogMessage,
+  splitTcpFrames,
+  normalizeAddress,
+  matchSyslogNode,
+  recordSyslogEvent,
+  configureSyslogServer,
+  stopSyslogServer,
+  querySyslogEvents,
+  flushSyslogSync
+};
@@ -0,0 +1,11 @@
+// Shared by the test files. Fixtures are command output kept exactly as the
+// command printed it, line endings included, in test/fixtures/<topic>/.
+
+const fs = require('fs');
+const path = require('path');
+
+function readFixture(topic, name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', topic, name), 'utf8');
+}
+
+module.exports = { readFixture };
@@ -0,0 +1,46 @@
+// HOST_METRICS_COMMAND output from a Debian host, a CentOS 6 kernel without
+// MemAvailable and a container where df fails.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseHostMetrics, getHostMetricsState } = require('../monitor');
+const { readFixture } = require('./helpers');
+
+const KB = 1024;
+
+test('parseHostMetrics reads load, memory, disk and uptime', () => {
+  assert.deepStrictEqual(parseHostMetrics(readFixture('host-metrics', 'debian.txt')), {
+    cpu: { load1: 0.52, load5: 0.58, load15: 0.59, cores: 4, percent: 13 },
+    memory: { total: 8038840 * KB, used: (8038840 - 3974352) * KB, percent: 50.56 },
+    disk: { mount: '/', total: 61611820 * KB, used: 44530988 * KB, percent: 77 },
+    uptime: 354912
+  });
+});
+
+test('parseHostMetrics falls back to MemFree on kernels without MemAvailable', () => {
+  const metrics = parseHostMetrics(readFixture('host-metrics', 'centos6.txt'));
+  assert.deepStrictEqual(metrics.memory, { total: 2054848 * KB, used: 1027424 * KB, percent: 50 });
+  // Load above the core count
+  assert.strictEqual(metrics.cpu.percent, 155);
+  assert.strictEqual(metrics.disk.percent, 100);
+});
+
+test('parseHostMetrics leaves out the disk when df fails', () => {
+  const metrics = parseHostMetrics(readFixture('host-metrics', 'container.txt'));
+  assert.strictEqual(metrics.disk, null);
+  assert.strictEqual(metrics.memory.percent, 12.5);
+  assert.strictEqual(metrics.uptime, 1203);
+});
+
+test('parseHostMetrics rejects the output of non-Linux hosts', () => {
+  assert.throws(() => parseHostMetrics(readFixture('host-metrics', 'macos.txt')), /not a Linux host/);
+  assert.throws(() => parseHostMetrics(''), /not a Linux host/);
+});
+
+test('getHostMetricsState reports the worst usage', () => {
+  const settings = { warning: 80, critical: 90 };
+  assert.strictEqual(getHostMetricsState(parseHostMetrics(readFixture('host-metrics', 'debian.txt')), settings), 'ok');
+  assert.strictEqual(getHostMetricsState(parseHostMetrics(readFixture('host-metrics', 'centos6.txt')), settings), 'critical');
+  assert.strictEqual(getHostMetricsState(parseHostMetrics(readFixture('host-metrics', 'debian.txt')), { warning: 50, critical: 90 }), 'warning');
+  assert.strictEqual(getHostMetricsState(parseHostMetrics(readFixture('host-metrics', 'container.txt')), { warning: 10, critical: 12.5 }), 'critical');
+});
@@ -0,0 +1,91 @@
+// Cron schedules of maintenance windows (monitor.js). Dates are built in local
+// time, as the schedules are evaluated in local time.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, cronMatches, getMaintenanceEnd } = require('../monitor');
+
+// 2026-01-05 is a Monday
+const at = (day, hour, minute) => new Date(2026, 0, day, hour, minute);
+
+test('parseCron expands lists, ranges and steps', () => {
+  const cron = parseCron('*/15 8-17 1,15 * 1-5/2');
+  assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hour], [8, 9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepStrictEqual([...cron.day], [1, 15]);
+  assert.strictEqual(cron.month.size, 12);
+  assert.deepStrictEqual([...cron.weekday], [1, 3, 5]);
+  assert.strictEqual(cron.anyDay, false);
+  assert.strictEqual(cron.anyWeekday, false);
+});
+
+test('parseCron treats weekday 7 as Sunday', () => {
+  assert.ok(parseCron('0 3 * * 7').weekday.has(0));
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 3 * *'), /needs 5 fields/);
+  assert.throws(() => parseCron(''), /needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid cron field "60"/);
+  assert.throws(() => parseCron('0 17-8 * * *'), /Invalid cron field "17-8"/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron field/);
+  assert.throws(() => parseCron('0 3 * JAN *'), /Invalid cron field "JAN"/);
+});
+
+test('cronMatches checks minute, hour and month', () => {
+  const cron = parseCron('30 2 * 1 *');
+  assert.strictEqual(cronMatches(cron, at(5, 2, 30)), true);
+  assert.strictEqual(cronMatches(cron, at(5, 2, 31)), false);
+  assert.strictEqual(cronMatches(cron, at(5, 3, 30)), false);
+  assert.strictEqual(cronMatches(cron, new Date(2026, 1, 5, 2, 30)), false);
+});
+
+test('cronMatches accepts either day field when both are restricted', () => {
+  const cron = parseCron('0 0 1 * 1');
+  assert.strictEqual(cronMatches(cron, at(1, 0, 0)), true); // 1st, a Thursday
+  assert.strictEqual(cronMatches(cron, at(5, 0, 0)), true); // Monday the 5th
+  assert.strictEqual(cronMatches(cron, at(6, 0, 0)), false);
+});
+
+test('cronMatches needs the weekday when only the weekday is restricted', () => {
+  const cron = parseCron('0 22 * * 6,0');
+  assert.strictEqual(cronMatches(cron, at(10, 22, 0)), true); // Saturday
+  assert.strictEqual(cronMatches(cron, at(11, 22, 0)), true); // Sunday
+  assert.strictEqual(cronMatches(cron, at(12, 22, 0)), false);
+});
+
+test('getMaintenanceEnd finds the occurrence of a cron window covering now', () => {
+  const entry = { schedule: { type: 'cron', cron: '0 2 * * 0', duration: 120 } };
+  assert.strictEqual(getMaintenanceEnd(entry, at(11, 2, 0).getTime()), at(11, 4, 0).getTime());
+  assert.strictEqual(getMaintenanceEnd(entry, at(11, 3, 59).getTime()), at(11, 4, 0).getTime());
+  assert.strictEqual(getMaintenanceEnd(entry, at(11, 4, 0).getTime()), null);
+  assert.strictEqual(getMaintenanceEnd(entry, at(11, 1, 59).getTime()), null);
+});
+
+test('getMaintenanceEnd reaches back across days and months for long windows', () => {
+  const weekly = { schedule: { type: 'cron', cron: '30 23 * * 5', duration: 7 * 24 * 60 } };
+  // Friday the 2nd at 23:30 started the window still running on Thursday the 8th
+  assert.strictEqual(getMaintenanceEnd(weekly, at(8, 12, 0).getTime()), at(9, 23, 30).getTime());
+  const monthEnd = { schedule: { type: 'cron', cron: '0 22 31 12 *', duration: 3 * 24 * 60 } };
+  assert.strictEqual(getMaintenanceEnd(monthEnd, at(2, 8, 15).getTime()), at(3, 22, 0).getTime());
+  assert.strictEqual(getMaintenanceEnd(monthEnd, at(3, 22, 0).getTime()), null);
+});
+
+test('getMaintenanceEnd re-parses a window whose cron changed', () => {
+  const entry = { schedule: { type: 'cron', cron: '0 2 * * 0', duration: 60 } };
+  assert.strictEqual(getMaintenanceEnd(entry, at(11, 2, 30).getTime()), at(11, 3, 0).getTime());
+  entry.schedule.cron = '0 2 * * 1';
+  assert.strictEqual(getMaintenanceEnd(entry, at(11, 2, 30).getTime()), null);
+  assert.strictEqual(getMaintenanceEnd(entry, at(12, 2, 30).getTime()), at(12, 3, 0).getTime());
+  entry.schedule.cron = '0 2 * *';
+  assert.throws(() => getMaintenanceEnd(entry, at(12, 2, 30).getTime()), /needs 5 fields/);
+});
+
+test('getMaintenanceEnd handles one-off windows', () => {
+  const start = at(5, 9, 0).getTime();
+  const end = at(5, 10, 0).getTime();
+  const entry = { schedule: { type: 'once', start, end } };
+  assert.strictEqual(getMaintenanceEnd(entry, start), end);
+  assert.strictEqual(getMaintenanceEnd(entry, end), null);
+  assert.strictEqual(getMaintenanceEnd({ schedule: {} }, start), null);
+});
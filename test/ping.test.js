@@ -0,0 +1,68 @@
+// Reply times picked from ping output of Linux (iputils), macOS and Windows,
+// and the burst statistics built from them.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePingTimes, summarizeSamples, pingHost } = require('../monitor');
+const { readFixture } = require('./helpers');
+
+test('parsePingTimes reads Linux replies and skips the rtt summary', () => {
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'linux.txt')), [0.412, 0.389, 1.02]);
+});
+
+test('parsePingTimes keeps only the replies that arrived', () => {
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'linux-loss.txt')), [12.3, 14.8]);
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'macos.txt')), [3.456, 2.981]);
+});
+
+test('parsePingTimes finds nothing when the host is unreachable', () => {
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'linux-unreachable.txt')), []);
+  assert.deepStrictEqual(parsePingTimes(''), []);
+  assert.deepStrictEqual(parsePingTimes(undefined), []);
+});
+
+test('parsePingTimes accepts decimal commas', () => {
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'linux-de.txt')), [0.412, 0.538]);
+});
+
+test('parsePingTimes reads IPv6 replies without a TTL', () => {
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'macos-ping6.txt')), [0.512, 0.634]);
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'windows-ipv6.txt')), [3, 5]);
+});
+
+test('parsePingTimes reads Windows replies and skips the Minimum/Maximum summary', () => {
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'windows.txt')), [14, 1]);
+  assert.deepStrictEqual(parsePingTimes(readFixture('ping', 'windows-de.txt')), [2, 1]);
+});
+
+test('summarizeSamples computes RTT, jitter and loss of a burst', () => {
+  assert.deepStrictEqual(summarizeSamples([10, 20, 15], 4), {
+    rtt: { min: 10, avg: 15, max: 20 },
+    jitter: 7.5,
+    packetLoss: 25
+  });
+});
+
+test('summarizeSamples reports no jitter for a single reply', () => {
+  assert.deepStrictEqual(summarizeSamples([0.412], 1), {
+    rtt: { min: 0.41, avg: 0.41, max: 0.41 },
+    jitter: 0,
+    packetLoss: 0
+  });
+});
+
+test('summarizeSamples reports full loss without replies', () => {
+  assert.deepStrictEqual(summarizeSamples([], 3), { rtt: null, jitter: null, packetLoss: 100 });
+  assert.deepStrictEqual(summarizeSamples([], 0), { rtt: null, jitter: null, packetLoss: 100 });
+});
+
+// Windows also looks up commands outside PATH
+test('pingHost rejects when ping cannot be found', { skip: process.platform === 'win32' }, async () => {
+  const savedPath = process.env.PATH;
+  process.env.PATH = '';
+  try {
+    await assert.rejects(pingHost('127.0.0.1'), /is not installed/);
+  } finally {
+    process.env.PATH = savedPath;
+  }
+});
@@ -0,0 +1,95 @@
+// Availability report math (monitor.js): history points become time slices,
+// slices become availability, outages and MTTR.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getReportSlices, computeSlaStats } = require('../monitor');
+
+const MINUTE = 60000;
+
+test('getReportSlices lets a raw sample last until the next one', () => {
+  const points = [
+    { time: 0, uptime: 1 },
+    { time: 10000, uptime: 0 },
+    { time: 20000, uptime: 0 },
+    { time: 30000, uptime: 1 }
+  ];
+  assert.deepStrictEqual(getReportSlices('raw', points, 100000), [
+    { start: 0, duration: 10000, down: 0 },
+    { start: 10000, duration: 10000, down: 10000 },
+    { start: 20000, duration: 10000, down: 10000 },
+    // The last sample lasts one typical interval
+    { start: 30000, duration: 10000, down: 0 }
+  ]);
+});
+
+test('getReportSlices does not count long pauses as monitored', () => {
+  const points = [
+    { time: 0, uptime: 1 },
+    { time: 10000, uptime: 1 },
+    { time: 20000, uptime: 0 },
+    { time: 1000000, uptime: 1 }
+  ];
+  const slices = getReportSlices('raw', points, 1010000);
+  // Ten typical intervals at most
+  assert.deepStrictEqual(slices[2], { start: 20000, duration: 100000, down: 100000 });
+});
+
+test('getReportSlices uses the bucket size for rollups and cuts the last bucket at the end', () => {
+  const points = [
+    { time: 0, uptime: 0.5 },
+    { time: MINUTE, uptime: 1 }
+  ];
+  assert.deepStrictEqual(getReportSlices('1m', points, MINUTE + 30000), [
+    { start: 0, duration: MINUTE, down: MINUTE / 2 },
+    { start: MINUTE, duration: 30000, down: 0 }
+  ]);
+});
+
+test('computeSlaStats joins contiguous down slices into one outage', () => {
+  const stats = computeSlaStats([
+    { start: 0, duration: MINUTE, down: 0 },
+    { start: MINUTE, duration: MINUTE, down: MINUTE },
+    { start: 2 * MINUTE, duration: MINUTE, down: MINUTE / 2 },
+    { start: 3 * MINUTE, duration: MINUTE, down: 0 },
+    { start: 4 * MINUTE, duration: MINUTE, down: MINUTE }
+  ]);
+  assert.deepStrictEqual(stats, {
+    monitored: 5 * MINUTE,
+    downtime: 2.5 * MINUTE,
+    availability: 50,
+    outages: 2,
+    mttr: 1.25 * MINUTE,
+    longestOutage: 1.5 * MINUTE,
+    longestOutageStart: MINUTE
+  });
+});
+
+test('computeSlaStats splits outages separated by a monitoring gap', () => {
+  const stats = computeSlaStats([
+    { start: 0, duration: 1000, down: 1000 },
+    { start: 5000, duration: 1000, down: 1000 }
+  ]);
+  assert.strictEqual(stats.outages, 2);
+  assert.strictEqual(stats.availability, 0);
+});
+
+test('computeSlaStats has no availability without monitored time', () => {
+  assert.deepStrictEqual(computeSlaStats([]), {
+    monitored: 0,
+    downtime: 0,
+    availability: null,
+    outages: 0,
+    mttr: null,
+    longestOutage: null,
+    longestOutageStart: null
+  });
+});
+
+test('computeSlaStats rounds availability to two decimals', () => {
+  const stats = computeSlaStats([
+    { start: 0, duration: 3 * MINUTE, down: 0 },
+    { start: 3 * MINUTE, duration: 3 * MINUTE, down: 1000 }
+  ]);
+  assert.strictEqual(stats.availability, 99.72);
+});
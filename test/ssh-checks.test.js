@@ -0,0 +1,57 @@
+// The exit, regex and threshold modes of SSH checks, fed with real df, free,
+// systemctl and zpool output.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { evaluateSshCheck } = require('../monitor');
+const { readFixture } = require('./helpers');
+
+const output = (name, code = 0) => ({ code, signal: null, stdout: readFixture('ssh', name), stderr: '' });
+
+test('exit checks are ok on exit code 0 only', () => {
+  const check = { evaluate: 'exit' };
+  assert.deepStrictEqual(evaluateSshCheck(check, output('systemctl-active.txt')), { state: 'ok', value: 0, message: 'active' });
+  assert.deepStrictEqual(evaluateSshCheck(check, output('systemctl-inactive.txt', 3)), { state: 'critical', value: 3, message: 'Exit code 3: inactive' });
+});
+
+test('exit checks report the signal of a killed command', () => {
+  const killed = { code: null, signal: 'SIGTERM', stdout: '', stderr: '' };
+  assert.deepStrictEqual(evaluateSshCheck({}, killed), { state: 'critical', value: null, message: 'Exit code SIGTERM' });
+});
+
+test('regex checks match anywhere in the output', () => {
+  const check = { evaluate: 'regex', pattern: '^\\s*state: ONLINE$' };
+  assert.strictEqual(evaluateSshCheck(check, output('zpool-online.txt')).state, 'ok');
+  assert.deepStrictEqual(evaluateSshCheck(check, output('zpool-degraded.txt')), { state: 'critical', value: null, message: 'pool: tank' });
+});
+
+test('threshold checks take the number from the pattern\'s first group', () => {
+  const check = { evaluate: 'threshold', pattern: '(\\d+)% /$', warning: 80, critical: 95 };
+  assert.deepStrictEqual(evaluateSshCheck(check, output('df-root.txt')), { state: 'warning', value: 90, message: '90 (warning at 80)' });
+  assert.strictEqual(evaluateSshCheck({ ...check, critical: 90 }, output('df-root.txt')).state, 'critical');
+  assert.strictEqual(evaluateSshCheck({ ...check, warning: '', critical: '' }, output('df-root.txt')).state, 'ok');
+});
+
+test('threshold checks use the first number of the output without a pattern', () => {
+  const check = { evaluate: 'threshold', warning: 2000 };
+  // The 1024 of the "1024-blocks" header
+  assert.deepStrictEqual(evaluateSshCheck(check, output('df-root.txt')), { state: 'ok', value: 1024, message: '1024' });
+});
+
+test('threshold checks treat lower as worse when critical is below warning', () => {
+  const check = { evaluate: 'threshold', pattern: '^Mem:(?:\\s+\\d+){5}\\s+(\\d+)', warning: 1024, critical: 512 };
+  assert.deepStrictEqual(evaluateSshCheck(check, output('free-m.txt')), { state: 'critical', value: 418, message: '418 (critical at 512)' });
+  assert.strictEqual(evaluateSshCheck({ ...check, critical: 256 }, output('free-m.txt')).state, 'warning');
+  assert.strictEqual(evaluateSshCheck({ ...check, warning: 400, critical: 256 }, output('free-m.txt')).state, 'ok');
+});
+
+test('threshold checks without a number are unknown', () => {
+  const check = { evaluate: 'threshold', warning: 1 };
+  assert.deepStrictEqual(evaluateSshCheck(check, output('systemctl-active.txt')), { state: 'unknown', value: null, message: 'No number in output: active' });
+  assert.deepStrictEqual(evaluateSshCheck({ ...check, pattern: 'load: (\\d+)' }, output('df-root.txt')), { state: 'unknown', value: null, message: 'No number in output: Filesystem     1024-blocks     Used Available Capacity Mounted on' });
+  assert.deepStrictEqual(evaluateSshCheck(check, { code: 0, stdout: '', stderr: '' }), { state: 'unknown', value: null, message: 'No output' });
+});
+
+test('invalid patterns throw for the caller to report as unknown', () => {
+  assert.throws(() => evaluateSshCheck({ evaluate: 'regex', pattern: '(' }, output('zpool-online.txt')), SyntaxError);
+});
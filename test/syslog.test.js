@@ -0,0 +1,64 @@
+// Messages as rsyslog and Cisco IOS send them, the examples from RFC 5424,
+// and both TCP framings of RFC 6587.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSyslogMessage, splitTcpFrames } = require('../syslog');
+const { readFixture } = require('./helpers');
+
+const messages = (name) => readFixture('syslog', name).split('\n').filter(Boolean);
+
+test('parseSyslogMessage reads RFC 3164 messages', () => {
+  assert.deepStrictEqual(messages('rfc3164.log').map(parseSyslogMessage), [
+    { facility: 4, severity: 2, hostname: 'mymachine', app: 'su', message: "'su root' failed for lonvick on /dev/pts/8" },
+    { facility: 10, severity: 6, hostname: 'web01', app: 'sshd', message: 'Accepted publickey for deploy from 192.0.2.10 port 50122 ssh2' },
+    { facility: 3, severity: 6, hostname: 'fw01', app: 'systemd', message: 'Started Daily apt upgrade and clean activities.' },
+    // No tag
+    { facility: 3, severity: 4, hostname: 'sw01', app: null, message: 'Port 3 link down' },
+    // Cisco IOS sends a sequence number instead of a timestamp and hostname
+    { facility: 23, severity: 5, hostname: null, app: null, message: '52: *Mar  1 00:03:11.547: %SYS-5-CONFIG_I: Configured from console by console' }
+  ]);
+});
+
+test('parseSyslogMessage reads RFC 5424 messages', () => {
+  assert.deepStrictEqual(messages('rfc5424.log').map(parseSyslogMessage), [
+    { facility: 4, severity: 2, hostname: 'mymachine.example.com', app: 'su', message: "'su root' failed for lonvick on /dev/pts/8" },
+    { facility: 20, severity: 5, hostname: '192.0.2.1', app: 'myproc', message: "%% It's time to make the do-nuts." },
+    { facility: 20, severity: 5, hostname: 'mymachine.example.com', app: 'evntslog', message: 'An application event log entry...' },
+    // Structured data only
+    { facility: 20, severity: 5, hostname: 'mymachine.example.com', app: 'evntslog', message: '' },
+    { facility: 1, severity: 5, hostname: null, app: null, message: 'escaped bracket' }
+  ]);
+});
+
+test('parseSyslogMessage keeps anything else whole', () => {
+  assert.deepStrictEqual(parseSyslogMessage('link flap on ge-0/0/1\r\n'), {
+    facility: 1, severity: 5, hostname: null, app: null, message: 'link flap on ge-0/0/1'
+  });
+  // Out of range priorities fall back to user.notice
+  assert.strictEqual(parseSyslogMessage('<200>hello').severity, 5);
+  assert.strictEqual(parseSyslogMessage('<200>hello').facility, 1);
+  assert.strictEqual(parseSyslogMessage('x'.repeat(5000)).message.length, 2048);
+});
+
+test('splitTcpFrames splits octet-counted frames by bytes', () => {
+  const state = { buffer: '12 <13>1 - - ü23 <13>Oct 19 10:00' };
+  assert.deepStrictEqual(splitTcpFrames(state), ['<13>1 - - ü']);
+  assert.strictEqual(state.buffer, '23 <13>Oct 19 10:00');
+  state.buffer += ':00 h m\n';
+  assert.deepStrictEqual(splitTcpFrames(state), ['<13>Oct 19 10:00:00 h m']);
+  assert.strictEqual(state.buffer, '');
+});
+
+test('splitTcpFrames splits newline and NUL delimited messages', () => {
+  const state = { buffer: '<13>one\n<13>two\0\n<13>thr' };
+  assert.deepStrictEqual(splitTcpFrames(state), ['<13>one', '<13>two']);
+  assert.strictEqual(state.buffer, '<13>thr');
+});
+
+test('splitTcpFrames reads a line starting with a number as a message', () => {
+  const state = { buffer: '123 foo\n<13>bar\n42 ' };
+  assert.deepStrictEqual(splitTcpFrames(state), ['123 foo', '<13>bar']);
+  // Could still be an octet count once the "<" arrives
+  assert.strictEqual(state.buffer, '42 ');
+});
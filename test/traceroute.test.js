@@ -0,0 +1,56 @@
+// Hops from traceroute and tracepath on Linux, tracert on Windows and
+// traceroute6 on macOS.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTracerouteOutput, runTraceroute } = require('../monitor');
+const { readFixture } = require('./helpers');
+
+test('parseTracerouteOutput reads Linux traceroute and keeps silent hops', () => {
+  assert.deepStrictEqual(parseTracerouteOutput(readFixture('traceroute', 'linux.txt')), [
+    { hop: 1, ip: '192.168.1.1', rtt: 0.612 },
+    { hop: 2, ip: null, rtt: null },
+    { hop: 3, ip: '100.64.0.1', rtt: 8.231 },
+    { hop: 4, ip: '72.14.215.85', rtt: 11.402 },
+    { hop: 5, ip: '8.8.8.8', rtt: 10.977 }
+  ]);
+});
+
+test('parseTracerouteOutput takes the address from behind resolved names', () => {
+  assert.deepStrictEqual(parseTracerouteOutput(readFixture('traceroute', 'linux-names.txt')).map(hop => hop.ip), [
+    '192.168.1.1', '198.51.100.1', '203.0.113.40'
+  ]);
+});
+
+test('parseTracerouteOutput keeps the first answer of a hop tracepath repeats', () => {
+  assert.deepStrictEqual(parseTracerouteOutput(readFixture('traceroute', 'tracepath.txt')), [
+    { hop: 1, ip: '192.168.1.1', rtt: 0.634 },
+    { hop: 2, ip: '100.64.0.1', rtt: 8.402 },
+    { hop: 3, ip: null, rtt: null },
+    { hop: 4, ip: '8.8.8.8', rtt: 11.114 }
+  ]);
+});
+
+test('parseTracerouteOutput reads Windows tracert', () => {
+  assert.deepStrictEqual(parseTracerouteOutput(readFixture('traceroute', 'windows.txt')), [
+    { hop: 1, ip: '192.168.1.1', rtt: 1 },
+    { hop: 2, ip: null, rtt: null },
+    { hop: 3, ip: '100.64.0.1', rtt: 9 },
+    { hop: 4, ip: '8.8.8.8', rtt: 12 }
+  ]);
+});
+
+test('parseTracerouteOutput reads IPv6 hops with zone IDs', () => {
+  assert.deepStrictEqual(parseTracerouteOutput(readFixture('traceroute', 'macos-ipv6.txt')).map(hop => hop.ip), [
+    'fe80::1%en0', '2001:db8:1::1', null, '2001:db8:20::5'
+  ]);
+});
+
+test('parseTracerouteOutput returns no hops for empty output', () => {
+  assert.deepStrictEqual(parseTracerouteOutput(''), []);
+});
+
+test('runTraceroute refuses addresses that are not IPs or hostnames', async () => {
+  await assert.rejects(runTraceroute('-w 1 192.0.2.1'), /Invalid address/);
+  await assert.rejects(runTraceroute(undefined), /Invalid address/);
+});
@@ -0,0 +1,257 @@
+// SNMP trap receiver: accepts SNMPv1 and v2c traps and informs, matches them
+// to the node that sent them and reports linkDown/linkUp to the monitor, which
+// updates the interface and its bound connection right away instead of waiting
+// for the next SNMP poll. Traps are stored and listed with the syslog messages
+// (app "snmptrap"). Used by main.js and monitor-cli.js.
+
+const net = require('net');
+const snmp = require('net-snmp');
+const { reportSnmpTrap } = require('./monitor');
+const { normalizeAddress, matchSyslogNode, recordSyslogEvent } = require('./syslog');
+
+const TRAP_DEFAULTS = {
+  enabled: false,
+  host: '0.0.0.0',
+  port: 162,
+  community: ''           // Accepted communities, comma separated; empty accepts any
+};
+
+// Generic traps (RFC 1215 / SNMPv2-MIB snmpTraps) with their syslog severity
+const GENERIC_TRAPS = {
+  '1.3.6.1.6.3.1.1.5.1': ['coldStart', 4],
+  '1.3.6.1.6.3.1.1.5.2': ['warmStart', 5],
+  '1.3.6.1.6.3.1.1.5.3': ['linkDown', 3],
+  '1.3.6.1.6.3.1.1.5.4': ['linkUp', 5],
+  '1.3.6.1.6.3.1.1.5.5': ['authenticationFailure', 4],
+  '1.3.6.1.6.3.1.1.5.6': ['egpNeighborLoss', 4]
+};
+const ENTERPRISE_SPECIFIC_SEVERITY = 5;
+
+const TRAP_OIDS = {
+  sysUpTime: '1.3.6.1.2.1.1.3.0',
+  snmpTrapOID: '1.3.6.1.6.3.1.1.4.1.0',
+  snmpTrapEnterprise: '1.3.6.1.6.3.1.1.4.3.0'
+};
+
+// Interface columns that carry the ifIndex as their last sub-identifier
+const IF_COLUMNS = {
+  '1.3.6.1.2.1.2.2.1.1': 'ifIndex',
+  '1.3.6.1.2.1.2.2.1.2': 'ifDescr',
+  '1.3.6.1.2.1.2.2.1.3': 'ifType',
+  '1.3.6.1.2.1.2.2.1.7': 'ifAdminStatus',
+  '1.3.6.1.2.1.2.2.1.8': 'ifOperStatus',
+  '1.3.6.1.2.1.31.1.1.1.1': 'ifName',
+  '1.3.6.1.2.1.31.1.1.1.18': 'ifAlias'
+};
+
+const IF_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+const MAX_VARBIND_TEXT = 512;
+
+let trapReceiver = null;
+let trapServerKey = null;
+
+// ============================================
+// Decoding
+// ============================================
+
+// Printable OctetStrings as text, anything else as hex; Counter64 as a number
+function formatVarbindValue(varbind) {
+  const value = varbind.value;
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) {
+    if (varbind.type === snmp.ObjectType.Counter64) {
+      let n = 0;
+      for (const byte of value) n = n * 256 + byte;
+      return String(n);
+    }
+    const text = value.toString('utf8').replace(/\0+$/, '');
+    const printable = !text.includes('\ufffd') && /^[\x20-\x7e\t\r\n\u00a0-\uffff]*$/.test(text);
+    return printable ? text : value.toString('hex').replace(/(..)(?!$)/g, '$1:');
+  }
+  return String(value);
+}
+
+// "ifOperStatus.3" for known interface columns, the numeric OID otherwise
+function describeOid(oid) {
+  const column = Object.keys(IF_COLUMNS).find(prefix => oid.startsWith(prefix + '.'));
+  if (column) return `${IF_COLUMNS[column]}.${oid.slice(column.length + 1)}`;
+  const named = Object.keys(TRAP_OIDS).find(name => TRAP_OIDS[name] === oid);
+  return named || oid;
+}
+
+// Picks ifIndex, ifName, ifDescr and ifOperStatus out of the varbinds
+function readTrapInterface(varbinds) {
+  const iface = { ifIndex: null, ifName: null, ifDescr: null, operStatus: null };
+  varbinds.forEach(vb => {
+    const column = Object.keys(IF_COLUMNS).find(prefix => vb.oid.startsWith(prefix + '.'));
+    if (!column) return;
+    const index = Number(vb.oid.slice(column.length + 1));
+    if (!Number.isInteger(index)) return;
+    if (iface.ifIndex === null) iface.ifIndex = index;
+    if (index !== iface.ifIndex) return;
+
+    const name = IF_COLUMNS[column];
+    if (name === 'ifName') iface.ifName = formatVarbindValue(vb);
+    if (name === 'ifDescr') iface.ifDescr = formatVarbindValue(vb);
+    if (name === 'ifOperStatus') iface.operStatus = IF_STATUS[vb.value] || null;
+  });
+  return iface;
+}
+
+// Returns { version, community, agent, oid, type, severity, varbinds, ...interface }.
+// SNMPv1 generic traps are mapped to their SNMPv2 OIDs (RFC 3584 section 3.1).
+function decodeTrap(pdu) {
+  let oid;
+  let agent = null;
+  let varbinds = pdu.varbinds || [];
+
+  if (pdu.type === snmp.PduType.Trap) {
+    agent = pdu.agentAddr || null;
+    oid = pdu.generic === snmp.TrapType.EnterpriseSpecific
+      ? `${pdu.enterprise}.0.${pdu.specific}`
+      : `1.3.6.1.6.3.1.1.5.${pdu.generic + 1}`;
+  } else {
+    const trapOid = varbinds.find(vb => vb.oid === TRAP_OIDS.snmpTrapOID);
+    oid = trapOid ? String(trapOid.value) : null;
+    varbinds = varbinds.filter(vb => vb.oid !== TRAP_OIDS.sysUpTime && vb.oid !== TRAP_OIDS.snmpTrapOID);
+  }
+
+  const [type, severity] = GENERIC_TRAPS[oid] || ['enterpriseSpecific', ENTERPRISE_SPECIFIC_SEVERITY];
+  return {
+    version: pdu.type === snmp.PduType.Trap ? 'v1' : 'v2c',
+    community: pdu.community || null,
+    agent,
+    oid,
+    type,
+    severity,
+    varbinds: varbinds.map(vb => ({ oid: vb.oid, name: describeOid(vb.oid), value: formatVarbindValue(vb) })),
+    ...readTrapInterface(varbinds)
+  };
+}
+
+// "linkDown Gi0/1 (ifIndex 3)" or "1.3.6.1.4.1.9.0.1 name=value, ..."
+function describeTrap(trap, interfaceName) {
+  if (trap.type === 'linkDown' || trap.type === 'linkUp') {
+    if (trap.ifIndex === null) return trap.type;
+    return interfaceName && interfaceName !== String(trap.ifIndex)
+      ? `${trap.type} ${interfaceName} (ifIndex ${trap.ifIndex})`
+      : `${trap.type} ifIndex ${trap.ifIndex}`;
+  }
+  const details = trap.varbinds.map(vb => `${vb.name}=${vb.value}`).join(', ').slice(0, MAX_VARBIND_TEXT);
+  const label = trap.type === 'enterpriseSpecific' ? trap.oid : trap.type;
+  return details ? `${label} ${details}` : label;
+}
+
+function handleTrap(error, notification) {
+  if (error) {
+    console.error('SNMP trap receiver:', error.message);
+    return;
+  }
+
+  const trap = decodeTrap(notification.pdu);
+  const source = normalizeAddress(notification.rinfo.address);
+  // A v1 trap names its agent, which differs from the sender behind a relay
+  const nodeId = matchSyslogNode(source, null) || (trap.agent ? matchSyslogNode(trap.agent, null) : null);
+  const time = Date.now();
+
+  const mapped = nodeId
+    ? reportSnmpTrap(nodeId, { type: trap.type, ifIndex: trap.ifIndex, ifName: trap.ifName, ifDescr: trap.ifDescr, operStatus: trap.operStatus, time })
+    : { interface: null, connectionIds: [] };
+
+  recordSyslogEvent({
+    time,
+    nodeId,
+    source,
+    facility: null,
+    severity: trap.severity,
+    hostname: trap.agent,
+    app: 'snmptrap',
+    message: describeTrap(trap, mapped.interface || trap.ifName || trap.ifDescr),
+    trap: {
+      version: trap.version,
+      oid: trap.oid,
+      type: trap.type,
+      ifIndex: trap.ifIndex,
+      interface: mapped.interface || trap.ifName || trap.ifDescr,
+      connectionIds: mapped.connectionIds,
+      varbinds: trap.varbinds
+    }
+  });
+}
+
+// ============================================
+// Server
+// ============================================
+
+function stopTrapServer() {
+  if (trapReceiver) {
+    try {
+      trapReceiver.close();
+    } catch (e) {
+      // Never bound
+    }
+  }
+  trapReceiver = null;
+  trapServerKey = null;
+}
+
+// Starts, restarts or stops the receiver for config.settings.traps. Traps are
+// matched to nodes like syslog messages (syslog.js keeps the node index).
+// Resolves once listening; rejects when the address cannot be bound.
+function configureTrapServer(settings) {
+  const options = { ...TRAP_DEFAULTS, ...(settings || {}) };
+  if (!options.enabled) {
+    stopTrapServer();
+    return Promise.resolve();
+  }
+
+  const communities = String(options.community || '').split(',').map(c => c.trim()).filter(Boolean);
+  const address = net.isIPv6(options.host) ? `[${options.host}]:${options.port}` : `${options.host}:${options.port}`;
+  const key = `${address} ${communities.join(',')}`;
+  if (trapReceiver && trapServerKey === key) return Promise.resolve();
+  stopTrapServer();
+
+  return new Promise((resolve, reject) => {
+    let listening = false;
+    const receiver = snmp.createReceiver({
+      port: Number(options.port),
+      address: options.host,
+      transport: net.isIPv6(options.host) ? 'udp6' : 'udp4',
+      disableAuthorization: communities.length === 0,
+      includeAuthentication: true
+    }, (error, notification) => {
+      // Until bound, socket errors mean the address cannot be used
+      if (error && !listening) {
+        if (trapReceiver === receiver) stopTrapServer();
+        reject(new Error(`SNMP trap receiver cannot listen on ${address}: ${error.message}`));
+        return;
+      }
+      handleTrap(error, notification);
+    });
+    communities.forEach(community => receiver.getAuthorizer().addCommunity(community));
+
+    const onListening = () => {
+      listening = true;
+      console.log(`SNMP trap receiver listening on udp ${address}`);
+      resolve();
+    };
+    // net-snmp has no public listening event, so its sockets are watched. They
+    // are not part of its API: without them the receiver counts as listening
+    // right away and a later bind error is only logged by handleTrap.
+    const sockets = receiver.listener && receiver.listener.sockets ? Object.values(receiver.listener.sockets) : [];
+    if (sockets.length > 0 && sockets.every(socket => typeof socket.once === 'function')) {
+      sockets.forEach(socket => socket.once('listening', onListening));
+    } else {
+      onListening();
+    }
+    trapReceiver = receiver;
+    trapServerKey = key;
+  });
+}
+
+module.exports = {
+  TRAP_DEFAULTS,
+  decodeTrap,
+  configureTrapServer,
+  stopTrapServer
+};
@@ -0,0 +1,232 @@
+// Read-only web viewer: serves the renderer topology to any browser on the
+// LAN, with js/viewer-api.js standing in for preload.js. The browser loads a
+// redacted config and receives the live status over a WebSocket, unlike the
+// root index.html that polls status.js. Used by main.js and monitor-cli.js.
+//
+//   GET /                   the topology (renderer/index.html), read-only
+//   GET /viewer/config      nodes, connections and settings without secrets
+//   GET /viewer/history     same query as history:query
+//   GET /viewer/syslog      same query as syslog:query
+//   WS  /viewer/stream      { type: 'status' | 'failover' | 'syslog' | 'config', data }
+
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { monitorEvents, queryHistory } = require('./monitor');
+const { redactNode, redactSettings } = require('./api');
+const { syslogEvents, querySyslogEvents } = require('./syslog');
+
+// There is no login: bind to a LAN address only on trusted networks
+const VIEWER_DEFAULTS = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 8080
+};
+
+const RENDERER_DIR = path.join(__dirname, 'renderer');
+
+// Nothing else in renderer/ is served; admin.html and the default config.json stay private
+const VIEWER_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/index.html': ['index.html', 'text/html; charset=utf-8'],
+  '/js/app.js': ['js/app.js', 'application/javascript; charset=utf-8'],
+  '/js/validation.js': ['js/validation.js', 'application/javascript; charset=utf-8'],
+  '/js/viewer-api.js': ['js/viewer-api.js', 'application/javascript; charset=utf-8'],
+  '/css/xterm.css': ['css/xterm.css', 'text/css; charset=utf-8']
+};
+
+// Defines window.electronAPI before the app's own scripts run
+const VIEWER_SCRIPT = '<script src="js/viewer-api.js"></script>';
+
+let viewerServer = null;
+let viewerServerKey = null;
+let viewerStore = null;
+let streamServer = null;
+let latestStatus = null;
+
+// Besides the secrets redactNode drops, SSH logins and key paths, check
+// commands and their output, and host metrics stay in the app. SSH checks are
+// shown by name and state only; unnamed checks would otherwise show the command.
+function redactViewerNode(node) {
+  const redacted = redactNode(node);
+  Object.keys(redacted).filter(field => field.startsWith('ssh')).forEach(field => delete redacted[field]);
+  delete redacted.hostMetrics;
+  if (Array.isArray(node.sshCheckResults)) {
+    redacted.sshCheckResults = node.sshCheckResults.map((result, idx) => {
+      const check = (node.sshChecks || []).find(c => c.id === result.id);
+      return { id: result.id, name: check && check.name ? check.name : `SSH check ${idx + 1}`, state: result.state };
+    });
+  }
+  return redacted;
+}
+
+function redactViewerStatus(status) {
+  return { ...status, nodes: status.nodes.map(redactViewerNode) };
+}
+
+// Only what the topology needs; alert channels and API settings are left out
+function buildViewerConfig(config) {
+  return {
+    settings: redactSettings(config.settings || {}),
+    nodes: (config.nodes || []).map(redactViewerNode),
+    connections: config.connections || [],
+    maintenance: config.maintenance || []
+  };
+}
+
+function broadcast(type, data) {
+  if (!streamServer || streamServer.clients.size === 0) return;
+  const message = JSON.stringify({ type, data });
+  streamServer.clients.forEach(client => {
+    if (client.readyState === client.OPEN) client.send(message);
+  });
+}
+
+monitorEvents.on('status', (status) => {
+  latestStatus = status;
+  broadcast('status', redactViewerStatus(status));
+});
+
+monitorEvents.on('failover', (event) => {
+  broadcast('failover', event);
+});
+
+syslogEvents.on('message', (event) => {
+  broadcast('syslog', event);
+});
+
+// Called after the config was saved; open viewers reload it
+function notifyViewerConfigChanged() {
+  broadcast('config');
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendFile(res, [file, contentType]) {
+  fs.readFile(path.join(RENDERER_DIR, file), 'utf8', (error, content) => {
+    if (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Cannot read file\n');
+      return;
+    }
+    if (file === 'index.html') content = content.replace('</head>', `${VIEWER_SCRIPT}\n</head>`);
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+    res.end(content);
+  });
+}
+
+async function sendHistory(res, params) {
+  const number = (name) => (params.has(name) ? Number(params.get(name)) : undefined);
+  try {
+    const result = await queryHistory({
+      nodeId: params.get('nodeId'),
+      from: number('from'),
+      to: number('to'),
+      resolution: params.get('resolution') || undefined
+    });
+    sendJson(res, 200, { success: true, ...result });
+  } catch (error) {
+    sendJson(res, 200, { success: false, error: error.message });
+  }
+}
+
+async function sendSyslog(res, params) {
+  try {
+    const query = {};
+    ['nodeId', 'search', 'severity', 'from', 'to', 'limit'].forEach(name => {
+      if (params.has(name)) query[name] = params.get(name);
+    });
+    ['from', 'to'].forEach(name => {
+      if (query[name] !== undefined) query[name] = Number(query[name]);
+    });
+    sendJson(res, 200, { success: true, ...(await querySyslogEvents(query)) });
+  } catch (error) {
+    sendJson(res, 200, { success: false, error: error.message });
+  }
+}
+
+function handleViewerRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET') {
+    res.writeHead(405, { 'Content-Type': 'text/plain' });
+    res.end('Method not allowed\n');
+  } else if (url.pathname === '/viewer/config') {
+    sendJson(res, 200, buildViewerConfig(viewerStore.load()));
+  } else if (url.pathname === '/viewer/history') {
+    sendHistory(res, url.searchParams);
+  } else if (url.pathname === '/viewer/syslog') {
+    sendSyslog(res, url.searchParams);
+  } else if (VIEWER_FILES[url.pathname]) {
+    sendFile(res, VIEWER_FILES[url.pathname]);
+  } else {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found\n');
+  }
+}
+
+function stopViewerServer() {
+  if (streamServer) {
+    streamServer.clients.forEach(client => client.terminate());
+    streamServer.close();
+  }
+  if (viewerServer) viewerServer.close();
+  streamServer = null;
+  viewerServer = null;
+  viewerServerKey = null;
+}
+
+// Starts, restarts or stops the viewer for config.settings.viewer. `store`
+// provides load() for the stored configuration.
+// Resolves once listening; rejects when the address cannot be bound.
+function configureViewerServer(settings, store) {
+  const options = { ...VIEWER_DEFAULTS, ...(settings || {}) };
+  viewerStore = store;
+  if (!options.enabled) {
+    stopViewerServer();
+    return Promise.resolve();
+  }
+
+  const key = net.isIPv6(options.host) ? `[${options.host}]:${options.port}` : `${options.host}:${options.port}`;
+  if (viewerServer && viewerServerKey === key) return Promise.resolve();
+  stopViewerServer();
+
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handleViewerRequest);
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== '/viewer/stream') {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, (client) => {
+        if (latestStatus) client.send(JSON.stringify({ type: 'status', data: redactViewerStatus(latestStatus) }));
+      });
+    });
+
+    server.once('error', (error) => {
+      if (viewerServer === server) stopViewerServer();
+      reject(new Error(`Viewer cannot listen on ${key}: ${error.message}`));
+    });
+    server.listen(Number(options.port), options.host, () => {
+      console.log(`Viewer listening on http://${key}/`);
+      resolve();
+    });
+    viewerServer = server;
+    viewerServerKey = key;
+    streamServer = wss;
+  });
+}
+
+module.exports = {
+  VIEWER_DEFAULTS,
+  configureViewerServer,
+  stopViewerServer,
+  notifyViewerConfigChanged
+};